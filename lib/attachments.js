@@ -0,0 +1,67 @@
+const path = require('path');
+const { processPhoto, ImageError } = require('./images');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+// Documents are checked by their leading bytes (docx/xlsx are zip files,
+// doc/xls are OLE compound files)
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const DOCUMENT_TYPES = {
+  'application/pdf': { ext: 'pdf', magic: Buffer.from('%PDF-') },
+  'application/msword': { ext: 'doc', magic: OLE },
+  'application/vnd.ms-excel': { ext: 'xls', magic: OLE },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: 'docx', magic: ZIP },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: 'xlsx', magic: ZIP }
+};
+
+const ATTACHMENT_TYPES = [...IMAGE_TYPES, ...Object.keys(DOCUMENT_TYPES)];
+
+class AttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Keep a readable name for downloads, without path parts or header-breaking characters
+function safeFilename(name, ext) {
+  const base = path.basename(name || '').replace(/\.[^.]*$/, '').replace(/[^\w.\- ()]+/g, '_').trim().slice(0, 100);
+  return `${base || 'attachment'}.${ext}`;
+}
+
+// Validate an uploaded message attachment (the client-sent MIME type is only a
+// first filter). Images are re-encoded like listing photos, with a thumbnail.
+async function prepareAttachment(file) {
+  if (IMAGE_TYPES.includes(file.mimetype)) {
+    let image;
+    try {
+      image = await processPhoto(file.buffer);
+    } catch (err) {
+      if (err instanceof ImageError) throw new AttachmentError(`${file.originalname}: ${err.message}`);
+      throw err;
+    }
+    return {
+      isImage: true,
+      body: image.full,
+      thumb: image.thumb,
+      contentType: image.contentType,
+      filename: safeFilename(file.originalname, 'jpg')
+    };
+  }
+
+  const type = DOCUMENT_TYPES[file.mimetype];
+  if (!type) throw new AttachmentError(`Unsupported file type: ${file.mimetype}`);
+  if (!file.buffer.subarray(0, type.magic.length).equals(type.magic)) {
+    throw new AttachmentError(`${file.originalname} is not a valid ${type.ext.toUpperCase()} file`);
+  }
+  return {
+    isImage: false,
+    body: file.buffer,
+    thumb: null,
+    contentType: file.mimetype,
+    filename: safeFilename(file.originalname, type.ext)
+  };
+}
+
+module.exports = { ATTACHMENT_TYPES, AttachmentError, prepareAttachment };
@@ -0,0 +1,74 @@
+// RFC 4180 CSV, shared by listing import/export and admin report downloads
+
+// A file that can't be read as CSV
+class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Rows of fields. Quoted fields may hold commas, quotes ("") and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new CsvError('The CSV file has an unclosed quote');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Spreadsheets leave blank lines at the end
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Text a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Text cells that look like formulas get a leading ' so spreadsheets show
+// them as text; unguardField strips it again when a file is read back
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unguardField(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// A header row of columns, then one line per row (objects keyed by column)
+function formatCsv(columns, rows) {
+  const lines = rows.map(row => columns.map(column => csvField(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = { CsvError, parseCsv, csvField, unguardField, formatCsv };
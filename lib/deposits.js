@@ -0,0 +1,243 @@
+// Refundable buyer deposits, held on the buyer's card with a manual-capture
+// PaymentIntent. The buyer authorizes the hold, the seller confirms the deal,
+// and the hold is captured when the coach sells or released when the deal
+// falls through. Card holds lapse after about 7 days; Stripe then cancels the
+// PaymentIntent and the deposit expires.
+//
+// Every status change is logged in deposit_events. A capture or release we
+// make claims the deposit (settling_at), calls Stripe with no transaction open
+// and then applies the change; the webhook handlers pick up changes made on
+// Stripe's side and ignore ones already applied. A capture Stripe refuses
+// is recorded on the deposit (capture_failed_at, capture_error) so it can be
+// retried and shown to admins. Amounts are in cents.
+
+const OPEN_STATES = ['pending', 'authorized', 'confirmed'];
+
+const TRANSITIONS = {
+  pending: ['authorized', 'released', 'expired'],
+  authorized: ['confirmed', 'captured', 'released', 'expired'],
+  confirmed: ['captured', 'released', 'expired'],
+  captured: ['refunded'],
+  released: [],
+  expired: [],
+  refunded: []
+};
+const STATES = Object.keys(TRANSITIONS);
+
+// A claim left behind (e.g. by a crash mid-capture) lapses after this
+const SETTLE_TIMEOUT = '5 minutes';
+
+// Timestamp column set on entering each state
+const STAMPS = {
+  authorized: 'authorized_at',
+  confirmed: 'confirmed_at',
+  captured: 'captured_at',
+  released: 'released_at',
+  expired: 'released_at',
+  refunded: 'refunded_at'
+};
+
+class DepositError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// onTransition(db, deposit, fromStatus, actorId) runs inside the transaction
+// after each change (e.g. to notify the buyer and seller)
+function createDeposits({ pool, stripe, onTransition = async () => {} }) {
+  async function lock(db, id) {
+    const result = await db.query('SELECT * FROM deposits WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+  }
+
+  async function lockByIntent(db, paymentIntentId) {
+    if (!paymentIntentId) return null;
+    const result = await db.query('SELECT * FROM deposits WHERE stripe_payment_intent_id = $1 FOR UPDATE', [paymentIntentId]);
+    return result.rows[0] || null;
+  }
+
+  // The deposit for a PaymentIntent. One whose intent id was never saved is
+  // found by the deposit_id in the intent's metadata.
+  async function lockForIntent(db, intent) {
+    const deposit = await lockByIntent(db, intent.id);
+    if (deposit || !intent.metadata?.deposit_id) return deposit;
+    const result = await db.query(
+      'UPDATE deposits SET stripe_payment_intent_id = $1 WHERE id = $2 AND stripe_payment_intent_id IS NULL RETURNING *',
+      [intent.id, intent.metadata.deposit_id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Move a locked deposit to a new state and log it. Returns null (and changes
+  // nothing) if the deposit can't move there from its current state.
+  async function transition(db, deposit, status, { actorId = null, stripeEventId = null, note = null } = {}) {
+    if (!TRANSITIONS[deposit.status].includes(status)) return null;
+    const result = await db.query(
+      `UPDATE deposits SET status = $2, ${STAMPS[status]} = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [deposit.id, status]
+    );
+    await db.query(
+      'INSERT INTO deposit_events (deposit_id, from_status, to_status, actor_id, stripe_event_id, note) VALUES ($1, $2, $3, $4, $5, $6)',
+      [deposit.id, deposit.status, status, actorId, stripeEventId, note]
+    );
+    await onTransition(db, result.rows[0], deposit.status, actorId);
+    return result.rows[0];
+  }
+
+  // Start a deposit for a buyer in a conversation. Returns the deposit and the
+  // client secret the buyer's browser uses to authorize the card hold. The row
+  // is inserted first (it holds the conversation's one open deposit) and the
+  // PaymentIntent created after, so no transaction is open while Stripe is
+  // called; if Stripe fails the row is removed again.
+  async function create({ conversation, amount, currency = 'usd', email }) {
+    const result = await pool.query(`
+      INSERT INTO deposits (listing_id, conversation_id, buyer_id, seller_id, amount, currency)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+    `, [conversation.listing_id, conversation.id, conversation.buyer_id, conversation.seller_id, amount, currency]);
+    const deposit = result.rows[0];
+
+    let intent;
+    try {
+      intent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        capture_method: 'manual',
+        payment_method_types: ['card'],
+        receipt_email: email,
+        description: 'Refundable deposit — Luxury Coach Exchange',
+        metadata: { kind: 'deposit', deposit_id: deposit.id, listing_id: conversation.listing_id, buyer_id: conversation.buyer_id }
+      }, { idempotencyKey: `deposit-${deposit.id}` });
+    } catch (err) {
+      await pool.query('DELETE FROM deposits WHERE id = $1', [deposit.id]).catch(() => {});
+      throw err;
+    }
+
+    let client;
+    let updated;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      updated = await client.query(
+        "UPDATE deposits SET stripe_payment_intent_id = $1 WHERE id = $2 AND status = 'pending' RETURNING *",
+        [intent.id, deposit.id]
+      );
+      if (updated.rows.length > 0) {
+        await client.query(
+          "INSERT INTO deposit_events (deposit_id, from_status, to_status, actor_id) VALUES ($1, NULL, 'pending', $2)",
+          [deposit.id, conversation.buyer_id]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      if (client) client.release();
+    }
+    if (updated.rows.length === 0) {
+      // Released while its PaymentIntent was being created
+      await stripe.paymentIntents.cancel(intent.id).catch(() => {});
+      throw new DepositError('This deposit was released', 409);
+    }
+    return { deposit: updated.rows[0], clientSecret: intent.client_secret };
+  }
+
+  // Client secret of a deposit still waiting for the buyer's card
+  async function clientSecret(deposit) {
+    if (!deposit.stripe_payment_intent_id) throw new DepositError('This deposit is still being set up', 409);
+    const intent = await stripe.paymentIntents.retrieve(deposit.stripe_payment_intent_id);
+    return intent.client_secret;
+  }
+
+  // Claim a deposit in one of the from states for a capture or release, so
+  // only one is with Stripe at a time
+  async function claim(id, from, verb) {
+    const result = await pool.query(`
+      UPDATE deposits SET settling_at = NOW()
+      WHERE id = $1 AND status = ANY($2) AND (settling_at IS NULL OR settling_at < NOW() - $3::interval)
+      RETURNING *
+    `, [id, from, SETTLE_TIMEOUT]);
+    if (result.rows.length > 0) return result.rows[0];
+
+    const current = await pool.query('SELECT status FROM deposits WHERE id = $1', [id]);
+    if (current.rows.length === 0) throw new DepositError('Deposit not found', 404);
+    const { status } = current.rows[0];
+    if (!from.includes(status)) throw new DepositError(`This deposit is ${status} and can't be ${verb}`, 409);
+    throw new DepositError('This deposit is already being captured or released', 409);
+  }
+
+  // Run stripeCall (if any) for a claimed deposit, then record the new state.
+  // If a webhook got there first the deposit is returned as it stands.
+  async function settle(deposit, status, stripeCall, opts) {
+    try {
+      if (stripeCall) await stripeCall();
+    } catch (err) {
+      await pool.query('UPDATE deposits SET settling_at = NULL WHERE id = $1', [deposit.id]).catch(() => {});
+      throw err;
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const claimed = await client.query('UPDATE deposits SET settling_at = NULL WHERE id = $1 RETURNING *', [deposit.id]);
+      const settled = await transition(client, claimed.rows[0], status, opts);
+      await client.query('COMMIT');
+      return settled || claimed.rows[0];
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // Capture the held money (the sale went through). from narrows the states
+  // it may be captured from.
+  async function capture(id, { from = ['authorized', 'confirmed'], ...opts } = {}) {
+    const deposit = await claim(id, from, 'captured');
+    return settle(deposit, 'captured', () => stripe.paymentIntents.capture(deposit.stripe_payment_intent_id), opts);
+  }
+
+  // Record a capture Stripe refused, for the retry job and admins
+  async function captureFailed(id, err) {
+    await pool.query(`
+      UPDATE deposits SET capture_failed_at = NOW(), capture_attempts = capture_attempts + 1, capture_error = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [id, String(err.message || err).slice(0, 500)]);
+  }
+
+  // Cancel the hold; nothing is charged. A deposit whose PaymentIntent
+  // hasn't been created yet has no hold, so it is only released here.
+  async function release(id, { from = OPEN_STATES, ...opts } = {}) {
+    const deposit = await claim(id, from, 'released');
+    const intentId = deposit.stripe_payment_intent_id;
+    return settle(deposit, 'released', intentId && (() => stripe.paymentIntents.cancel(intentId)), opts);
+  }
+
+  async function fromIntent(db, event, status) {
+    const deposit = await lockForIntent(db, event.data.object);
+    if (deposit) await transition(db, deposit, status, { stripeEventId: event.id });
+  }
+
+  // Webhook handlers, run by the payments ledger with its idempotency
+  const handlers = {
+    'payment_intent.amount_capturable_updated': (db, event) => fromIntent(db, event, 'authorized'),
+    'payment_intent.succeeded': (db, event) => fromIntent(db, event, 'captured'),
+    'payment_intent.canceled': (db, event) =>
+      fromIntent(db, event, event.data.object.cancellation_reason === 'automatic' ? 'expired' : 'released'),
+    async 'charge.refunded'(db, event) {
+      const charge = event.data.object;
+      const deposit = await lockByIntent(db, charge.payment_intent);
+      if (deposit && charge.amount_refunded >= charge.amount) {
+        await transition(db, deposit, 'refunded', { stripeEventId: event.id });
+      }
+    }
+  };
+
+  return { lock, transition, create, clientSecret, capture, captureFailed, release, handlers };
+}
+
+module.exports = { createDeposits, DepositError, STATES, OPEN_STATES };
@@ -0,0 +1,52 @@
+const sharp = require('sharp');
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'heif'];
+const FULL_WIDTH = 2000;
+const THUMB_WIDTH = 480;
+const AVATAR_SIZE = 400;
+
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Decode the upload (the client-sent MIME type is only a first filter)
+async function checkFormat(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw new ImageError('File is not a readable image');
+  }
+  if (!ALLOWED_FORMATS.includes(meta.format)) {
+    throw new ImageError(`Unsupported image format: ${meta.format}`);
+  }
+}
+
+// Strip metadata and produce full-size and thumbnail JPEGs
+async function processPhoto(buffer) {
+  await checkFormat(buffer);
+
+  const base = sharp(buffer).rotate();
+  const [full, thumb] = await Promise.all([
+    base.clone().resize({ width: FULL_WIDTH, withoutEnlargement: true }).jpeg({ quality: 85, mozjpeg: true }).toBuffer(),
+    base.clone().resize({ width: THUMB_WIDTH, height: Math.round(THUMB_WIDTH * 0.75), fit: 'cover' }).jpeg({ quality: 78 }).toBuffer()
+  ]);
+
+  return { full, thumb, contentType: 'image/jpeg' };
+}
+
+// Profile pictures and dealer logos: one square JPEG
+async function processAvatar(buffer) {
+  await checkFormat(buffer);
+
+  const image = await sharp(buffer).rotate()
+    .resize({ width: AVATAR_SIZE, height: AVATAR_SIZE, fit: 'cover' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+  return { image, contentType: 'image/jpeg' };
+}
+
+module.exports = { processPhoto, processAvatar, ImageError };
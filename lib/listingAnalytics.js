@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { isIsoDay } = require('./validate');
+
+// Listing analytics for sellers and staff. Counts are kept per listing per
+// day in listing_daily_stats: views (one per visitor per day), saves,
+// conversation starts and offers. To count a visitor once a day we keep a
+// keyed hash of who they are (user id, or IP and browser) for that day in
+// listing_view_visitors; the hash includes the day, so visits on different
+// days can't be linked, and old rows are pruned.
+
+const EVENTS = { view: 'views', save: 'saves', conversation: 'conversations', offer: 'offers' };
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// The days a report covers: ?from=&to= (YYYY-MM-DD, inclusive) or ?days=
+// ending today. Defaults to the last DEFAULT_DAYS days.
+function parseRange(query = {}, now = new Date()) {
+  const day = (value, name) => {
+    if (!isIsoDay(value)) throw new AnalyticsError(`${name} must be a date (YYYY-MM-DD)`);
+    return value;
+  };
+  let to = query.to ? day(query.to, 'to') : isoDay(now);
+  let from;
+  if (query.from) {
+    from = day(query.from, 'from');
+  } else {
+    const days = query.days === undefined ? DEFAULT_DAYS : Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) throw new AnalyticsError(`days must be between 1 and ${MAX_DAYS}`);
+    from = isoDay(new Date(new Date(to).getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+  }
+  const span = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (span < 1) throw new AnalyticsError('from must be on or before to');
+  if (span > MAX_DAYS) throw new AnalyticsError(`A report can cover at most ${MAX_DAYS} days`);
+  return { from, to };
+}
+
+function rate(count, base) {
+  return base > 0 ? Math.round((count / base) * 10000) / 10000 : null;
+}
+
+// Totals and the funnel's conversion rates from daily rows
+function summarize(daily) {
+  const totals = { views: 0, saves: 0, conversations: 0, offers: 0 };
+  for (const row of daily) {
+    for (const key of Object.keys(totals)) totals[key] += row[key];
+  }
+  return {
+    totals,
+    rates: {
+      save_rate: rate(totals.saves, totals.views),
+      inquiry_rate: rate(totals.conversations, totals.views),
+      offer_rate: rate(totals.offers, totals.conversations)
+    }
+  };
+}
+
+function createListingAnalytics({ pool, secret }) {
+  // Count one event for a listing on a day (UTC, like report ranges),
+  // today by default
+  async function record(listingId, event, db = pool, day = isoDay(new Date())) {
+    const column = EVENTS[event];
+    await db.query(`
+      INSERT INTO listing_daily_stats (listing_id, day, ${column}) VALUES ($1, $2, 1)
+      ON CONFLICT (listing_id, day) DO UPDATE SET ${column} = listing_daily_stats.${column} + 1
+    `, [listingId, day]);
+  }
+
+  // Count a view unless this visitor already viewed the listing today.
+  // visitor is a user id, or anything that identifies an anonymous browser.
+  async function recordView(listingId, visitor) {
+    const today = isoDay(new Date());
+    const key = crypto.createHmac('sha256', secret).update(`${today}:${listingId}:${visitor}`).digest('base64url');
+    const fresh = await pool.query(
+      'INSERT INTO listing_view_visitors (listing_id, day, visitor) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING RETURNING 1',
+      [listingId, today, key]
+    );
+    if (fresh.rows.length > 0) await record(listingId, 'view', pool, today);
+  }
+
+  // Daily counts from one day to another (inclusive), with zeros for quiet
+  // days. listingIds limits it to those listings; null is every listing.
+  async function series({ from, to }, listingIds = null) {
+    const params = [from, to];
+    const filter = listingIds ? `AND s.listing_id = ANY($${params.push(listingIds)}::uuid[])` : '';
+    const result = await pool.query(`
+      SELECT to_char(d.day, 'YYYY-MM-DD') AS day,
+        COALESCE(SUM(s.views), 0)::int AS views,
+        COALESCE(SUM(s.saves), 0)::int AS saves,
+        COALESCE(SUM(s.conversations), 0)::int AS conversations,
+        COALESCE(SUM(s.offers), 0)::int AS offers
+      FROM generate_series($1::date, $2::date, INTERVAL '1 day') AS d(day)
+      LEFT JOIN listing_daily_stats s ON s.day = d.day::date ${filter}
+      GROUP BY d.day
+      ORDER BY d.day
+    `, params);
+    return result.rows;
+  }
+
+  // A report: { from, to, totals, rates, daily }
+  async function report(range, listingIds = null) {
+    const daily = await series(range, listingIds);
+    return { ...range, ...summarize(daily), daily };
+  }
+
+  // Listings with the most views in a range, with their totals
+  async function topListings({ from, to }, limit = 10) {
+    const result = await pool.query(`
+      SELECT s.listing_id, l.year, l.converter, l.model, l.status, l.seller_id,
+        SUM(s.views)::int AS views, SUM(s.saves)::int AS saves,
+        SUM(s.conversations)::int AS conversations, SUM(s.offers)::int AS offers
+      FROM listing_daily_stats s
+      JOIN listings l ON l.id = s.listing_id
+      WHERE s.day BETWEEN $1 AND $2
+      GROUP BY s.listing_id, l.id
+      ORDER BY views DESC, conversations DESC
+      LIMIT $3
+    `, [from, to, limit]);
+    return result.rows.map(row => ({ ...row, ...summarize([row]).rates }));
+  }
+
+  // Visitor hashes are only needed for the day they were made
+  async function prune() {
+    await pool.query("DELETE FROM listing_view_visitors WHERE day < CURRENT_DATE - INTERVAL '1 day'");
+  }
+
+  return { record, recordView, report, topListings, prune };
+}
+
+module.exports = { createListingAnalytics, AnalyticsError, parseRange };
@@ -0,0 +1,112 @@
+// Bulk listing import and export for dealers. A file is CSV (a header row of
+// column names, then one listing per row) or JSON (an array of listings, or
+// { listings: [...] }) with the same columns. Photos are URLs: an array in
+// JSON, separated by "|" in CSV. Rows are matched to the seller's existing
+// listings by stock number (num).
+
+const { checkListingFields } = require('./listingLifecycle');
+const { CsvError, parseCsv, unguardField, formatCsv } = require('./csv');
+
+const COLUMNS = ['num', 'year', 'model', 'converter', 'price', 'price_display', 'mileage', 'slides', 'engine', 'length', 'color', 'description', 'status', 'photos'];
+const MAX_ROWS = 500;
+const PHOTO_SEPARATOR = '|';
+
+// A problem with the file as a whole (rows get their own error lists)
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function checkColumns(names) {
+  const unknown = names.filter(name => !COLUMNS.includes(name));
+  if (unknown.length > 0) throw new ImportError(`Unknown columns: ${unknown.join(', ')}`);
+  if (!names.includes('num')) throw new ImportError('A num (stock number) column is required');
+}
+
+function checkRowCount(rows) {
+  if (rows.length === 0) throw new ImportError('The file has no listings');
+  if (rows.length > MAX_ROWS) throw new ImportError(`At most ${MAX_ROWS} listings can be imported at once`);
+  return rows;
+}
+
+// 'csv' or 'json' from an explicit ?format=, the file name or its type
+function importFormat(file, requested) {
+  const format = requested || (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json' ? 'json' : 'csv');
+  if (!['csv', 'json'].includes(format)) throw new ImportError('format must be csv or json');
+  return format;
+}
+
+// Raw rows (column name => value) from an uploaded file
+function readImportFile(buffer, format) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new ImportError('The file is not valid JSON');
+    }
+    return jsonRows(data);
+  }
+
+  let header, lines;
+  try {
+    [header, ...lines] = parseCsv(text);
+  } catch (err) {
+    if (err instanceof CsvError) throw new ImportError(err.message);
+    throw err;
+  }
+  if (!header) throw new ImportError('The file has no listings');
+  const names = header.map(name => name.trim().toLowerCase());
+  checkColumns(names);
+  return checkRowCount(lines.map(values => Object.fromEntries(names.map((name, i) => [name, unguardField(values[i] ?? '')]))));
+}
+
+// Raw rows from a JSON document (an uploaded file or the request body)
+function jsonRows(data) {
+  const rows = Array.isArray(data) ? data : data?.listings;
+  if (!Array.isArray(rows)) throw new ImportError('Expected an array of listings or { listings: [...] }');
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new ImportError('Each listing must be an object');
+  }
+  checkColumns([...new Set(rows.flatMap(Object.keys).concat('num'))]);
+  return checkRowCount(rows);
+}
+
+function blank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Validate one raw row. Returns { listing, errors }; listing only has the
+// columns that were filled in, so blank cells leave an existing value alone.
+function validateRow(raw) {
+  const { photos, ...columns } = raw;
+  const { fields: listing, errors: fieldErrors } = checkListingFields(columns);
+  const errors = Object.values(fieldErrors);
+  if (!listing.num && !fieldErrors.num) errors.push('num (stock number) is required');
+
+  if (!blank(photos)) {
+    listing.photos = (Array.isArray(photos) ? photos.map(String) : String(photos).split(PHOTO_SEPARATOR))
+      .map(url => url.trim())
+      .filter(Boolean);
+    // Absolute http(s) URLs, or paths on this site (exports list uploaded photos that way)
+    const bad = listing.photos.filter(url => !/^https?:\/\/\S+$/i.test(url) && !/^\/\S+$/.test(url));
+    if (bad.length > 0) errors.push(`photos must be http(s) URLs or paths starting with /: ${bad.join(', ')}`);
+  }
+  return { listing, errors };
+}
+
+// A listing and its photo URLs in import format
+function exportRow(listing, photos) {
+  const row = Object.fromEntries(COLUMNS.map(column => [column, listing[column] ?? null]));
+  row.photos = photos;
+  return row;
+}
+
+function toCsv(rows) {
+  return formatCsv(COLUMNS, rows.map(row => ({ ...row, photos: row.photos.join(PHOTO_SEPARATOR) })));
+}
+
+module.exports = { ImportError, MAX_ROWS, importFormat, readImportFile, jsonRows, validateRow, exportRow, toCsv };
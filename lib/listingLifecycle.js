@@ -0,0 +1,132 @@
+// Listing fields and the listing lifecycle. A listing starts as a draft that
+// may be incomplete; publishing checks it is complete and makes it active,
+// or puts it in the review queue (in_review) when staff approve listings
+// first. Active listings expire after a set time unless the seller renews
+// them. Validation errors are keyed by field.
+
+const STATUSES = ['draft', 'in_review', 'active', 'pending', 'sold', 'expired'];
+
+// Only the owner (and staff) can see listings in these states
+const PRIVATE_STATUSES = ['draft', 'in_review'];
+
+// Status changes a seller can make. draft -> active is publishing and
+// expired -> active is renewing; both have their own checks.
+const SELLER_TRANSITIONS = {
+  draft: ['active'],
+  in_review: ['draft'],
+  active: ['pending', 'sold', 'draft'],
+  pending: ['active', 'sold', 'draft'],
+  sold: ['draft'],
+  expired: ['active', 'sold', 'draft']
+};
+
+// Column sizes in the listings table
+const TEXT_LIMITS = { num: 50, model: 100, converter: 100, price_display: 50, engine: 100, length: 20, color: 100, description: 10000 };
+const MAX_PRICE = 100000000;
+const MIN_YEAR = 1900;
+
+// What a published listing must look like
+const PUBLISH_YEAR_MIN = 1970;
+const PUBLISH_PRICE_MIN = 5000;
+const PUBLISH_PRICE_MAX = 20000000;
+const PUBLISH_REQUIRED = ['year', 'converter', 'model', 'price', 'description'];
+
+class ListingValidationError extends Error {
+  constructor(fields, message = 'Some fields are invalid') {
+    super(message);
+    this.status = 400;
+    this.fields = fields;
+  }
+}
+
+function blank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// "$450,000" and 450000 are both 450000
+function wholeNumber(value) {
+  return typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+}
+
+// Check the listing fields present in a request body. Returns { fields,
+// errors }: the cleaned values, and a message per invalid field. Blank values
+// are left out, so an edit keeps the current value.
+function checkListingFields(body, now = new Date()) {
+  const fields = {};
+  const errors = {};
+  const maxYear = now.getFullYear() + 2;
+
+  for (const [field, value] of Object.entries(body)) {
+    if (blank(value)) continue;
+    if (field === 'year') {
+      const year = wholeNumber(value);
+      if (!Number.isInteger(year) || year < MIN_YEAR || year > maxYear) errors.year = `year must be a whole number from ${MIN_YEAR} to ${maxYear}`;
+      else fields.year = year;
+    } else if (field === 'price') {
+      const price = wholeNumber(value);
+      if (!Number.isInteger(price) || price < 0 || price > MAX_PRICE) errors.price = 'price must be a whole number of dollars';
+      else fields.price = price;
+    } else if (field === 'mileage' || field === 'slides') {
+      // Free text from sellers ("45,000 mi", "4 slides") keeps working
+      const digits = String(value).split('.')[0].replace(/[^0-9]/g, '');
+      if (!digits) errors[field] = `${field} must be a number`;
+      else fields[field] = parseInt(digits, 10);
+    } else if (field === 'status') {
+      if (!STATUSES.includes(value)) errors.status = `status must be one of: ${STATUSES.join(', ')}`;
+      else fields.status = value;
+    } else if (TEXT_LIMITS[field]) {
+      const text = field === 'description' ? String(value) : String(value).trim();
+      if (text.length > TEXT_LIMITS[field]) errors[field] = `${field} can be at most ${TEXT_LIMITS[field]} characters`;
+      else fields[field] = text;
+    }
+  }
+  return { fields, errors };
+}
+
+// checkListingFields, throwing when any field is invalid
+function parseListingFields(body, now = new Date()) {
+  const { fields, errors } = checkListingFields(body, now);
+  if (Object.keys(errors).length > 0) throw new ListingValidationError(errors);
+  return fields;
+}
+
+// What a listing still needs before it can be published, keyed by field, or
+// null if it is ready
+function publishProblems(listing, photoCount, { minPhotos, now = new Date() }) {
+  const problems = {};
+  for (const field of PUBLISH_REQUIRED) {
+    if (blank(listing[field]) || (field === 'price' && Number(listing.price) === 0)) problems[field] = `${field} is required`;
+  }
+  const maxYear = now.getFullYear() + 1;
+  if (!problems.year && (listing.year < PUBLISH_YEAR_MIN || listing.year > maxYear)) {
+    problems.year = `year must be from ${PUBLISH_YEAR_MIN} to ${maxYear}`;
+  }
+  if (!problems.price && (listing.price < PUBLISH_PRICE_MIN || listing.price > PUBLISH_PRICE_MAX)) {
+    problems.price = `price must be from $${PUBLISH_PRICE_MIN.toLocaleString('en-US')} to $${PUBLISH_PRICE_MAX.toLocaleString('en-US')}`;
+  }
+  if (photoCount < minPhotos) problems.photos = `At least ${minPhotos} photos are required`;
+  return Object.keys(problems).length > 0 ? problems : null;
+}
+
+// How a listing is named in notifications and emails: year, converter and
+// model (short: year and converter), leaving out blank ones
+function coachName(listing, { short = false } = {}) {
+  const fields = ['year', 'converter', 'model'].filter(field => !blank(listing[field]));
+  const shown = short && fields.some(field => field !== 'model') ? fields.filter(field => field !== 'model') : fields;
+  return shown.length > 0 ? shown.map(field => listing[field]).join(' ') : 'coach';
+}
+
+// How a seller's status change is made: 'publish', 'renew' or 'set'. Throws
+// if the seller can't make it.
+function statusChange(from, to) {
+  if (!SELLER_TRANSITIONS[from]?.includes(to)) {
+    throw new ListingValidationError({ status: `A listing can't go from ${from} to ${to}` });
+  }
+  if (to !== 'active') return 'set';
+  return { draft: 'publish', expired: 'renew' }[from] || 'set';
+}
+
+module.exports = {
+  STATUSES, PRIVATE_STATUSES, ListingValidationError,
+  checkListingFields, parseListingFields, publishProblems, statusChange, coachName
+};
@@ -0,0 +1,159 @@
+// Filter, sort and pagination parsing for listing search. Shared by
+// GET /api/listings and anything else that stores or replays a search.
+
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const SORTS = {
+  relevance: 'rank DESC',
+  newest: 'l.created_at DESC',
+  price_asc: 'l.price ASC',
+  price_desc: 'l.price DESC',
+  year_desc: 'l.year DESC',
+  year_asc: 'l.year ASC',
+  mileage_asc: 'l.mileage ASC NULLS LAST',
+  mileage_desc: 'l.mileage DESC NULLS LAST'
+};
+
+// Legacy price buckets (?price=1|2|3) still sent by older frontends
+const PRICE_BUCKETS = {
+  1: { price_min: 1, price_max: 999999 },
+  2: { price_min: 1000000, price_max: 2000000 },
+  3: { price_min: 2000001 }
+};
+
+const RANGES = { price: 'l.price', year: 'l.year', mileage: 'l.mileage' };
+
+// Paid placements rank above everything else: featured, then boosted
+const PROMOTION = "CASE WHEN l.featured_until > NOW() THEN 'featured' WHEN l.boosted_until > NOW() THEN 'boost' END";
+const PROMOTION_RANK = 'CASE WHEN l.featured_until > NOW() THEN 2 WHEN l.boosted_until > NOW() THEN 1 ELSE 0 END';
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Accepts ?converter=a&converter=b as well as ?converter=a,b
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// Postgres integer columns hold at most this
+const MAX_INT = 2147483647;
+
+function toInt(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw new FilterError(`${name} must be a whole number`);
+  if (Math.abs(n) > MAX_INT) throw new FilterError(`${name} is too large`);
+  return n;
+}
+
+// Free-text numbers from sellers ("45,000 mi", "4 slides") to integers
+function parseNumeric(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Math.round(value);
+  const digits = String(value).split('.')[0].replace(/[^0-9]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+// Normalize raw query params into a plain filter object (what saved searches store)
+function parseFilters(query = {}) {
+  const filters = {};
+  const bucket = PRICE_BUCKETS[query.price];
+
+  for (const key of Object.keys(RANGES)) {
+    const min = toInt(query[`${key}_min`], `${key}_min`) ?? (key === 'price' ? bucket?.price_min : undefined);
+    const max = toInt(query[`${key}_max`], `${key}_max`) ?? (key === 'price' ? bucket?.price_max : undefined);
+    if (min !== undefined) filters[`${key}_min`] = min;
+    if (max !== undefined) filters[`${key}_max`] = max;
+  }
+
+  for (const key of ['converter', 'model']) {
+    const list = toList(query[key]);
+    if (list.length) filters[key] = list;
+  }
+
+  const slides = toList(query.slides).map(s => toInt(s, 'slides'));
+  if (slides.length) filters.slides = slides;
+
+  if (query.search && String(query.search).trim()) filters.search = String(query.search).trim();
+
+  return filters;
+}
+
+// Build SQL conditions for a filter object. Pushes values onto params and
+// returns the condition strings (to be AND-ed onto a query aliasing listings as l).
+function filterClauses(filters, params) {
+  const clauses = [];
+
+  for (const [key, column] of Object.entries(RANGES)) {
+    if (filters[`${key}_min`] !== undefined) clauses.push(`${column} >= $${params.push(filters[`${key}_min`])}`);
+    if (filters[`${key}_max`] !== undefined) clauses.push(`${column} <= $${params.push(filters[`${key}_max`])}`);
+  }
+  if (filters.converter) clauses.push(`l.converter = ANY($${params.push(filters.converter)}::text[])`);
+  if (filters.model) clauses.push(`l.model = ANY($${params.push(filters.model)}::text[])`);
+  if (filters.slides) clauses.push(`l.slides = ANY($${params.push(filters.slides)}::int[])`);
+  if (filters.search) {
+    clauses.push(`l.search_vector @@ websearch_to_tsquery('english', $${params.push(filters.search)})`);
+  }
+
+  return clauses;
+}
+
+// The same conditions as filterClauses, but reading the filters from a JSONB
+// column (saved_searches.filters) so one query can test a listing against
+// every saved search. Keep the two functions in sync.
+function storedFilterClauses(column) {
+  const clauses = [];
+
+  for (const [key, col] of Object.entries(RANGES)) {
+    clauses.push(`(NOT ${column} ? '${key}_min' OR ${col} >= (${column}->>'${key}_min')::int)`);
+    clauses.push(`(NOT ${column} ? '${key}_max' OR ${col} <= (${column}->>'${key}_max')::int)`);
+  }
+  for (const key of ['converter', 'model']) {
+    clauses.push(`(NOT ${column} ? '${key}' OR l.${key} IN (SELECT jsonb_array_elements_text(${column}->'${key}')))`);
+  }
+  clauses.push(`(NOT ${column} ? 'slides' OR l.slides IN (SELECT jsonb_array_elements_text(${column}->'slides')::int))`);
+  clauses.push(`(NOT ${column} ? 'search' OR l.search_vector @@ websearch_to_tsquery('english', ${column}->>'search'))`);
+
+  return clauses;
+}
+
+// Extra select columns for a text search: relevance rank and a highlighted
+// description snippet. The description is HTML-escaped before <mark> tags are added.
+function searchColumns(filters, params) {
+  if (!filters.search) return '';
+  const idx = params.push(filters.search);
+  return `,
+    ts_rank_cd(l.search_vector, websearch_to_tsquery('english', $${idx})) AS rank,
+    ts_headline('english',
+      replace(replace(replace(COALESCE(l.description, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      websearch_to_tsquery('english', $${idx}),
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2'
+    ) AS snippet`;
+}
+
+// Relevance is the default (and only available) when searching
+function parseSort(sort, filters = {}) {
+  if (sort && !SORTS[sort]) throw new FilterError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  if (!sort || sort === 'relevance') return filters.search ? SORTS.relevance : SORTS.newest;
+  return SORTS[sort];
+}
+
+function parsePagination(query = {}) {
+  const page = toInt(query.page, 'page') ?? 1;
+  const limit = toInt(query.limit, 'limit') ?? DEFAULT_LIMIT;
+  if (page < 1) throw new FilterError('page must be at least 1');
+  if (limit < 1 || limit > MAX_LIMIT) throw new FilterError(`limit must be between 1 and ${MAX_LIMIT}`);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+  FilterError, parseFilters, filterClauses, storedFilterClauses, searchColumns, parseSort, parsePagination, parseNumeric,
+  PROMOTION, PROMOTION_RANK
+};
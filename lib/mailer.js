@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// Mail transport. With SMTP_HOST set, mail goes to that SMTP server (a real
+// provider in production, or a local capture server such as MailHog or
+// smtp4dev in development and tests).
+//
+// Without SMTP_HOST, development only logs each message instead of sending
+// it, and says so at startup. Production refuses to start, so a missing
+// setting can't silently swallow verification and reset emails.
+function createMailer(env = process.env) {
+  const from = env.MAIL_FROM || 'Luxury Coach Exchange <no-reply@luxurycoachexchange.com>';
+
+  if (!env.SMTP_HOST) {
+    if (env.NODE_ENV === 'production') throw new Error('SMTP_HOST must be set in production');
+    console.warn('[mail] SMTP_HOST is not set; emails will be logged, not sent');
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      transport: 'log',
+      async send({ to, subject, text, html, headers }) {
+        const info = await transport.sendMail({ from, to, subject, text, html, headers });
+        console.log(`[mail] to=${to} subject="${subject}"`);
+        return info;
+      }
+    };
+  }
+
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    transport: 'smtp',
+    send({ to, subject, text, html, headers }) {
+      return transport.sendMail({ from, to, subject, text, html, headers });
+    }
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,177 @@
+const { coachName } = require('./listingLifecycle');
+
+// Emails about unread conversation messages. run() is called by a background
+// job: it claims messages that are still unread after a short delay, groups
+// them per recipient and conversation, and queues one email per recipient.
+// A buyer's message goes to everyone on the seller's side whose email is due.
+// Recipients choose 'instant' (every run), 'daily' (at most one digest a day)
+// or 'off' in users.message_emails.
+
+const LOOKBACK_DAYS = 7;
+const SNIPPET_LENGTH = 200;
+
+// Users r a message m (in conversation c about listing l) goes to: the buyer,
+// or for the buyer's messages the seller and everyone at the listing's dealer
+const IS_RECIPIENT = `
+  CASE WHEN m.sender_id = c.buyer_id THEN r.id = c.seller_id OR r.dealer_id = l.dealer_id ELSE r.id = c.buyer_id END
+`;
+// Recipients r whose emails are due on this run
+const IS_DUE = `
+  (r.message_emails = 'instant'
+    OR (r.message_emails = 'daily' AND COALESCE(r.message_digest_sent_at, '-infinity') < NOW() - INTERVAL '1 day'))
+`;
+
+function snippet(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > SNIPPET_LENGTH ? `${clean.slice(0, SNIPPET_LENGTH)}…` : clean;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// delayMinutes: how long a message stays unread before it is emailed (gives
+// people who are online a chance to read it first)
+function createMessageEmails({ pool, outbox, conversationUrl, preferencesUrl, unsubscribeUrl, delayMinutes = 5 }) {
+  // One block per conversation. Buyer messages to an unpaid seller are only
+  // counted, never quoted.
+  function conversationBlock(convo) {
+    const coach = coachName(convo);
+    const lines = [`${coach} — ${convo.sender_name} (${plural(convo.messages.length, 'new message')})`];
+
+    if (convo.locked) {
+      lines.push('  Unlock seller messaging to read and reply.');
+    } else {
+      for (const m of convo.messages) {
+        const files = m.attachment_count > 0 ? ` [+${plural(m.attachment_count, 'attachment')}]` : '';
+        lines.push(`  "${snippet(m.text)}"${files}`);
+      }
+    }
+    lines.push(`  ${conversationUrl(convo.conversation_id)}`);
+    return lines.join('\n');
+  }
+
+  function compose(recipient) {
+    const convos = Object.values(recipient.conversations);
+    const total = convos.reduce((n, c) => n + c.messages.length, 0);
+    const first = convos[0];
+
+    let subject;
+    if (recipient.message_emails === 'daily') {
+      subject = `Your daily message digest: ${plural(total, 'unread message')}`;
+    } else if (convos.length === 1) {
+      const coach = coachName(first);
+      subject = first.locked
+        ? `A buyer is interested in your ${coach}`
+        : `New message from ${first.sender_name} about the ${coach}`;
+    } else {
+      subject = `You have ${plural(total, 'unread message')}`;
+    }
+
+    const text = [
+      `Hi ${recipient.name},`,
+      '',
+      `You have ${plural(total, 'unread message')} on Luxury Coach Exchange:`,
+      '',
+      convos.map(conversationBlock).join('\n\n'),
+      '',
+      '--',
+      `You get these emails ${recipient.message_emails === 'daily' ? 'once a day' : 'when a message goes unread'}.`,
+      `Change how often: ${preferencesUrl()}`,
+      `Unsubscribe: ${unsubscribeUrl(recipient.user_id)}`,
+      ''
+    ].join('\n');
+
+    return { subject, text };
+  }
+
+  async function run() {
+    const client = await pool.connect();
+    let emails = 0;
+    try {
+      await client.query('BEGIN');
+      const claimed = await client.query(`
+        WITH due AS (
+          SELECT m.id
+          FROM messages m
+          JOIN conversations c ON m.conversation_id = c.id
+          JOIN listings l ON c.listing_id = l.id
+          WHERE m.notified_at IS NULL AND m.read_at IS NULL AND m.deleted_at IS NULL
+            AND m.created_at < NOW() - make_interval(mins => $1)
+            AND m.created_at > NOW() - make_interval(days => $2)
+            AND EXISTS (SELECT 1 FROM users r WHERE ${IS_RECIPIENT} AND ${IS_DUE})
+          FOR UPDATE OF m SKIP LOCKED
+        )
+        UPDATE messages SET notified_at = NOW() FROM due WHERE messages.id = due.id
+        RETURNING messages.id
+      `, [delayMinutes, LOOKBACK_DAYS]);
+
+      if (claimed.rows.length > 0) {
+        const details = await client.query(`
+          SELECT m.id, m.text, m.sender_id, m.conversation_id, m.created_at,
+            c.buyer_id, c.seller_id, l.year, l.converter, l.model,
+            s.name AS sender_name, seller.paid AS seller_paid,
+            r.id AS recipient_id, r.name AS recipient_name, r.email AS recipient_email, r.message_emails,
+            (SELECT COUNT(*) FROM message_attachments a WHERE a.message_id = m.id)::int AS attachment_count
+          FROM messages m
+          JOIN conversations c ON m.conversation_id = c.id
+          JOIN listings l ON c.listing_id = l.id
+          JOIN users s ON m.sender_id = s.id
+          JOIN users seller ON c.seller_id = seller.id
+          JOIN users r ON ${IS_RECIPIENT} AND ${IS_DUE}
+          WHERE m.id = ANY($1::uuid[])
+          ORDER BY m.created_at
+        `, [claimed.rows.map(m => m.id)]);
+
+        const recipients = {};
+        for (const m of details.rows) {
+          const r = recipients[m.recipient_id] ||= {
+            user_id: m.recipient_id,
+            name: m.recipient_name,
+            email: m.recipient_email,
+            message_emails: m.message_emails,
+            conversations: {}
+          };
+          const convo = r.conversations[m.conversation_id] ||= {
+            conversation_id: m.conversation_id,
+            year: m.year,
+            converter: m.converter,
+            model: m.model,
+            sender_name: m.sender_name,
+            locked: m.sender_id === m.buyer_id && !m.seller_paid,
+            messages: []
+          };
+          convo.messages.push(m);
+        }
+
+        for (const r of Object.values(recipients)) {
+          const { subject, text } = compose(r);
+          const unsubscribe = unsubscribeUrl(r.user_id);
+          await outbox.enqueue({
+            to: r.email,
+            subject,
+            text,
+            userId: r.user_id,
+            headers: { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+          }, client);
+          if (r.message_emails === 'daily') {
+            await client.query('UPDATE users SET message_digest_sent_at = NOW() WHERE id = $1', [r.user_id]);
+          }
+          emails++;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return emails;
+  }
+
+  return { run };
+}
+
+module.exports = { createMessageEmails };
@@ -0,0 +1,16 @@
+// User reports of listings, users, messages and reviews, worked through by
+// moderators. (lib/reports.js is the admin statistics reports.)
+
+const REPORT_TARGETS = ['listing', 'user', 'message', 'review'];
+const REPORT_CATEGORIES = ['fraud', 'misleading', 'spam', 'harassment', 'offensive', 'prohibited', 'other'];
+const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+// Allowed status changes; closed reports can be reopened
+const REPORT_TRANSITIONS = {
+  open: ['reviewing', 'actioned', 'dismissed'],
+  reviewing: ['open', 'actioned', 'dismissed'],
+  actioned: ['open'],
+  dismissed: ['open']
+};
+
+module.exports = { REPORT_TARGETS, REPORT_CATEGORIES, REPORT_STATUSES, REPORT_TRANSITIONS };
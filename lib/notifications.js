@@ -0,0 +1,29 @@
+// In-app notification feed, with an optional copy sent through the email outbox.
+
+function createNotifier({ pool, outbox }) {
+  async function notify(userId, { type, title, body = '', data = {}, email = false }, db = pool) {
+    const result = await db.query(
+      'INSERT INTO notifications (user_id, type, title, body, data) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [userId, type, title, body, data]
+    );
+
+    if (email) {
+      const user = await db.query('SELECT email FROM users WHERE id = $1', [userId]);
+      if (user.rows.length > 0) {
+        await outbox.enqueue({
+          to: user.rows[0].email,
+          subject: email.subject || title,
+          text: email.text || body,
+          html: email.html,
+          userId
+        }, db);
+      }
+    }
+
+    return result.rows[0];
+  }
+
+  return { notify };
+}
+
+module.exports = { createNotifier };
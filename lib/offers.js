@@ -0,0 +1,42 @@
+// Offer terms from a buyer's offer or a counter-offer. Amounts are whole
+// dollars, like listing prices.
+
+const DEFAULT_HOURS = 48;
+const MIN_HOURS = 1;
+const MAX_HOURS = 7 * 24;
+const MAX_AMOUNT = 100000000;
+const MAX_NOTE_LENGTH = 2000;
+
+// A counter-offer leaves the offer it answers countered
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'];
+
+class OfferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Validate { amount, expires_at, message }. expires_at defaults to
+// DEFAULT_HOURS from now.
+function parseOffer(body, now = new Date()) {
+  const amount = Number(body.amount);
+  if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+    throw new OfferError('amount must be a whole number of dollars');
+  }
+
+  let expiresAt = new Date(now.getTime() + DEFAULT_HOURS * 60 * 60 * 1000);
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    expiresAt = new Date(body.expires_at);
+    const hours = (expiresAt - now) / (60 * 60 * 1000);
+    if (isNaN(expiresAt) || hours < MIN_HOURS || hours > MAX_HOURS) {
+      throw new OfferError(`expires_at must be between ${MIN_HOURS} hour and ${MAX_HOURS / 24} days from now`);
+    }
+  }
+
+  const message = String(body.message || '').trim();
+  if (message.length > MAX_NOTE_LENGTH) throw new OfferError(`message can be at most ${MAX_NOTE_LENGTH} characters`);
+  return { amount, expiresAt, message: message || null };
+}
+
+module.exports = { OFFER_STATUSES, OfferError, parseOffer };
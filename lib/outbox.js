@@ -0,0 +1,64 @@
+// Email outbox. Requests only insert into email_outbox (optionally inside their
+// own transaction); flush() delivers pending rows later, retrying with backoff,
+// so a slow or unavailable SMTP server never fails an API call.
+
+const MAX_ATTEMPTS = 5;
+
+function createOutbox({ pool, mailer }) {
+  async function enqueue({ to, subject, text, html = null, headers = {}, userId = null, sendAfter = null }, db = pool) {
+    const result = await db.query(
+      `INSERT INTO email_outbox (user_id, to_email, subject, text_body, html_body, headers, send_after)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW())) RETURNING id`,
+      [userId, to, subject, text, html, headers, sendAfter]
+    );
+    return result.rows[0].id;
+  }
+
+  async function flush(batchSize = 20) {
+    const client = await pool.connect();
+    let sent = 0;
+    try {
+      await client.query('BEGIN');
+      const pending = await client.query(
+        `SELECT * FROM email_outbox WHERE status = 'pending' AND send_after <= NOW()
+         ORDER BY send_after LIMIT $1 FOR UPDATE SKIP LOCKED`,
+        [batchSize]
+      );
+
+      for (const mail of pending.rows) {
+        try {
+          await mailer.send({
+            to: mail.to_email,
+            subject: mail.subject,
+            text: mail.text_body,
+            html: mail.html_body || undefined,
+            headers: mail.headers || undefined
+          });
+          await client.query("UPDATE email_outbox SET status = 'sent', sent_at = NOW(), attempts = attempts + 1 WHERE id = $1", [mail.id]);
+          sent++;
+        } catch (err) {
+          const attempts = mail.attempts + 1;
+          await client.query(
+            `UPDATE email_outbox SET attempts = $2::int, last_error = $3,
+               status = CASE WHEN $2::int >= $4::int THEN 'failed' ELSE 'pending' END,
+               send_after = NOW() + make_interval(mins => power(2, $2::int)::int)
+             WHERE id = $1`,
+            [mail.id, attempts, err.message, MAX_ATTEMPTS]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return sent;
+  }
+
+  return { enqueue, flush };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,208 @@
+// Payments ledger for Stripe Checkout. Every checkout gets a payments row;
+// webhook events move it between states and each change is logged in
+// payment_events. A checkout can be reserved (a pending row) before its Stripe
+// session exists, so nothing stays locked while Stripe is called; the session
+// carries the row's id in metadata.payment_id. Stripe event ids are kept in stripe_events so a redelivered
+// event is acknowledged without being applied twice.
+//
+// What a payment buys depends on its kind: fulfilment[kind].grant(db, payment)
+// runs when it is paid, and fulfilment[kind].revoke(db, payment, cause) when it
+// is fully refunded or charged back (cause is 'refund' or 'dispute').
+//
+// extraHandlers adds (db, event) handlers for other Stripe objects; they run
+// in the same transaction, after the ledger's own handler for the event type.
+
+const STATES = ['pending', 'paid', 'failed', 'expired', 'partially_refunded', 'refunded', 'disputed', 'charged_back'];
+// States in which the purchase is in effect
+const ACTIVE_STATES = ['paid', 'partially_refunded'];
+
+function createPaymentLedger({ pool, fulfilment, extraHandlers = {} }) {
+  // Idempotent: a session already recorded (e.g. by a webhook that arrived
+  // first) returns the existing row
+  async function recordCheckout(session, { userId, kind, metadata = {} }, db = pool) {
+    const result = await db.query(`
+      INSERT INTO payments (user_id, kind, stripe_checkout_session_id, amount, currency, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (stripe_checkout_session_id) DO NOTHING RETURNING *
+    `, [userId, kind, session.id, session.amount_total, session.currency, metadata]);
+    if (result.rows.length > 0) return result.rows[0];
+    const existing = await db.query('SELECT * FROM payments WHERE stripe_checkout_session_id = $1', [session.id]);
+    return existing.rows[0];
+  }
+
+  // A pending payment for a checkout about to be created; attachSession
+  // records its Stripe session, failCheckout closes it if there isn't one
+  async function reserveCheckout({ userId, kind, amount, currency, metadata = {} }, db = pool) {
+    const result = await db.query(`
+      INSERT INTO payments (user_id, kind, amount, currency, metadata)
+      VALUES ($1, $2, $3, $4, $5) RETURNING *
+    `, [userId, kind, amount, currency, metadata]);
+    return result.rows[0];
+  }
+
+  async function attachSession(paymentId, session, db = pool) {
+    const result = await db.query(
+      'UPDATE payments SET stripe_checkout_session_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [paymentId, session.id]
+    );
+    return result.rows[0];
+  }
+
+  async function failCheckout(paymentId, db = pool) {
+    const result = await db.query(
+      "SELECT * FROM payments WHERE id = $1 AND status = 'pending' AND stripe_checkout_session_id IS NULL",
+      [paymentId]
+    );
+    if (result.rows.length > 0) await transition(db, result.rows[0], 'failed', { id: null, type: 'checkout.create_failed' });
+  }
+
+  async function lockBy(db, column, value) {
+    if (!value) return null;
+    const result = await db.query(`SELECT * FROM payments WHERE ${column} = $1 FOR UPDATE`, [value]);
+    return result.rows[0] || null;
+  }
+
+  // Move a payment to a new state, updating any extra columns, and log it
+  async function transition(db, payment, status, event, { amount = null, ...fields } = {}) {
+    const columns = Object.keys(fields);
+    const result = await db.query(`
+      UPDATE payments SET status = $2, ${columns.map((c, i) => `${c} = $${i + 3}, `).join('')}updated_at = NOW()
+      WHERE id = $1 RETURNING *
+    `, [payment.id, status, ...columns.map(c => fields[c])]);
+    await db.query(`
+      INSERT INTO payment_events (payment_id, stripe_event_id, type, from_status, to_status, amount)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [payment.id, event.id, event.type, payment.status, status, amount]);
+    return result.rows[0];
+  }
+
+  async function fulfil(action, db, payment, cause) {
+    const handler = fulfilment[payment.kind];
+    if (handler) await handler[action](db, payment, cause);
+  }
+
+  // The payment for a Checkout session. A reserved payment whose session id
+  // was never saved is found by the payment_id in the session's metadata.
+  async function sessionPayment(db, session) {
+    const payment = await lockBy(db, 'stripe_checkout_session_id', session.id);
+    if (payment || !session.metadata?.payment_id) return payment;
+    const reserved = await lockBy(db, 'id', session.metadata.payment_id);
+    if (!reserved || reserved.stripe_checkout_session_id) return null;
+    return attachSession(reserved.id, session, db);
+  }
+
+  async function sessionCompleted(db, event) {
+    const session = event.data.object;
+    let payment = await sessionPayment(db, session);
+    if (!payment) {
+      // Checkouts started before the ledger existed
+      if (!session.metadata?.user_id) return;
+      payment = await recordCheckout(session, { userId: session.metadata.user_id, kind: session.metadata.kind || 'unlock' }, db);
+    }
+    if (session.payment_intent && !payment.stripe_payment_intent_id) {
+      await db.query('UPDATE payments SET stripe_payment_intent_id = $1 WHERE id = $2', [session.payment_intent, payment.id]);
+      payment.stripe_payment_intent_id = session.payment_intent;
+    }
+    // Delayed payment methods complete the session before the money arrives
+    if (session.payment_status !== 'paid' || payment.status !== 'pending') return;
+
+    const paid = await transition(db, payment, 'paid', event, {
+      amount: session.amount_total,
+      currency: session.currency,
+      paid_at: new Date()
+    });
+    await fulfil('grant', db, paid);
+  }
+
+  async function sessionClosed(status, db, event) {
+    const payment = await sessionPayment(db, event.data.object);
+    if (payment && payment.status === 'pending') await transition(db, payment, status, event);
+  }
+
+  async function chargeRefunded(db, event) {
+    const charge = event.data.object;
+    const payment = await lockBy(db, 'stripe_payment_intent_id', charge.payment_intent);
+    if (!payment || charge.amount_refunded <= payment.amount_refunded) return;
+
+    const full = charge.amount_refunded >= charge.amount;
+    const wasActive = ACTIVE_STATES.includes(payment.status);
+    // A refund during a dispute doesn't end the dispute
+    const status = payment.status === 'disputed' ? 'disputed' : full ? 'refunded' : 'partially_refunded';
+    const updated = await transition(db, payment, status, event, {
+      amount: charge.amount_refunded - payment.amount_refunded,
+      amount_refunded: charge.amount_refunded,
+      stripe_charge_id: charge.id,
+      refunded_at: new Date()
+    });
+    if (full && wasActive) await fulfil('revoke', db, updated, 'refund');
+  }
+
+  async function disputeCreated(db, event) {
+    const dispute = event.data.object;
+    const payment = await lockBy(db, 'stripe_payment_intent_id', dispute.payment_intent);
+    if (!payment || payment.status === 'disputed') return;
+
+    const wasActive = ACTIVE_STATES.includes(payment.status);
+    const updated = await transition(db, payment, 'disputed', event, { amount: dispute.amount, stripe_charge_id: dispute.charge });
+    if (wasActive) await fulfil('revoke', db, updated, 'dispute');
+  }
+
+  async function disputeClosed(db, event) {
+    const dispute = event.data.object;
+    const payment = await lockBy(db, 'stripe_payment_intent_id', dispute.payment_intent);
+    if (!payment || payment.status !== 'disputed') return;
+
+    if (dispute.status === 'lost') {
+      await transition(db, payment, 'charged_back', event, { amount: dispute.amount });
+      return;
+    }
+    // Won (or an inquiry closed without a chargeback): the money stays with us
+    const status = payment.amount_refunded >= payment.amount ? 'refunded'
+      : payment.amount_refunded > 0 ? 'partially_refunded' : 'paid';
+    const restored = await transition(db, payment, status, event, { amount: dispute.amount });
+    if (ACTIVE_STATES.includes(status)) await fulfil('grant', db, restored);
+  }
+
+  const handlers = {
+    'checkout.session.completed': sessionCompleted,
+    'checkout.session.async_payment_succeeded': sessionCompleted,
+    'checkout.session.async_payment_failed': (db, event) => sessionClosed('failed', db, event),
+    'checkout.session.expired': (db, event) => sessionClosed('expired', db, event),
+    'charge.refunded': chargeRefunded,
+    'charge.dispute.created': disputeCreated,
+    'charge.dispute.closed': disputeClosed
+  };
+
+  // Apply a verified webhook event once. Throws if it couldn't be applied, so
+  // the webhook can answer with an error and Stripe retries later.
+  async function handleEvent(event) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const fresh = await client.query(
+        'INSERT INTO stripe_events (id, type) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING RETURNING id',
+        [event.id, event.type]
+      );
+      if (fresh.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { duplicate: true };
+      }
+
+      const handler = handlers[event.type];
+      const extra = extraHandlers[event.type];
+      if (handler) await handler(client, event);
+      if (extra) await extra(client, event);
+      await client.query('COMMIT');
+      return { duplicate: false, handled: !!(handler || extra) };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { recordCheckout, reserveCheckout, attachSession, failCheckout, handleEvent };
+}
+
+module.exports = { createPaymentLedger, STATES, ACTIVE_STATES };
@@ -0,0 +1,26 @@
+// Staff roles (users.admin_role) and what each may do in /api/admin/*.
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    'dashboard:read', 'activity:read', 'users:read', 'users:moderate', 'listings:read', 'listings:moderate',
+    'conversations:read', 'conversations:moderate', 'reports:manage', 'reviews:moderate', 'payments:read',
+    'payments:manage', 'staff:manage', 'audit:read'
+  ],
+  moderator: [
+    'dashboard:read', 'activity:read', 'users:read', 'users:moderate', 'listings:read', 'listings:moderate',
+    'conversations:read', 'conversations:moderate', 'reports:manage', 'reviews:moderate'
+  ],
+  finance: ['dashboard:read', 'users:read', 'payments:read', 'payments:manage']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = { ADMIN_ROLES, permissionsFor, hasPermission };
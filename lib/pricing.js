@@ -0,0 +1,106 @@
+// Pricing for the seller messaging unlock. Admins manage the plans
+// (unlock_plans) and coupon codes (coupons); a coupon takes a percentage or a
+// fixed amount off a plan. All amounts are in cents.
+
+// Stripe won't charge less than 50 cents
+const MIN_CHARGE = 50;
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Codes are matched case-insensitively and stored upper-case
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function positiveInt(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new PricingError(`${field} must be a positive whole number`);
+  return n;
+}
+
+function optionalDate(value, field) {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new PricingError(`${field} must be a date`);
+  return date;
+}
+
+// Validate a plan from an admin request. With partial, only the fields present
+// are checked and returned.
+function parsePlan(body, { partial = false } = {}) {
+  const plan = {};
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) throw new PricingError('name is required');
+    plan.name = String(body.name).trim();
+  }
+  if (body.description !== undefined) plan.description = body.description ? String(body.description) : null;
+  if (!partial || body.amount !== undefined) {
+    plan.amount = positiveInt(body.amount, 'amount');
+    if (plan.amount < MIN_CHARGE) throw new PricingError(`amount must be at least ${MIN_CHARGE} cents`);
+  }
+  if (body.active !== undefined) plan.active = !!body.active;
+  if (body.is_default !== undefined) plan.is_default = !!body.is_default;
+  return plan;
+}
+
+// Validate a coupon from an admin request. The code and discount can't change
+// once created, so partial updates only accept the remaining fields.
+function parseCoupon(body, { partial = false } = {}) {
+  const coupon = {};
+  if (!partial) {
+    coupon.code = normalizeCode(body.code);
+    if (!/^[A-Z0-9][A-Z0-9_-]{2,39}$/.test(coupon.code)) {
+      throw new PricingError('code must be 3-40 letters, digits, dashes or underscores');
+    }
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      throw new PricingError(`discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    coupon.discount_type = body.discount_type;
+    coupon.discount_value = positiveInt(body.discount_value, 'discount_value');
+    if (coupon.discount_type === 'percent' && coupon.discount_value > 100) {
+      throw new PricingError('A percent discount can be at most 100');
+    }
+    coupon.plan_id = body.plan_id || null;
+  }
+  if (body.description !== undefined) coupon.description = body.description ? String(body.description) : null;
+  if (body.max_redemptions !== undefined) {
+    coupon.max_redemptions = body.max_redemptions === null ? null : positiveInt(body.max_redemptions, 'max_redemptions');
+  }
+  if (body.expires_at !== undefined) coupon.expires_at = optionalDate(body.expires_at, 'expires_at');
+  if (body.active !== undefined) coupon.active = !!body.active;
+  return coupon;
+}
+
+// Why a coupon can't be used for a plan right now, or null if it can
+function couponProblem(coupon, plan, now = new Date()) {
+  if (!coupon || !coupon.active) return 'This code is not valid';
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) return 'This code has expired';
+  if (coupon.plan_id && coupon.plan_id !== plan.id) return 'This code does not apply to this plan';
+  if (coupon.max_redemptions !== null && coupon.redemptions >= coupon.max_redemptions) {
+    return 'This code has been fully redeemed';
+  }
+  return null;
+}
+
+// Price of a plan after a coupon: { list, discount, amount }. A total below
+// Stripe's minimum can't be charged, so it's rejected unless it is free.
+function quote(plan, coupon = null) {
+  let discount = 0;
+  if (coupon) {
+    discount = coupon.discount_type === 'percent'
+      ? Math.round(plan.amount * coupon.discount_value / 100)
+      : coupon.discount_value;
+    discount = Math.min(discount, plan.amount);
+  }
+  const amount = plan.amount - discount;
+  if (amount > 0 && amount < MIN_CHARGE) throw new PricingError("This code can't be used with this plan");
+  return { list: plan.amount, discount, amount };
+}
+
+module.exports = { PricingError, normalizeCode, parsePlan, parseCoupon, couponProblem, quote };
@@ -0,0 +1,43 @@
+// Public profile fields for sellers and dealers (business accounts). As with
+// listings, validation errors are keyed by field.
+
+const LIMITS = { name: 255, phone: 50, bio: 5000, location: 255, website: 255 };
+
+class ProfileError extends Error {
+  constructor(fields, message = 'Some fields are invalid') {
+    super(message);
+    this.status = 400;
+    this.fields = fields;
+  }
+}
+
+// The allowed fields present in body, trimmed. An empty string clears an
+// optional field (null); name can't be cleared.
+function parseProfileFields(body, allowed) {
+  const fields = {};
+  const errors = {};
+  for (const field of allowed) {
+    if (body[field] === undefined || body[field] === null) continue;
+    const value = String(body[field]).trim();
+    if (field === 'name' && !value) errors.name = 'name is required';
+    else if (value.length > LIMITS[field]) errors[field] = `${field} can be at most ${LIMITS[field]} characters`;
+    else if (field === 'website' && value && !/^https?:\/\/\S+$/i.test(value)) errors.website = 'website must be an http(s) URL';
+    else fields[field] = value || null;
+  }
+  if (Object.keys(errors).length > 0) throw new ProfileError(errors);
+  return fields;
+}
+
+// name, phone, bio and location of my own account
+function parseSellerProfile(body) {
+  return parseProfileFields(body, ['name', 'phone', 'bio', 'location']);
+}
+
+// A dealer's details; name is required when the dealer is created
+function parseDealer(body, { creating = false } = {}) {
+  const fields = parseProfileFields(body, ['name', 'bio', 'location', 'website', 'phone']);
+  if (creating && !fields.name) throw new ProfileError({ name: 'name is required' });
+  return fields;
+}
+
+module.exports = { ProfileError, parseSellerProfile, parseDealer };
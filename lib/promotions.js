@@ -0,0 +1,10 @@
+// Paid listing promotions (listing_promotions). A promotion is pending until
+// its checkout is paid, active while it runs, then expired, or cancelled if
+// its payment is refunded or charged back. Plans and prices are set in server.js.
+
+const PROMOTION_STATUSES = ['pending', 'active', 'expired', 'cancelled'];
+
+// The listing column holding when each type of promotion ends
+const PROMOTION_COLUMNS = { featured: 'featured_until', boost: 'boosted_until' };
+
+module.exports = { PROMOTION_STATUSES, PROMOTION_COLUMNS };
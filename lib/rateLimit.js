@@ -0,0 +1,107 @@
+// Request rate limits and sign-in lockouts. Counts live in Postgres so every
+// server instance sees the same numbers.
+//
+// Rate limits count requests per key (an IP address, a user, an email) in
+// fixed windows in rate_limits. Lockouts count failed sign-ins per key (the
+// caller's choice, e.g. account and IP) in login_failures: after maxFailures
+// (or a per-key max) the key is locked for lockoutMs, and each failure after a
+// lockout ends doubles it, up to maxLockoutMs. A key that stays quiet for
+// lockoutMs after its last failure (or lockout) starts again from zero. If the
+// counters can't be reached, requests are let through rather than refused,
+// except by limits created with failOpen: false (503).
+
+const LOCKED_MESSAGE = 'Too many failed sign-in attempts. Try again later.';
+
+function tooMany(res, retryAfter, body) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ ...body, retry_after: retryAfter });
+}
+
+function createRateLimiter({ pool, maxFailures = 5, lockoutMs = 15 * 60 * 1000, maxLockoutMs = 24 * 60 * 60 * 1000 }) {
+  // Count a request against key. Returns the count in the current window and
+  // the seconds until the window ends.
+  async function hit(key, windowMs) {
+    const result = await pool.query(`
+      WITH w AS (SELECT to_timestamp(floor(EXTRACT(EPOCH FROM NOW()) * 1000 / $2) * $2 / 1000.0) AS start)
+      INSERT INTO rate_limits (key, window_start, hits) SELECT $1, w.start, 1 FROM w
+      ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limits.hits + 1
+      RETURNING hits, CEIL(EXTRACT(EPOCH FROM window_start + make_interval(secs => $2 / 1000.0) - NOW()))::int AS retry_after
+    `, [key, windowMs]);
+    return { count: result.rows[0].hits, retryAfter: Math.max(1, result.rows[0].retry_after) };
+  }
+
+  // Middleware allowing max requests per windowMs for each key(req) (the
+  // client IP by default). A key of null skips the limit.
+  function limit({ name, max, windowMs, key = req => req.ip, failOpen = true }) {
+    return async (req, res, next) => {
+      try {
+        const value = key(req);
+        if (value === null || value === undefined) return next();
+        const { count, retryAfter } = await hit(`${name}:${value}`, windowMs);
+        if (count > max) {
+          return tooMany(res, retryAfter, { error: 'Too many requests. Try again later.', code: 'rate_limited' });
+        }
+        next();
+      } catch (err) {
+        console.error('Rate limit error:', err);
+        if (!failOpen) return res.status(503).json({ error: 'Service unavailable. Try again later.' });
+        next();
+      }
+    };
+  }
+
+  // Seconds until a locked account can try again, or 0
+  async function lockedFor(key) {
+    const result = await pool.query(
+      'SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int AS seconds FROM login_failures WHERE key = $1 AND locked_until > NOW()',
+      [key]
+    );
+    return result.rows[0]?.seconds || 0;
+  }
+
+  // Record a failed sign-in. Returns the seconds the account is now locked
+  // for, or 0. max overrides maxFailures for this key.
+  async function recordFailure(key, max = maxFailures) {
+    const result = await pool.query(`
+      INSERT INTO login_failures (key, failures, last_failure_at) VALUES ($1, 1, NOW())
+      ON CONFLICT (key) DO UPDATE SET
+        failures = CASE
+          WHEN GREATEST(login_failures.last_failure_at, login_failures.locked_until) < NOW() - make_interval(secs => $2 / 1000.0) THEN 1
+          ELSE login_failures.failures + 1
+        END,
+        last_failure_at = NOW()
+      RETURNING failures
+    `, [key, lockoutMs]);
+    const { failures } = result.rows[0];
+    if (failures < max) return 0;
+
+    const ms = Math.min(lockoutMs * 2 ** (failures - max), maxLockoutMs);
+    await pool.query(
+      'UPDATE login_failures SET locked_until = NOW() + make_interval(secs => $2 / 1000.0) WHERE key = $1',
+      [key, ms]
+    );
+    return Math.ceil(ms / 1000);
+  }
+
+  async function clearFailures(key) {
+    await pool.query('DELETE FROM login_failures WHERE key = $1', [key]);
+  }
+
+  // 429 for a locked account
+  function lockedResponse(res, seconds) {
+    return tooMany(res, seconds, { error: LOCKED_MESSAGE, code: 'login_locked' });
+  }
+
+  // Old windows, and failures long enough ago that they no longer count
+  async function prune() {
+    await pool.query("DELETE FROM rate_limits WHERE window_start < NOW() - INTERVAL '1 day'");
+    await pool.query(
+      'DELETE FROM login_failures WHERE GREATEST(last_failure_at, locked_until) < NOW() - make_interval(secs => $1 / 1000.0)',
+      [maxLockoutMs]
+    );
+  }
+
+  return { hit, limit, lockedFor, recordFailure, clearFailures, lockedResponse, prune };
+}
+
+module.exports = { createRateLimiter };
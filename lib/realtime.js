@@ -0,0 +1,97 @@
+// WebSocket channel for live conversation events. Clients connect to
+// /api/ws?token=<access token> (browsers can't set headers on the upgrade
+// request) and exchange JSON events shaped { type, ...data }. A user can have
+// several sockets open, one per tab or device.
+const { WebSocketServer } = require('ws');
+
+const HEARTBEAT_MS = 30 * 1000;
+
+class RealtimeError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// authenticate(token) resolves to the token payload ({ id, sid, ... }) or null.
+// onEvent(user, event) handles events sent by the client.
+function createRealtime({ server, path = '/api/ws', authenticate, onEvent }) {
+  const wss = new WebSocketServer({ noServer: true });
+  const sockets = new Map(); // user id -> Set of sockets
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return socket.destroy();
+
+    let user = null;
+    try { user = await authenticate(url.searchParams.get('token')); } catch {}
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, user));
+  });
+
+  wss.on('connection', (ws, user) => {
+    ws.user = user;
+    ws.alive = true;
+    if (!sockets.has(user.id)) sockets.set(user.id, new Set());
+    sockets.get(user.id).add(ws);
+
+    ws.on('pong', () => { ws.alive = true; });
+    ws.on('message', async raw => {
+      let event;
+      try {
+        event = JSON.parse(raw);
+      } catch {
+        return send(ws, { type: 'error', error: 'Events must be JSON' });
+      }
+      try {
+        await onEvent(user, event);
+      } catch (err) {
+        if (!(err instanceof RealtimeError)) console.error('Realtime event error:', err);
+        send(ws, { type: 'error', error: err instanceof RealtimeError ? err.message : 'Server error', event: event.type });
+      }
+    });
+    ws.on('close', () => {
+      const set = sockets.get(user.id);
+      if (!set) return;
+      set.delete(ws);
+      if (set.size === 0) sockets.delete(user.id);
+    });
+
+    send(ws, { type: 'ready' });
+  });
+
+  // Drop sockets that stopped answering pings
+  setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.alive) {
+        ws.terminate();
+        continue;
+      }
+      ws.alive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS).unref();
+
+  function send(ws, event) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  }
+
+  function sendToUser(userId, event) {
+    for (const ws of sockets.get(userId) || []) send(ws, event);
+  }
+
+  // Close a user's sockets whose session matches (all of them by default),
+  // e.g. after logout or a ban
+  function closeSessions(userId, matches = () => true) {
+    for (const ws of sockets.get(userId) || []) {
+      if (matches(ws.user.sid)) ws.close(4001, 'Session ended');
+    }
+  }
+
+  return { sendToUser, closeSessions };
+}
+
+module.exports = { createRealtime, RealtimeError };
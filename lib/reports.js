@@ -0,0 +1,190 @@
+const { formatCsv } = require('./csv');
+const { isIsoDay } = require('./validate');
+
+// Admin reports over a date range, grouped by day, week (starting Monday) or
+// month. Each report is one query returning a row per period (the listings
+// report has a row per period and converter). Money is in dollars.
+
+const GROUPS = ['day', 'week', 'month'];
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 3 * 366;
+
+class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Every period in the range. In each query $1 is the first day and $2 the
+// day after the last.
+const periods = group => `
+  SELECT generate_series(date_trunc('${group}', $1::date), ($2::date - 1), INTERVAL '1 ${group}') AS period
+`;
+
+// Each conversation's first buyer message and the first reply after it from
+// the seller's side (the seller or their dealer staff, not an offer event),
+// for conversations c matching where
+const firstReplies = (where = 'TRUE') => `
+  SELECT c.id, c.seller_id, b.asked_at,
+    (SELECT MIN(m.created_at) FROM messages m
+     WHERE m.conversation_id = c.id AND m.sender_id != c.buyer_id AND m.offer_event IS NULL
+       AND m.created_at > b.asked_at) AS replied_at
+  FROM conversations c
+  CROSS JOIN LATERAL (SELECT MIN(created_at) AS asked_at FROM messages WHERE conversation_id = c.id AND sender_id = c.buyer_id) b
+  WHERE ${where}
+`;
+
+const REPORTS = {
+  signups: {
+    title: 'Signups by role',
+    columns: ['period', 'buyers', 'sellers', 'both', 'total'],
+    sql: group => `
+      SELECT to_char(p.period, 'YYYY-MM-DD') AS period,
+        COUNT(u.id) FILTER (WHERE u.role = 'buyer')::int AS buyers,
+        COUNT(u.id) FILTER (WHERE u.role = 'seller')::int AS sellers,
+        COUNT(u.id) FILTER (WHERE u.role = 'both')::int AS both,
+        COUNT(u.id)::int AS total
+      FROM (${periods(group)}) p
+      LEFT JOIN users u ON date_trunc('${group}', u.created_at) = p.period AND u.created_at >= $1 AND u.created_at < $2
+      GROUP BY p.period ORDER BY p.period
+    `
+  },
+  // Payments count in the period they were paid; refunds and disputes are
+  // taken off the period of the payment they belong to, as on the dashboard
+  revenue: {
+    title: 'Unlocks and revenue',
+    columns: ['period', 'paid_unlocks', 'complimentary_unlocks', 'unlock_revenue', 'promotion_revenue', 'gross', 'refunded', 'disputed', 'net'],
+    sql: group => `
+      WITH paid AS (
+        SELECT date_trunc('${group}', paid_at) AS period,
+          COUNT(*) FILTER (WHERE kind = 'unlock')::int AS paid_unlocks,
+          COALESCE(SUM(amount) FILTER (WHERE kind = 'unlock'), 0)::bigint AS unlock_revenue,
+          COALESCE(SUM(amount) FILTER (WHERE kind = 'promotion'), 0)::bigint AS promotion_revenue,
+          COALESCE(SUM(amount), 0)::bigint AS gross,
+          COALESCE(SUM(amount_refunded), 0)::bigint AS refunded,
+          COALESCE(SUM(amount - amount_refunded) FILTER (WHERE status IN ('disputed', 'charged_back')), 0)::bigint AS disputed
+        FROM payments WHERE paid_at >= $1 AND paid_at < $2
+        GROUP BY 1
+      ), comp AS (
+        SELECT date_trunc('${group}', created_at) AS period, COUNT(*)::int AS complimentary_unlocks
+        FROM complimentary_unlocks WHERE created_at >= $1 AND created_at < $2
+        GROUP BY 1
+      )
+      SELECT to_char(p.period, 'YYYY-MM-DD') AS period,
+        COALESCE(paid.paid_unlocks, 0) AS paid_unlocks,
+        COALESCE(comp.complimentary_unlocks, 0) AS complimentary_unlocks,
+        COALESCE(paid.unlock_revenue, 0) / 100.0::float8 AS unlock_revenue,
+        COALESCE(paid.promotion_revenue, 0) / 100.0::float8 AS promotion_revenue,
+        COALESCE(paid.gross, 0) / 100.0::float8 AS gross,
+        COALESCE(paid.refunded, 0) / 100.0::float8 AS refunded,
+        COALESCE(paid.disputed, 0) / 100.0::float8 AS disputed,
+        (COALESCE(paid.gross, 0) - COALESCE(paid.refunded, 0) - COALESCE(paid.disputed, 0)) / 100.0::float8 AS net
+      FROM (${periods(group)}) p
+      LEFT JOIN paid ON paid.period = p.period
+      LEFT JOIN comp ON comp.period = p.period
+      ORDER BY p.period
+    `
+  },
+  // Listings count when they were first published
+  listings: {
+    title: 'New listings by converter',
+    columns: ['period', 'converter', 'listings'],
+    sql: group => `
+      SELECT to_char(date_trunc('${group}', published_at), 'YYYY-MM-DD') AS period, converter, COUNT(*)::int AS listings
+      FROM listings
+      WHERE published_at >= $1 AND published_at < $2
+      GROUP BY 1, 2
+      ORDER BY 1, 3 DESC, 2
+    `
+  },
+  // Offer events posted in a conversation count as messages from whoever
+  // made the offer or responded to it
+  messages: {
+    title: 'Messages sent',
+    columns: ['period', 'messages', 'offer_messages', 'conversations'],
+    sql: group => `
+      WITH sent AS (
+        SELECT date_trunc('${group}', created_at) AS period,
+          COUNT(*) FILTER (WHERE offer_event IS NULL)::int AS messages,
+          COUNT(*) FILTER (WHERE offer_event IS NOT NULL)::int AS offer_messages
+        FROM messages WHERE created_at >= $1 AND created_at < $2
+        GROUP BY 1
+      ), started AS (
+        SELECT date_trunc('${group}', created_at) AS period, COUNT(*)::int AS conversations
+        FROM conversations WHERE created_at >= $1 AND created_at < $2
+        GROUP BY 1
+      )
+      SELECT to_char(p.period, 'YYYY-MM-DD') AS period, COALESCE(sent.messages, 0) AS messages, COALESCE(sent.offer_messages, 0) AS offer_messages,
+        COALESCE(started.conversations, 0) AS conversations
+      FROM (${periods(group)}) p
+      LEFT JOIN sent ON sent.period = p.period
+      LEFT JOIN started ON started.period = p.period
+      ORDER BY p.period
+    `
+  },
+  // Conversations count in the period of the buyer's first message; the
+  // reply is the seller's first message after it
+  response_times: {
+    title: 'Time to first seller reply',
+    columns: ['period', 'conversations', 'replied', 'median_reply_minutes'],
+    sql: group => `
+      WITH firsts AS (${firstReplies()}), asked AS (
+        SELECT date_trunc('${group}', asked_at) AS period,
+          COUNT(*)::int AS conversations,
+          COUNT(replied_at)::int AS replied,
+          ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM replied_at - asked_at)) / 60)::numeric, 1)::float8 AS median_reply_minutes
+        FROM firsts WHERE asked_at >= $1 AND asked_at < $2
+        GROUP BY 1
+      )
+      SELECT to_char(p.period, 'YYYY-MM-DD') AS period, COALESCE(asked.conversations, 0) AS conversations, COALESCE(asked.replied, 0) AS replied,
+        asked.median_reply_minutes
+      FROM (${periods(group)}) p
+      LEFT JOIN asked ON asked.period = p.period
+      ORDER BY p.period
+    `
+  }
+};
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return isoDay(new Date(new Date(day).getTime() + days * 24 * 60 * 60 * 1000));
+}
+
+// { from, to, group_by } from the query string. from and to are YYYY-MM-DD
+// and inclusive; the default is the last DEFAULT_DAYS days by week.
+function parseReportQuery(query = {}, now = new Date()) {
+  const day = (value, name) => {
+    if (!isIsoDay(value)) throw new ReportError(`${name} must be a date (YYYY-MM-DD)`);
+    return value;
+  };
+  const to = query.to ? day(query.to, 'to') : isoDay(now);
+  const from = query.from ? day(query.from, 'from') : addDays(to, 1 - DEFAULT_DAYS);
+  if (from > to) throw new ReportError('from must be on or before to');
+  if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1 > MAX_DAYS) {
+    throw new ReportError(`A report can cover at most ${MAX_DAYS} days`);
+  }
+  const group = query.group_by || 'week';
+  if (!GROUPS.includes(group)) throw new ReportError(`group_by must be one of: ${GROUPS.join(', ')}`);
+  return { from, to, group_by: group };
+}
+
+// Run a report. Periods are named by their first day (YYYY-MM-DD), which
+// can be before from when it falls mid-week or mid-month.
+async function runReport(db, name, { from, to, group_by: group }) {
+  const report = REPORTS[name];
+  if (!report) throw new ReportError('Report not found', 404);
+  const result = await db.query(report.sql(group), [from, addDays(to, 1)]);
+  return { report: name, title: report.title, from, to, group_by: group, columns: report.columns, rows: result.rows };
+}
+
+function reportCsv({ columns, rows }) {
+  return formatCsv(columns, rows);
+}
+
+const REPORT_LIST = Object.entries(REPORTS).map(([name, { title, columns }]) => ({ name, title, columns }));
+
+module.exports = { ReportError, GROUPS, REPORT_LIST, parseReportQuery, runReport, reportCsv, firstReplies };
@@ -0,0 +1,41 @@
+// Buyer reviews of sellers. A review, and the seller's one public reply to
+// it, are held for moderation and only shown once staff publish them.
+
+const REVIEW_STATUSES = ['pending', 'published', 'rejected'];
+const MIN_BODY = 10;
+const MAX_BODY = 5000;
+
+class ReviewError extends Error {
+  constructor(fields, message = 'Some fields are invalid') {
+    super(message);
+    this.status = 400;
+    this.fields = fields;
+  }
+}
+
+function parseText(value, name) {
+  const text = String(value ?? '').trim();
+  if (text.length < MIN_BODY) return [null, `${name} must be at least ${MIN_BODY} characters`];
+  if (text.length > MAX_BODY) return [null, `${name} can be at most ${MAX_BODY} characters`];
+  return [text, null];
+}
+
+// { rating, body }: a whole number of stars from 1 to 5 and the written review
+function parseReview(body) {
+  const errors = {};
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) errors.rating = 'rating must be a whole number from 1 to 5';
+  const [text, bodyError] = parseText(body.body, 'body');
+  if (bodyError) errors.body = bodyError;
+  if (Object.keys(errors).length > 0) throw new ReviewError(errors);
+  return { rating, body: text };
+}
+
+// The seller's reply ({ body })
+function parseReply(body) {
+  const [text, error] = parseText(body.body, 'body');
+  if (error) throw new ReviewError({ body: error });
+  return text;
+}
+
+module.exports = { REVIEW_STATUSES, ReviewError, parseReview, parseReply };
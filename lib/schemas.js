@@ -0,0 +1,185 @@
+const { STATUSES: LISTING_STATUSES } = require('./listingLifecycle');
+const { REVIEW_STATUSES } = require('./reviews');
+const { ADMIN_ROLES } = require('./permissions');
+const { OFFER_STATUSES } = require('./offers');
+const { STATES: DEPOSIT_STATUSES } = require('./deposits');
+const { STATES: PAYMENT_STATUSES } = require('./payments');
+const { PROMOTION_STATUSES } = require('./promotions');
+const { REPORT_TARGETS, REPORT_CATEGORIES } = require('./moderationReports');
+
+// Request schemas for every route that reads input, checked by validate()
+// before the handler runs (see lib/validate.js for the rules). They cover
+// shapes and sizes; handlers and the lib/ parsers still check meaning, e.g.
+// listing fields, offer terms and whether a coupon applies. Ids in the path
+// (:id, :userId, ...) are checked for every route in server.js.
+
+const MAX_TEXT = 10000;
+
+const uuid = { type: 'uuid' };
+const requiredUuid = { type: 'uuid', required: true };
+const email = { type: 'email', required: true };
+const password = { type: 'string', required: true, max: 200 };
+const newPassword = { type: 'string', required: true, min: 8, max: 200 };
+const token = { type: 'string', required: true, max: 500 };
+const reason = { type: 'string', required: true, max: 2000 };
+const flag = { type: 'boolean' };
+const oneOf = (...values) => ({ type: 'enum', values });
+
+// ?page=&limit= as read by parsePagination
+const page = { page: { type: 'integer', min: 1 }, limit: { type: 'integer', min: 1, max: 100 } };
+
+module.exports = {
+  // Auth
+  signup: {
+    body: {
+      name: { type: 'string', required: true, max: 255 },
+      email,
+      password: newPassword,
+      role: oneOf('buyer', 'seller', 'both')
+    }
+  },
+  login: { body: { email, password } },
+  refresh: { body: { refresh_token: token } },
+  logout: { body: { refresh_token: { type: 'string', max: 500 } } },
+  changePassword: { body: { current_password: password, new_password: newPassword } },
+  profile: {
+    body: {
+      name: { type: 'string', max: 255 },
+      phone: { type: 'string', max: 50 },
+      bio: { type: 'string', max: 5000 },
+      location: { type: 'string', max: 255 }
+    }
+  },
+  verifyEmail: { body: { token } },
+  forgotPassword: { body: { email } },
+  resetPassword: { body: { token, password: newPassword } },
+
+  // Listings. Listing fields themselves are checked by parseListingFields,
+  // which accepts "$450,000" style values.
+  browse: { query: { ...page, search: { type: 'string', max: 200 }, featured: flag } },
+  listingSuggest: { query: { q: { type: 'string', max: 100 } } },
+  myListings: { query: { status: { type: 'enum', values: LISTING_STATUSES } } },
+  listingExport: { query: { format: oneOf('csv', 'json') } },
+  listingImport: { query: { format: oneOf('csv', 'json'), dry_run: flag } },
+  createListing: {
+    body: {
+      photos: { type: 'array', max: 50, items: { type: 'string', required: true, max: 2000 } }
+    }
+  },
+  editListing: { body: { status: { type: 'enum', values: LISTING_STATUSES } } },
+  analyticsRange: {
+    query: { from: { type: 'string', max: 10 }, to: { type: 'string', max: 10 }, days: { type: 'integer', min: 1, max: 366 } }
+  },
+  photoOrder: { body: { photo_ids: { type: 'array', required: true, max: 100, items: requiredUuid } } },
+
+  // Profiles and dealers
+  dealer: {
+    body: {
+      name: { type: 'string', max: 255 },
+      bio: { type: 'string', max: 5000 },
+      location: { type: 'string', max: 255 },
+      website: { type: 'string', max: 255 },
+      phone: { type: 'string', max: 50 }
+    }
+  },
+  dealerInvitation: { body: { email } },
+
+  // Messages, offers and deposits
+  startConversation: { body: { listing_id: requiredUuid } },
+  messagePage: { query: { before: uuid, after: uuid, limit: { type: 'integer', min: 1, max: 100 } } },
+  markRead: { body: { message_ids: { type: 'array', max: 500, items: requiredUuid } } },
+  sendMessage: { body: { text: { type: 'string', max: MAX_TEXT } } },
+  attachment: { query: { size: oneOf('thumb', 'full'), token: { type: 'string', max: 2000 } } },
+  offer: {
+    body: {
+      amount: { type: 'integer', required: true, min: 1 },
+      expires_at: { type: 'date', nullable: true },
+      message: { type: 'string', max: 2000 }
+    }
+  },
+  offerResponse: {
+    body: {
+      amount: { type: 'integer', min: 1 },
+      expires_at: { type: 'date', nullable: true },
+      message: { type: 'string', max: 2000 }
+    }
+  },
+  offerList: { query: { ...page, role: oneOf('buyer', 'seller'), status: { type: 'enum', values: OFFER_STATUSES }, listing_id: uuid } },
+  releaseDeposit: { body: { reason: { type: 'string', max: 2000 } } },
+  depositList: { query: { ...page, role: oneOf('buyer', 'seller'), status: { type: 'enum', values: DEPOSIT_STATUSES }, listing_id: uuid } },
+
+  // Saved coaches and searches, notifications
+  save: { body: { listing_id: requiredUuid } },
+  saveSearch: { body: { name: { type: 'string', required: true, max: 100 }, filters: { type: 'object' } } },
+  page: { query: page },
+  notificationPreferences: { body: { message_emails: { type: 'enum', required: true, values: ['instant', 'daily', 'off'] } } },
+  unsubscribe: { query: { token } },
+
+  // Payments and promotions
+  quote: { query: { plan_id: uuid, code: { type: 'string', max: 40 } } },
+  checkout: { body: { plan_id: uuid, code: { type: 'string', max: 40 } } },
+  promote: { body: { plan: { type: 'string', required: true, max: 50 } } },
+
+  // Reviews and reports. Which statuses a report can move to depends on where
+  // it is now, so the handler checks that.
+  review: { body: { rating: { type: 'integer', required: true, min: 1, max: 5 }, body: { type: 'string', required: true, max: 5000 } } },
+  reviewReply: { body: { body: { type: 'string', required: true, max: 5000 } } },
+  report: {
+    body: {
+      target_type: { type: 'enum', required: true, values: REPORT_TARGETS },
+      target_id: requiredUuid,
+      category: { type: 'enum', required: true, values: REPORT_CATEGORIES },
+      details: { type: 'string', max: 2000 }
+    }
+  },
+
+  // Admin
+  adminLogin: { body: { email, password } },
+  reason: { body: { reason } },
+  adminListings: { query: { status: { type: 'enum', values: LISTING_STATUSES } } },
+  activity: { query: { ...page, type: { type: 'string', max: 200 } } },
+  statsReport: { query: { from: { type: 'date' }, to: { type: 'date' }, group_by: oneOf('day', 'week', 'month'), format: oneOf('csv', 'json') } },
+  payments: { query: { ...page, status: { type: 'enum', values: PAYMENT_STATUSES }, kind: { type: 'string', max: 30 }, user_id: uuid } },
+  promotions: { query: { ...page, status: { type: 'enum', values: PROMOTION_STATUSES }, listing_id: uuid } },
+  unlockPlan: {
+    body: {
+      name: { type: 'string', max: 255 },
+      description: { type: 'string', nullable: true, max: 2000 },
+      amount: { type: 'integer', min: 1 },
+      active: flag,
+      is_default: flag
+    }
+  },
+  coupon: {
+    body: {
+      code: { type: 'string', max: 40 },
+      discount_type: oneOf('percent', 'fixed'),
+      discount_value: { type: 'integer', min: 1 },
+      plan_id: { type: 'uuid', nullable: true },
+      description: { type: 'string', nullable: true, max: 2000 },
+      max_redemptions: { type: 'integer', nullable: true, min: 1 },
+      expires_at: { type: 'date', nullable: true },
+      active: flag
+    }
+  },
+  activeFilter: { query: { ...page, active: flag } },
+  adminDeposits: { query: { ...page, status: { type: 'enum', values: DEPOSIT_STATUSES }, listing_id: uuid, user_id: uuid, capture_failed: { type: 'boolean' } } },
+  staffRole: { body: { admin_role: { type: 'enum', nullable: true, values: ADMIN_ROLES } } },
+  auditLog: { query: { ...page, admin_id: uuid, action: { type: 'string', max: 100 }, target_id: uuid } },
+  adminEditListing: { body: { reason, status: { type: 'enum', values: LISTING_STATUSES } } },
+  suspend: { body: { reason, until: { type: 'date' }, days: { type: 'integer', min: 1, max: 3650 } } },
+  adminReviews: { query: { ...page, status: { type: 'enum', values: REVIEW_STATUSES }, reply_status: { type: 'enum', values: REVIEW_STATUSES } } },
+  adminReports: {
+    query: {
+      ...page,
+      status: { type: 'string', max: 100 },
+      target_type: { type: 'enum', values: REPORT_TARGETS },
+      category: { type: 'enum', values: REPORT_CATEGORIES },
+      listing_id: uuid,
+      conversation_id: uuid
+    }
+  },
+  updateReport: {
+    body: { status: { type: 'string', required: true, max: 20 }, note: { type: 'string', max: 2000 } }
+  }
+};
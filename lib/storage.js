@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pluggable file storage. Pick a driver with STORAGE_DRIVER ('local' or 's3').
+// Every driver exposes put(key, buffer, contentType) -> public URL, get(key) -> Buffer
+// and remove(key). Private storage (message attachments) is never served directly:
+// put() returns null and files are read back with get() after an access check.
+
+function localDriver({ isPrivate }) {
+  const root = path.resolve(isPrivate
+    ? process.env.PRIVATE_UPLOAD_DIR || 'private-uploads'
+    : process.env.UPLOAD_DIR || 'uploads');
+  const baseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+  return {
+    name: 'local',
+    root,
+    async put(key, buffer) {
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return isPrivate ? null : `${baseUrl}/uploads/${key}`;
+    },
+    async get(key) {
+      return fs.readFile(path.join(root, key));
+    },
+    async remove(key) {
+      await fs.rm(path.join(root, key), { force: true });
+    }
+  };
+}
+
+// Works with AWS S3 and S3-compatible services (R2, Spaces, MinIO) via S3_ENDPOINT
+function s3Driver({ isPrivate }) {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const bucket = isPrivate ? process.env.S3_PRIVATE_BUCKET : process.env.S3_BUCKET;
+  if (!bucket) throw new Error(`${isPrivate ? 'S3_PRIVATE_BUCKET' : 'S3_BUCKET'} is required when STORAGE_DRIVER=s3`);
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: !!process.env.S3_ENDPOINT,
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  const baseUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable'
+      }));
+      return isPrivate ? null : `${baseUrl}/${key}`;
+    },
+    async get(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+const drivers = { local: localDriver, s3: s3Driver };
+
+function createStorage(name = process.env.STORAGE_DRIVER || 'local', { isPrivate = false } = {}) {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver({ isPrivate });
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Opaque single-use tokens (email verification, password reset, ...).
+// Only the SHA-256 hash is stored; the raw token goes to the user once.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+// Tamper-proof values for links that must work without signing in (e.g. one-click
+// unsubscribe): "<value>.<hmac>". Returns the value, or null if the signature is wrong.
+function signValue(value, secret) {
+  const mac = crypto.createHmac('sha256', secret).update(String(value)).digest('base64url');
+  return `${value}.${mac}`;
+}
+
+function verifySignedValue(signed, secret) {
+  const i = String(signed || '').lastIndexOf('.');
+  if (i < 1) return null;
+  const value = signed.slice(0, i);
+  const expected = Buffer.from(signValue(value, secret));
+  const given = Buffer.from(String(signed));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? value : null;
+}
+
+module.exports = { createToken, hashToken, signValue, verifySignedValue };
@@ -0,0 +1,139 @@
+const { validate: isUuid } = require('uuid');
+
+// Declarative request validation. A schema maps each part of the request
+// (params, query, body) to its fields, and each field to a rule:
+//
+//   { type, required, nullable, min, max, values, pattern, items }
+//
+// Types: string, email, uuid, integer, number, boolean, date, enum, array,
+// object and any. For strings min/max are lengths, for numbers values and
+// for arrays item counts. Query string values arrive as strings, so integer,
+// number and boolean also accept their string forms; values are checked,
+// never converted. Fields a schema doesn't mention are left alone.
+//
+// Errors come back like every other field-level error in the API:
+// 400 { error, fields: { name: message } }.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER = /^-?\d+$/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}/;
+
+// A calendar day written YYYY-MM-DD. Date alone would roll 2024-02-30 over
+// to March 1st, so the day has to come back out unchanged.
+function isIsoDay(value) {
+  if (typeof value !== 'string' || value.length !== 10 || !ISO_DAY.test(value)) return false;
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+class ValidationError extends Error {
+  constructor(fields, message = 'Some fields are invalid') {
+    super(message);
+    this.status = 400;
+    this.fields = fields;
+  }
+}
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function checkRange(rule, name, size, unit = '') {
+  if (rule.min !== undefined && size < rule.min) return `${name} must be at least ${rule.min}${unit}`;
+  if (rule.max !== undefined && size > rule.max) return `${name} must be at most ${rule.max}${unit}`;
+  return null;
+}
+
+const TYPES = {
+  string(rule, name, value) {
+    if (typeof value !== 'string') return `${name} must be a string`;
+    if (rule.pattern && !rule.pattern.test(value)) return rule.message || `${name} is not in the right format`;
+    return checkRange(rule, name, value.length, ' characters');
+  },
+  email(rule, name, value) {
+    if (typeof value !== 'string' || value.length > (rule.max || 255) || !EMAIL.test(value.trim())) return `${name} must be an email address`;
+    return null;
+  },
+  uuid(rule, name, value) {
+    return typeof value === 'string' && isUuid(value) ? null : `${name} must be a UUID`;
+  },
+  integer(rule, name, value) {
+    const ok = typeof value === 'number' ? Number.isInteger(value) : typeof value === 'string' && INTEGER.test(value);
+    return ok ? checkRange(rule, name, Number(value)) : `${name} must be a whole number`;
+  },
+  number(rule, name, value) {
+    const ok = typeof value === 'number' ? Number.isFinite(value) : typeof value === 'string' && NUMBER.test(value);
+    return ok ? checkRange(rule, name, Number(value)) : `${name} must be a number`;
+  },
+  boolean(rule, name, value) {
+    return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : `${name} must be true or false`;
+  },
+  date(rule, name, value) {
+    const ok = typeof value === 'string' && !isNaN(new Date(value)) &&
+      (!ISO_DAY.test(value) || isIsoDay(value.slice(0, 10)));
+    return ok ? null : `${name} must be a date`;
+  },
+  enum(rule, name, value) {
+    return rule.values.includes(value) ? null : `${name} must be one of: ${rule.values.join(', ')}`;
+  },
+  array(rule, name, value) {
+    if (!Array.isArray(value)) return `${name} must be a list`;
+    const range = checkRange(rule, name, value.length, ' items');
+    if (range || !rule.items) return range;
+    for (let i = 0; i < value.length; i++) {
+      const error = checkField(rule.items, `${name}[${i}]`, value[i]);
+      if (error) return error;
+    }
+    return null;
+  },
+  object(rule, name, value) {
+    return isObject(value) ? null : `${name} must be an object`;
+  },
+  any() {
+    return null;
+  }
+};
+
+// The error message for one value, or null if it passes
+function checkField(rule, name, value) {
+  if (value === undefined || (value === '' && rule.type !== 'string')) {
+    return rule.required ? `${name} is required` : null;
+  }
+  if (value === null) return rule.nullable || !rule.required ? null : `${name} is required`;
+  if (rule.required && typeof value === 'string' && !value.trim()) return `${name} is required`;
+  return TYPES[rule.type](rule, name, value);
+}
+
+// Errors keyed by field for one part of the request
+function checkFields(fields, data) {
+  const errors = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = data?.[name];
+    // A repeated query parameter arrives as an array
+    const error = Array.isArray(value) && rule.type !== 'array'
+      ? `${name} must be a single value`
+      : checkField(rule, name, value);
+    if (error) errors[name] = error;
+  }
+  return errors;
+}
+
+// Middleware checking req.params, req.query and req.body against schema.
+// A schema with a body also needs the body to be a JSON object.
+function validate(schema) {
+  return (req, res, next) => {
+    let errors = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+      if (part === 'body' && !isObject(req.body)) {
+        errors.body = 'The request body must be a JSON object';
+        continue;
+      }
+      errors = { ...errors, ...checkFields(schema[part], req[part]) };
+    }
+    if (Object.keys(errors).length === 0) return next();
+    const err = new ValidationError(errors);
+    res.status(err.status).json({ error: err.message, fields: err.fields });
+  };
+}
+
+module.exports = { ValidationError, validate, isIsoDay };
@@ -0,0 +1,5 @@
+-- Uploaded listing photos: thumbnails and the storage key used to delete files
+ALTER TABLE listing_photos ADD COLUMN IF NOT EXISTS thumb_url TEXT;
+ALTER TABLE listing_photos ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_listing_photos_listing ON listing_photos(listing_id, sort_order);
@@ -0,0 +1,9 @@
+-- mileage and slides become integers so search can filter and sort on them.
+-- Free text like "45,000 mi" or "4 slides" keeps its digits; anything else becomes NULL.
+ALTER TABLE listings ALTER COLUMN mileage TYPE INTEGER
+  USING NULLIF(regexp_replace(split_part(mileage::text, '.', 1), '[^0-9]', '', 'g'), '')::integer;
+ALTER TABLE listings ALTER COLUMN slides TYPE INTEGER
+  USING NULLIF(regexp_replace(split_part(slides::text, '.', 1), '[^0-9]', '', 'g'), '')::integer;
+
+CREATE INDEX IF NOT EXISTS idx_listings_year ON listings(year);
+CREATE INDEX IF NOT EXISTS idx_listings_mileage ON listings(mileage);
@@ -0,0 +1,8 @@
+-- Full-text search: weighted tsvector over listing fields with a GIN index
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(converter, '') || ' ' || COALESCE(model, '') || ' ' || COALESCE(year::text, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(num, '') || ' ' || COALESCE(engine, '') || ' ' || COALESCE(color, '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_listings_search ON listings USING GIN(search_vector);
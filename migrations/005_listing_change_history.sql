@@ -0,0 +1,13 @@
+-- Field-level history of listing edits, used for price-drop and status alerts
+CREATE TABLE IF NOT EXISTS listing_changes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  field VARCHAR(50) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_changes_listing ON listing_changes(listing_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_saved_listing ON saved_coaches(listing_id);
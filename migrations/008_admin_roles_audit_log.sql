@@ -0,0 +1,26 @@
+-- Staff roles replace the hard-coded ADMIN_EMAIL; the existing admin account
+-- becomes the first 'admin'. Every /api/admin/* request is audit-logged.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'admin_role') THEN
+    ALTER TABLE users ADD COLUMN admin_role VARCHAR(20) CHECK (admin_role IN ('admin', 'moderator', 'finance'));
+    UPDATE users SET admin_role = 'admin' WHERE email = 'brandon@luxurycoachexchange.com';
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  admin_role VARCHAR(20),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(30),
+  target_id VARCHAR(64),
+  reason TEXT,
+  details JSONB DEFAULT '{}',
+  status_code INTEGER,
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target_id);
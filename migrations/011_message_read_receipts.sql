@@ -0,0 +1,15 @@
+-- Per-message read receipts replace the messages.read flag
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns WHERE table_name = 'messages' AND column_name = 'read_at'
+  ) THEN
+    ALTER TABLE messages ADD COLUMN read_at TIMESTAMPTZ;
+    -- The old flag has no timestamp; the send time is the best available
+    UPDATE messages SET read_at = created_at WHERE read = TRUE;
+  END IF;
+END $$;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS read;
+
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
@@ -0,0 +1,17 @@
+-- Unread message emails: per-user preference, digest tracking and custom mail headers
+ALTER TABLE users ADD COLUMN IF NOT EXISTS message_emails VARCHAR(10) NOT NULL DEFAULT 'instant'
+  CHECK (message_emails IN ('instant', 'daily', 'off'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS message_digest_sent_at TIMESTAMPTZ;
+
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS headers JSONB DEFAULT '{}';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns WHERE table_name = 'messages' AND column_name = 'notified_at'
+  ) THEN
+    ALTER TABLE messages ADD COLUMN notified_at TIMESTAMPTZ;
+    -- Don't email about messages sent before this feature existed
+    UPDATE messages SET notified_at = created_at;
+  END IF;
+END $$;
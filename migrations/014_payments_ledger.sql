@@ -0,0 +1,53 @@
+-- Stripe payments ledger (amounts in cents)
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  kind VARCHAR(30) NOT NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'paid', 'failed', 'expired', 'partially_refunded', 'refunded', 'disputed', 'charged_back'
+  )),
+  amount INTEGER NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  amount_refunded INTEGER NOT NULL DEFAULT 0,
+  stripe_checkout_session_id VARCHAR(255) UNIQUE,
+  stripe_payment_intent_id VARCHAR(255),
+  stripe_charge_id VARCHAR(255),
+  metadata JSONB DEFAULT '{}',
+  paid_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every state change of a payment
+CREATE TABLE IF NOT EXISTS payment_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  stripe_event_id VARCHAR(255),
+  type VARCHAR(100) NOT NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  amount INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Stripe webhook events already processed (idempotency)
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Unlocks paid before the ledger existed. The amount wasn't recorded, so the
+-- unlock price in cents is taken from UNLOCK_PRICE (npm run db:migrate passes
+-- it as app.unlock_price), or the default $500 when it isn't set.
+INSERT INTO payments (user_id, kind, status, amount, currency, stripe_payment_intent_id, paid_at, created_at)
+SELECT u.id, 'unlock', 'paid', COALESCE(NULLIF(current_setting('app.unlock_price', true), '')::int, 50000), 'usd', u.stripe_payment_id, u.paid_at, COALESCE(u.paid_at, NOW())
+FROM users u
+WHERE u.paid = TRUE AND u.stripe_payment_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.stripe_payment_intent_id = u.stripe_payment_id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_user ON payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_intent ON payments(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_events_payment ON payment_events(payment_id, created_at);
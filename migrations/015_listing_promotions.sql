@@ -0,0 +1,23 @@
+-- Paid listing promotions
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS featured_until TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS boosted_until TIMESTAMPTZ;
+
+-- Paid listing promotions (featured / boosted placement)
+CREATE TABLE IF NOT EXISTS listing_promotions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  plan VARCHAR(50) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('featured', 'boost')),
+  days INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'expired', 'cancelled')),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_promotions_listing ON listing_promotions(listing_id);
+CREATE INDEX IF NOT EXISTS idx_listing_promotions_payment ON listing_promotions(payment_id);
+CREATE INDEX IF NOT EXISTS idx_listing_promotions_active ON listing_promotions(ends_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_listings_featured ON listings(featured_until) WHERE featured_until IS NOT NULL;
@@ -0,0 +1,80 @@
+-- Admin-managed unlock pricing, promo codes and complimentary unlocks
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_source VARCHAR(20) CHECK (unlock_source IN ('payment', 'complimentary'));
+
+-- Seller messaging unlock prices (amounts in cents); one plan is the default
+CREATE TABLE IF NOT EXISTS unlock_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Replaces the UNLOCK_PRICE env var
+INSERT INTO unlock_plans (name, description, amount, is_default)
+SELECT 'Seller Messaging Unlock',
+  'One-time fee. Unlock messaging forever. Reply to every buyer. Never pay again.',
+  50000, TRUE
+WHERE NOT EXISTS (SELECT 1 FROM unlock_plans);
+
+-- Promo codes for the unlock (discount_value is a percent or cents)
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(40) UNIQUE NOT NULL,
+  description TEXT,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+  plan_id UUID REFERENCES unlock_plans(id) ON DELETE CASCADE,
+  max_redemptions INTEGER,
+  expires_at TIMESTAMPTZ,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Coupon uses; payment_id is null when the code made the unlock free
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  payment_id UUID UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+  amount_off INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Unlocks given without payment (by staff or a 100% coupon)
+CREATE TABLE IF NOT EXISTS complimentary_unlocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing unlocks: paid if the ledger has a payment in effect, otherwise
+-- they were granted by staff
+UPDATE users u SET unlock_source = CASE
+  WHEN EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.user_id = u.id AND p.kind = 'unlock' AND p.status IN ('paid', 'partially_refunded')
+  ) THEN 'payment' ELSE 'complimentary' END
+WHERE u.paid = TRUE AND u.unlock_source IS NULL;
+
+INSERT INTO complimentary_unlocks (user_id, reason, created_at)
+SELECT u.id, 'Granted before complimentary unlocks were tracked', COALESCE(u.paid_at, NOW())
+FROM users u
+WHERE u.unlock_source = 'complimentary'
+  AND NOT EXISTS (SELECT 1 FROM complimentary_unlocks c WHERE c.user_id = u.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unlock_plans_default ON unlock_plans(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX IF NOT EXISTS idx_complimentary_unlocks_user ON complimentary_unlocks(user_id);
@@ -0,0 +1,26 @@
+-- Offers and negotiation on listings
+CREATE TABLE IF NOT EXISTS offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  from_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES offers(id) ON DELETE SET NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'
+  )),
+  expires_at TIMESTAMPTZ NOT NULL,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Offer events are posted to the conversation as messages
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS offer_id UUID REFERENCES offers(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS offer_event VARCHAR(20)
+  CHECK (offer_event IN ('made', 'countered', 'accepted', 'declined', 'withdrawn', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_offers_conversation ON offers(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_offers_listing ON offers(listing_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_one_pending ON offers(conversation_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_offers_expires ON offers(expires_at) WHERE status = 'pending';
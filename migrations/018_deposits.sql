@@ -0,0 +1,47 @@
+-- Refundable buyer deposits held with manual-capture PaymentIntents (cents)
+CREATE TABLE IF NOT EXISTS deposits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  buyer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  seller_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'authorized', 'confirmed', 'captured', 'released', 'expired', 'refunded'
+  )),
+  stripe_payment_intent_id VARCHAR(255) UNIQUE,
+  authorized_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  captured_at TIMESTAMPTZ,
+  released_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  -- Last capture Stripe refused; retried while the deposit stays confirmed
+  capture_failed_at TIMESTAMPTZ,
+  capture_attempts INTEGER NOT NULL DEFAULT 0,
+  capture_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every state change of a deposit
+CREATE TABLE IF NOT EXISTS deposit_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  deposit_id UUID NOT NULL REFERENCES deposits(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  stripe_event_id VARCHAR(255),
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Set while a capture or release is with Stripe
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS settling_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_deposits_listing ON deposits(listing_id);
+CREATE INDEX IF NOT EXISTS idx_deposits_conversation ON deposits(conversation_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deposits_one_open ON deposits(conversation_id) WHERE status IN ('pending', 'authorized', 'confirmed');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deposits_one_confirmed ON deposits(listing_id) WHERE status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_deposits_capture_failed ON deposits(capture_failed_at) WHERE status = 'confirmed' AND capture_failed_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deposit_events_deposit ON deposit_events(deposit_id, created_at);
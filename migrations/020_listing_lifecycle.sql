@@ -0,0 +1,25 @@
+-- Draft, review and publish lifecycle for listings, with expiry
+ALTER TABLE listings DROP CONSTRAINT IF EXISTS listings_status_check;
+ALTER TABLE listings ADD CONSTRAINT listings_status_check
+  CHECK (status IN ('draft', 'in_review', 'active', 'pending', 'sold', 'expired'));
+ALTER TABLE listings ALTER COLUMN status SET DEFAULT 'draft';
+
+-- Drafts may be incomplete; publishing checks these are filled in
+ALTER TABLE listings ALTER COLUMN year DROP NOT NULL;
+ALTER TABLE listings ALTER COLUMN converter DROP NOT NULL;
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS renewal_reminded_at TIMESTAMPTZ;
+
+-- Listings already live get a full term from now: LISTING_TTL_DAYS (npm run
+-- db:migrate passes it as app.listing_ttl_days), or 90 days when it isn't set
+UPDATE listings SET published_at = created_at WHERE published_at IS NULL AND status <> 'draft';
+UPDATE listings SET expires_at = NOW() + make_interval(days => COALESCE(NULLIF(current_setting('app.listing_ttl_days', true), '')::int, 90))
+WHERE expires_at IS NULL AND status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_listings_expiry ON listings(expires_at) WHERE status = 'active';
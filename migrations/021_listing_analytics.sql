@@ -0,0 +1,21 @@
+-- Per-listing daily counts for seller and admin analytics
+CREATE TABLE IF NOT EXISTS listing_daily_stats (
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  saves INTEGER NOT NULL DEFAULT 0,
+  conversations INTEGER NOT NULL DEFAULT 0,
+  offers INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (listing_id, day)
+);
+
+-- Who viewed a listing today (keyed hashes), so a visitor's views count once a day
+CREATE TABLE IF NOT EXISTS listing_view_visitors (
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  visitor VARCHAR(64) NOT NULL,
+  PRIMARY KEY (listing_id, day, visitor)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_daily_stats_day ON listing_daily_stats(day);
+CREATE INDEX IF NOT EXISTS idx_listing_view_visitors_day ON listing_view_visitors(day);
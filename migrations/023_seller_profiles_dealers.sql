@@ -0,0 +1,40 @@
+-- Public seller profiles, dealer (business) accounts and verified-seller badges
+
+-- A dealer's staff share one inventory
+CREATE TABLE IF NOT EXISTS dealers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  bio TEXT,
+  location VARCHAR(255),
+  website VARCHAR(255),
+  phone VARCHAR(50),
+  logo_url TEXT,
+  logo_key TEXT,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS location VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_verified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dealer_id UUID REFERENCES dealers(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dealer_role VARCHAR(10) CHECK (dealer_role IN ('owner', 'staff'));
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS dealer_id UUID REFERENCES dealers(id) ON DELETE SET NULL;
+
+-- Invitations to join a dealer's staff, accepted by the account with that email
+CREATE TABLE IF NOT EXISTS dealer_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dealer_id UUID NOT NULL REFERENCES dealers(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_dealer ON users(dealer_id) WHERE dealer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_listings_dealer ON listings(dealer_id) WHERE dealer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_dealer_invitations_email ON dealer_invitations(LOWER(email)) WHERE accepted_at IS NULL;
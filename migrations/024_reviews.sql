@@ -0,0 +1,32 @@
+-- Buyer reviews and ratings of sellers
+
+-- Buyer reviews of sellers, one per buyer and seller. Reviews and the
+-- seller's reply are shown once moderators publish them.
+CREATE TABLE IF NOT EXISTS reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'published', 'rejected')),
+  moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMPTZ,
+  published_at TIMESTAMPTZ,
+  reply TEXT,
+  reply_status VARCHAR(20) CHECK (reply_status IN ('pending', 'published', 'rejected')),
+  replied_at TIMESTAMPTZ,
+  reply_moderated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(seller_id, buyer_id)
+);
+
+-- Published reviews can be reported like listings and messages
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_target_type_check;
+ALTER TABLE reports ADD CONSTRAINT reports_target_type_check CHECK (target_type IN ('listing', 'user', 'message', 'review'));
+
+CREATE INDEX IF NOT EXISTS idx_reviews_seller ON reviews(seller_id, published_at DESC) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_reply_status ON reviews(reply_status, replied_at) WHERE reply_status IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Rate limiting and sign-in lockouts
+
+-- Requests counted per key (IP address, user, email) in fixed windows, for
+-- rate limiting
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key VARCHAR(320) NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+-- Failed sign-ins per account, and how long it is locked
+CREATE TABLE IF NOT EXISTS login_failures (
+  key VARCHAR(320) PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window ON rate_limits(window_start);
@@ -2,6 +2,21 @@
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Dealers (business accounts); their staff share one inventory
+CREATE TABLE dealers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  bio TEXT,
+  location VARCHAR(255),
+  website VARCHAR(255),
+  phone VARCHAR(50),
+  logo_url TEXT,
+  logo_key TEXT,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Users table
 CREATE TABLE users (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -15,28 +30,85 @@ CREATE TABLE users (
   stripe_customer_id VARCHAR(255),
   stripe_payment_id VARCHAR(255),
   paid_at TIMESTAMPTZ,
+  unlock_source VARCHAR(20) CHECK (unlock_source IN ('payment', 'complimentary')),
+  email_verified_at TIMESTAMPTZ,
+  admin_role VARCHAR(20) CHECK (admin_role IN ('admin', 'moderator', 'finance')),
+  suspended_until TIMESTAMPTZ,
+  banned_at TIMESTAMPTZ,
+  moderation_reason TEXT,
+  message_emails VARCHAR(10) NOT NULL DEFAULT 'instant' CHECK (message_emails IN ('instant', 'daily', 'off')),
+  message_digest_sent_at TIMESTAMPTZ,
+  bio TEXT,
+  location VARCHAR(255),
+  avatar_key TEXT,
+  seller_verified_at TIMESTAMPTZ,
+  dealer_id UUID REFERENCES dealers(id) ON DELETE SET NULL,
+  dealer_role VARCHAR(10) CHECK (dealer_role IN ('owner', 'staff')),
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Login sessions; the refresh token rotates on every use and is stored hashed
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent VARCHAR(255),
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Single-use hashed tokens for email verification and password reset
+CREATE TABLE auth_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Listings table
 CREATE TABLE listings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  year INTEGER NOT NULL,
+  year INTEGER,
   model VARCHAR(100) NOT NULL DEFAULT 'H3-45',
-  converter VARCHAR(100) NOT NULL,
+  converter VARCHAR(100),
   num VARCHAR(50),
   price INTEGER DEFAULT 0,
   price_display VARCHAR(50),
-  mileage VARCHAR(50),
-  slides VARCHAR(50),
+  mileage INTEGER,
+  slides INTEGER,
   engine VARCHAR(100) DEFAULT 'Volvo D13',
   length VARCHAR(20) DEFAULT '45 ft',
   color VARCHAR(100),
   description TEXT,
   tag VARCHAR(50) DEFAULT '',
-  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'sold', 'pending', 'draft')),
+  status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'in_review', 'active', 'pending', 'sold', 'expired')),
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(converter, '') || ' ' || COALESCE(model, '') || ' ' || COALESCE(year::text, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(num, '') || ' ' || COALESCE(engine, '') || ' ' || COALESCE(color, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+  ) STORED,
+  featured_until TIMESTAMPTZ,
+  boosted_until TIMESTAMPTZ,
+  hidden_at TIMESTAMPTZ,
+  hidden_reason TEXT,
+  hidden_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  submitted_at TIMESTAMPTZ,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  review_note TEXT,
+  published_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  renewal_reminded_at TIMESTAMPTZ,
+  dealer_id UUID REFERENCES dealers(id) ON DELETE SET NULL,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -46,6 +118,8 @@ CREATE TABLE listing_photos (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
   url TEXT NOT NULL,
+  thumb_url TEXT,
+  storage_key TEXT,
   sort_order INTEGER DEFAULT 0,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -61,13 +135,37 @@ CREATE TABLE conversations (
   UNIQUE(listing_id, buyer_id)
 );
 
+-- Price offers on a listing; a counter-offer is a new row pointing at the
+-- offer it answers
+CREATE TABLE offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  from_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES offers(id) ON DELETE SET NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'
+  )),
+  expires_at TIMESTAMPTZ NOT NULL,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Messages
 CREATE TABLE messages (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
   sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   text TEXT NOT NULL,
-  read BOOLEAN DEFAULT FALSE,
+  read_at TIMESTAMPTZ,
+  notified_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  deleted_reason TEXT,
+  offer_id UUID REFERENCES offers(id) ON DELETE SET NULL,
+  offer_event VARCHAR(20) CHECK (offer_event IN ('made', 'countered', 'accepted', 'declined', 'withdrawn', 'expired')),
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -80,13 +178,404 @@ CREATE TABLE saved_coaches (
   UNIQUE(user_id, listing_id)
 );
 
+-- Field-level history of listing edits
+CREATE TABLE listing_changes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  field VARCHAR(50) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Saved searches (filters use the GET /api/listings params)
+CREATE TABLE saved_searches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Listings already notified for each saved search
+CREATE TABLE saved_search_matches (
+  saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (saved_search_id, listing_id)
+);
+
+-- In-app notification feed
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT DEFAULT '',
+  data JSONB DEFAULT '{}',
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Outgoing email, delivered by the outbox job
+CREATE TABLE email_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  to_email VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  headers JSONB DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  send_after TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every request made through /api/admin/*
+CREATE TABLE admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  admin_role VARCHAR(20),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(30),
+  target_id VARCHAR(64),
+  reason TEXT,
+  details JSONB DEFAULT '{}',
+  status_code INTEGER,
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Message attachments (files live in private storage)
+CREATE TABLE message_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  is_image BOOLEAN DEFAULT FALSE,
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Stripe payments ledger (amounts in cents)
+CREATE TABLE payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  kind VARCHAR(30) NOT NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'paid', 'failed', 'expired', 'partially_refunded', 'refunded', 'disputed', 'charged_back'
+  )),
+  amount INTEGER NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  amount_refunded INTEGER NOT NULL DEFAULT 0,
+  stripe_checkout_session_id VARCHAR(255) UNIQUE,
+  stripe_payment_intent_id VARCHAR(255),
+  stripe_charge_id VARCHAR(255),
+  metadata JSONB DEFAULT '{}',
+  paid_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every state change of a payment
+CREATE TABLE payment_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  stripe_event_id VARCHAR(255),
+  type VARCHAR(100) NOT NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  amount INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Stripe webhook events already processed (idempotency)
+CREATE TABLE stripe_events (
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Paid listing promotions (featured / boosted placement)
+CREATE TABLE listing_promotions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  plan VARCHAR(50) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('featured', 'boost')),
+  days INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'expired', 'cancelled')),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Seller messaging unlock prices (amounts in cents); one plan is the default
+CREATE TABLE unlock_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO unlock_plans (name, description, amount, is_default) VALUES (
+  'Seller Messaging Unlock',
+  'One-time fee. Unlock messaging forever. Reply to every buyer. Never pay again.',
+  50000, TRUE
+);
+
+-- Promo codes for the unlock (discount_value is a percent or cents)
+CREATE TABLE coupons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(40) UNIQUE NOT NULL,
+  description TEXT,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+  plan_id UUID REFERENCES unlock_plans(id) ON DELETE CASCADE,
+  max_redemptions INTEGER,
+  expires_at TIMESTAMPTZ,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Coupon uses; payment_id is null when the code made the unlock free
+CREATE TABLE coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  payment_id UUID UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+  amount_off INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Unlocks given without payment (by staff or a 100% coupon)
+CREATE TABLE complimentary_unlocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Refundable buyer deposits held with manual-capture PaymentIntents (cents)
+CREATE TABLE deposits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  buyer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  seller_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'authorized', 'confirmed', 'captured', 'released', 'expired', 'refunded'
+  )),
+  stripe_payment_intent_id VARCHAR(255) UNIQUE,
+  authorized_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  captured_at TIMESTAMPTZ,
+  released_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  -- Last capture Stripe refused; retried while the deposit stays confirmed
+  capture_failed_at TIMESTAMPTZ,
+  capture_attempts INTEGER NOT NULL DEFAULT 0,
+  capture_error TEXT,
+  -- Set while a capture or release is with Stripe
+  settling_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every state change of a deposit
+CREATE TABLE deposit_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  deposit_id UUID NOT NULL REFERENCES deposits(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  stripe_event_id VARCHAR(255),
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-listing daily counts for seller and admin analytics
+CREATE TABLE listing_daily_stats (
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  saves INTEGER NOT NULL DEFAULT 0,
+  conversations INTEGER NOT NULL DEFAULT 0,
+  offers INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (listing_id, day)
+);
+
+-- Who viewed a listing today (keyed hashes), so a visitor's views count once a day
+CREATE TABLE listing_view_visitors (
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  visitor VARCHAR(64) NOT NULL,
+  PRIMARY KEY (listing_id, day, visitor)
+);
+
+-- Invitations to join a dealer's staff, accepted by the account with that email
+CREATE TABLE dealer_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dealer_id UUID NOT NULL REFERENCES dealers(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Buyer reviews of sellers, one per buyer and seller. Reviews and the
+-- seller's reply are shown once moderators publish them.
+CREATE TABLE reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'published', 'rejected')),
+  moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMPTZ,
+  published_at TIMESTAMPTZ,
+  reply TEXT,
+  reply_status VARCHAR(20) CHECK (reply_status IN ('pending', 'published', 'rejected')),
+  replied_at TIMESTAMPTZ,
+  reply_moderated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(seller_id, buyer_id)
+);
+
+-- Requests counted per key (IP address, user, email) in fixed windows, for
+-- rate limiting
+CREATE TABLE rate_limits (
+  key VARCHAR(320) NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+-- Failed sign-ins per account, and how long it is locked
+CREATE TABLE login_failures (
+  key VARCHAR(320) PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+-- Moderation actions, shown to the affected user
+CREATE TABLE moderation_actions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(30) NOT NULL,
+  target_id UUID,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- User reports (moderation queue)
+CREATE TABLE reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('listing', 'user', 'message', 'review')),
+  target_id UUID NOT NULL,
+  listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  category VARCHAR(30) NOT NULL,
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'reviewing', 'actioned', 'dismissed')),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(reporter_id, target_type, target_id)
+);
+
 -- Indexes for performance
 CREATE INDEX idx_listings_seller ON listings(seller_id);
 CREATE INDEX idx_listings_status ON listings(status);
 CREATE INDEX idx_listings_converter ON listings(converter);
 CREATE INDEX idx_listings_price ON listings(price);
+CREATE INDEX idx_listings_year ON listings(year);
+CREATE INDEX idx_listings_mileage ON listings(mileage);
+CREATE INDEX idx_listings_search ON listings USING GIN(search_vector);
+CREATE INDEX idx_listing_photos_listing ON listing_photos(listing_id, sort_order);
 CREATE INDEX idx_conversations_buyer ON conversations(buyer_id);
 CREATE INDEX idx_conversations_seller ON conversations(seller_id);
 CREATE INDEX idx_messages_conversation ON messages(conversation_id);
 CREATE INDEX idx_messages_created ON messages(created_at);
+CREATE INDEX idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
 CREATE INDEX idx_saved_user ON saved_coaches(user_id);
+CREATE INDEX idx_saved_searches_user ON saved_searches(user_id);
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_email_outbox_pending ON email_outbox(send_after) WHERE status = 'pending';
+CREATE INDEX idx_listing_changes_listing ON listing_changes(listing_id, created_at);
+CREATE INDEX idx_saved_listing ON saved_coaches(listing_id);
+CREATE INDEX idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_sessions_previous_token ON sessions(previous_token_hash);
+CREATE INDEX idx_admin_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX idx_admin_audit_target ON admin_audit_log(target_id);
+CREATE INDEX idx_moderation_actions_user ON moderation_actions(user_id, created_at DESC);
+CREATE INDEX idx_reports_status ON reports(status, created_at);
+CREATE INDEX idx_reports_target ON reports(target_type, target_id);
+CREATE INDEX idx_reports_listing ON reports(listing_id);
+CREATE INDEX idx_reports_conversation ON reports(conversation_id);
+CREATE INDEX idx_message_attachments_message ON message_attachments(message_id);
+CREATE INDEX idx_messages_conversation_created ON messages(conversation_id, created_at, id);
+CREATE INDEX idx_payments_user ON payments(user_id);
+CREATE INDEX idx_payments_intent ON payments(stripe_payment_intent_id);
+CREATE INDEX idx_payments_status ON payments(status, created_at DESC);
+CREATE INDEX idx_payment_events_payment ON payment_events(payment_id, created_at);
+CREATE INDEX idx_listing_promotions_listing ON listing_promotions(listing_id);
+CREATE INDEX idx_listing_promotions_payment ON listing_promotions(payment_id);
+CREATE INDEX idx_listing_promotions_active ON listing_promotions(ends_at) WHERE status = 'active';
+CREATE INDEX idx_listings_featured ON listings(featured_until) WHERE featured_until IS NOT NULL;
+CREATE UNIQUE INDEX idx_unlock_plans_default ON unlock_plans(is_default) WHERE is_default;
+CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX idx_complimentary_unlocks_user ON complimentary_unlocks(user_id);
+CREATE INDEX idx_offers_conversation ON offers(conversation_id, created_at);
+CREATE INDEX idx_offers_listing ON offers(listing_id);
+CREATE UNIQUE INDEX idx_offers_one_pending ON offers(conversation_id) WHERE status = 'pending';
+CREATE INDEX idx_offers_expires ON offers(expires_at) WHERE status = 'pending';
+CREATE INDEX idx_deposits_listing ON deposits(listing_id);
+CREATE INDEX idx_deposits_conversation ON deposits(conversation_id, created_at);
+CREATE UNIQUE INDEX idx_deposits_one_open ON deposits(conversation_id) WHERE status IN ('pending', 'authorized', 'confirmed');
+CREATE UNIQUE INDEX idx_deposits_one_confirmed ON deposits(listing_id) WHERE status = 'confirmed';
+CREATE INDEX idx_deposits_capture_failed ON deposits(capture_failed_at) WHERE status = 'confirmed' AND capture_failed_at IS NOT NULL;
+CREATE INDEX idx_deposit_events_deposit ON deposit_events(deposit_id, created_at);
+CREATE INDEX idx_listings_expiry ON listings(expires_at) WHERE status = 'active';
+CREATE INDEX idx_listing_daily_stats_day ON listing_daily_stats(day);
+CREATE INDEX idx_listing_view_visitors_day ON listing_view_visitors(day);
+CREATE INDEX idx_users_dealer ON users(dealer_id) WHERE dealer_id IS NOT NULL;
+CREATE INDEX idx_listings_dealer ON listings(dealer_id) WHERE dealer_id IS NOT NULL;
+CREATE INDEX idx_dealer_invitations_email ON dealer_invitations(LOWER(email)) WHERE accepted_at IS NULL;
+CREATE INDEX idx_reviews_seller ON reviews(seller_id, published_at DESC) WHERE status = 'published';
+CREATE INDEX idx_reviews_status ON reviews(status, created_at);
+CREATE INDEX idx_reviews_reply_status ON reviews(reply_status, replied_at) WHERE reply_status IS NOT NULL;
+CREATE INDEX idx_rate_limits_window ON rate_limits(window_start);
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Create a staff account, or give an existing account a staff role.
+//
+//   npm run admin:create -- --email you@example.com --name "Your Name" [--role admin|moderator|finance]
+//
+// The password is read from ADMIN_PASSWORD or prompted for (only needed when
+// the account doesn't exist yet).
+require('dotenv').config();
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+const { Pool } = require('pg');
+const { ADMIN_ROLES } = require('../lib/permissions');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = str => { if (!rl.stdoutMuted) rl.output.write(str); };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+}
+
+async function main() {
+  const { email, name, role = 'admin' } = parseArgs(process.argv.slice(2));
+  if (!email) throw new Error('--email is required');
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`--role must be one of: ${ADMIN_ROLES.join(', ')}`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      await pool.query('UPDATE users SET admin_role = $1, updated_at = NOW() WHERE id = $2', [role, existing.rows[0].id]);
+      console.log(`${email} is now ${role}`);
+      return;
+    }
+
+    if (!name) throw new Error('--name is required for a new account');
+    const password = process.env.ADMIN_PASSWORD || await promptHidden('Password: ');
+    if (password.length < 12) throw new Error('Staff passwords must be at least 12 characters');
+
+    const hash = await bcrypt.hash(password, 12);
+    await pool.query(
+      `INSERT INTO users (name, email, password_hash, role, admin_role, email_verified_at)
+       VALUES ($1, $2, $3, 'both', $4, NOW())`,
+      [name, email, hash, role]
+    );
+    console.log(`Created ${role} account for ${email}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
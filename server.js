@@ -1,12 +1,47 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const multer = require('multer');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createStorage } = require('./lib/storage');
+const { processPhoto, processAvatar, ImageError } = require('./lib/images');
+const {
+  FilterError, parseFilters, filterClauses, storedFilterClauses, searchColumns, parseSort, parsePagination, parseNumeric,
+  PROMOTION, PROMOTION_RANK
+} = require('./lib/listingSearch');
+const { createMailer } = require('./lib/mailer');
+const { createOutbox } = require('./lib/outbox');
+const { createNotifier } = require('./lib/notifications');
+const { createMessageEmails } = require('./lib/messageEmails');
+const { createPaymentLedger } = require('./lib/payments');
+const { createToken, hashToken, signValue, verifySignedValue } = require('./lib/tokens');
+const { ADMIN_ROLES, permissionsFor, hasPermission } = require('./lib/permissions');
+const { createRealtime, RealtimeError } = require('./lib/realtime');
+const { ATTACHMENT_TYPES, AttachmentError, prepareAttachment } = require('./lib/attachments');
+const { PricingError, normalizeCode, parsePlan, parseCoupon, couponProblem, quote } = require('./lib/pricing');
+const { OfferError, parseOffer } = require('./lib/offers');
+const { createDeposits, DepositError, OPEN_STATES: OPEN_DEPOSIT_STATES } = require('./lib/deposits');
+const {
+  PRIVATE_STATUSES, ListingValidationError, checkListingFields, parseListingFields, publishProblems, statusChange, coachName
+} = require('./lib/listingLifecycle');
+const { ImportError, importFormat, readImportFile, jsonRows, validateRow, exportRow, toCsv } = require('./lib/listingImport');
+const { createListingAnalytics, AnalyticsError, parseRange } = require('./lib/listingAnalytics');
+const { ReportError, GROUPS: REPORT_GROUPS, REPORT_LIST, parseReportQuery, runReport, reportCsv, firstReplies } = require('./lib/reports');
+const { ProfileError, parseSellerProfile, parseDealer } = require('./lib/profiles');
+const { REVIEW_STATUSES, ReviewError, parseReview, parseReply } = require('./lib/reviews');
+const { REPORT_STATUSES, REPORT_TRANSITIONS } = require('./lib/moderationReports');
+const { PROMOTION_COLUMNS } = require('./lib/promotions');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { ValidationError, validate } = require('./lib/validate');
+const schemas = require('./lib/schemas');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 
 // Database
@@ -15,12 +50,99 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// File storage (local disk or S3-compatible). Message attachments go to
+// private storage and are only served through the API.
+const storage = createStorage();
+const attachmentStorage = createStorage(undefined, { isPrivate: true });
+
+// Email outbox and in-app notifications
+const outbox = createOutbox({ pool, mailer: createMailer() });
+const notifier = createNotifier({ pool, outbox });
+
+// Listing views, saves, conversation starts and offers, counted per day
+const analytics = createListingAnalytics({ pool, secret: process.env.JWT_SECRET });
+
+// Buyer deposits held on a card until the coach sells
+const deposits = createDeposits({ pool, stripe, onTransition: notifyDepositChange });
+
+// Request rate limits and sign-in lockouts
+const rateLimiter = createRateLimiter({
+  pool,
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+});
+
+// Stripe payments ledger, and what each kind of payment buys
+const paymentLedger = createPaymentLedger({
+  pool,
+  extraHandlers: deposits.handlers,
+  fulfilment: {
+    unlock: {
+      async grant(db, payment) {
+        await db.query(
+          "UPDATE users SET paid = TRUE, stripe_payment_id = $1, paid_at = NOW(), unlock_source = 'payment' WHERE id = $2",
+          [payment.stripe_payment_intent_id, payment.user_id]
+        );
+        console.log(`User ${payment.user_id} unlocked messaging`);
+      },
+      // Only undo an unlock that came from this payment (not a manual grant)
+      async revoke(db, payment, cause) {
+        const result = await db.query(
+          'UPDATE users SET paid = FALSE, paid_at = NULL, unlock_source = NULL, updated_at = NOW() WHERE id = $1 AND paid = TRUE AND stripe_payment_id = $2 RETURNING id',
+          [payment.user_id, payment.stripe_payment_intent_id]
+        );
+        if (result.rows.length === 0) return;
+        await notifier.notify(payment.user_id, {
+          type: 'payment',
+          title: 'Seller messaging has been locked',
+          body: cause === 'dispute'
+            ? 'Your messaging unlock payment was disputed with your card issuer.'
+            : 'Your messaging unlock payment was refunded.',
+          data: { payment_id: payment.id },
+          email: true
+        }, db);
+      }
+    },
+    promotion: {
+      grant: (db, payment) => activatePromotion(db, payment),
+      revoke: (db, payment) => cancelPromotion(db, payment)
+    }
+  }
+});
+
+// Unread message emails (instant or daily digest), sent by a background job
+const messageEmails = createMessageEmails({
+  pool,
+  outbox,
+  conversationUrl: id => `${process.env.FRONTEND_URL}/messages/${id}`,
+  preferencesUrl: () => `${process.env.FRONTEND_URL}/account/notifications`,
+  unsubscribeUrl: userId => unsubscribeUrl(userId, 'messages'),
+  delayMinutes: process.env.MESSAGE_EMAIL_DELAY_MINUTES ? parseInt(process.env.MESSAGE_EMAIL_DELAY_MINUTES) : 5
+});
+
+// Live conversation events over WebSocket (/api/ws)
+const realtime = createRealtime({
+  server,
+  authenticate: async token => {
+    const decoded = token ? await verifyAccessToken(token) : null;
+    return decoded && !decoded.restriction ? decoded : null;
+  },
+  onEvent: handleRealtimeEvent
+});
+
+function listingUrl(listingId) {
+  return `${process.env.FRONTEND_URL}/listings/${listingId}`;
+}
+
 // Middleware
 app.use(cors({
   origin: [process.env.FRONTEND_URL, 'http://localhost:3000', 'http://localhost:8080'],
   credentials: true
 }));
 
+// Client IPs come from Render's proxy
+app.set('trust proxy', 1);
+
 // Stripe webhook needs raw body - must be before json parser
 app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -32,50 +154,194 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const userId = session.metadata.user_id;
-    if (userId) {
-      await pool.query(
-        'UPDATE users SET paid = TRUE, stripe_payment_id = $1, paid_at = NOW() WHERE id = $2',
-        [session.payment_intent, userId]
-      );
-      console.log(`User ${userId} unlocked messaging`);
-    }
+  try {
+    const result = await paymentLedger.handleEvent(event);
+    if (result.duplicate) console.log(`Stripe event ${event.id} already processed`);
+    res.json({ received: true });
+  } catch (err) {
+    // A 5xx makes Stripe retry the delivery later
+    console.error('Webhook handling error:', err);
+    res.status(500).json({ error: 'Webhook handling failed' });
   }
-
-  res.json({ received: true });
 });
 
-app.use(express.json({ limit: '10mb' }));
+// Listing imports can carry a whole inventory; everything else is small
+app.use('/api/listings/import', express.json({ limit: '5mb' }));
+app.use(express.json({ limit: '1mb' }));
+
+// Ids in the path are UUIDs on every route
+for (const name of ['id', 'userId', 'photoId', 'attachmentId', 'listing_id']) {
+  app.param(name, (req, res, next, value) => {
+    if (isUuid(value)) return next();
+    const err = new ValidationError({ [name]: `${name} must be a UUID` });
+    res.status(err.status).json({ error: err.message, fields: err.fields });
+  });
+}
+
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root, { maxAge: '365d', immutable: true }));
+}
+
+// A ban, or a suspension that hasn't ended yet, blocks the account
+function accountRestriction(user) {
+  if (user.banned_at) return { status: 'banned', reason: user.moderation_reason };
+  if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+    return { status: 'suspended', reason: user.moderation_reason, until: user.suspended_until };
+  }
+  return null;
+}
+
+function restrictionResponse(res, restriction) {
+  return res.status(403).json({
+    error: restriction.status === 'banned' ? 'Account banned' : 'Account suspended',
+    code: `account_${restriction.status}`,
+    reason: restriction.reason,
+    until: restriction.until
+  });
+}
+
+// Decode an access token and make sure its session hasn't been revoked.
+// Returns the token payload (with `restriction` set for banned/suspended
+// accounts), or null if the token or session is no longer valid.
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (!decoded.sid) return null;
+
+  const session = await pool.query(`
+    SELECT u.banned_at, u.suspended_until, u.moderation_reason
+    FROM sessions s JOIN users u ON s.user_id = u.id
+    WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [decoded.sid, decoded.id]);
+  if (session.rows.length === 0) return null;
+
+  decoded.restriction = accountRestriction(session.rows[0]);
+  return decoded;
+}
 
 // Auth middleware
-function auth(req, res, next) {
+async function auth(req, res, next) {
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ error: 'No token provided' });
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) return res.status(401).json({ error: 'Invalid token' });
+    if (decoded.restriction) return restrictionResponse(res, decoded.restriction);
+    req.user = decoded;
     next();
-  } catch {
-    res.status(401).json({ error: 'Invalid token' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
   }
 }
 
-// Optional auth - doesn't fail if no token
-function optionalAuth(req, res, next) {
+// Optional auth - doesn't fail if no token (restricted accounts browse anonymously)
+async function optionalAuth(req, res, next) {
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (token) {
-    try { req.user = jwt.verify(token, process.env.JWT_SECRET); } catch {}
+    try {
+      const decoded = await verifyAccessToken(token);
+      if (decoded && !decoded.restriction) req.user = decoded;
+    } catch {}
   }
   next();
 }
 
-function generateToken(user) {
+// Publishing listings and starting conversations need a verified email
+async function isVerified(userId, db = pool) {
+  const result = await db.query('SELECT email_verified_at FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && !!result.rows[0].email_verified_at;
+}
+
+async function requireVerified(req, res, next) {
+  try {
+    if (!(await isVerified(req.user.id))) {
+      return res.status(403).json({ error: 'Please verify your email address first', code: 'email_unverified' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a new session (one per login/device). Returns the access token and
+// the refresh token; only the refresh token's hash is stored.
+async function createSession(user, req) {
+  const { token: refresh_token, hash } = createToken();
+  const result = await pool.query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING id
+  `, [user.id, hash, (req.headers['user-agent'] || '').slice(0, 255), req.ip, REFRESH_TOKEN_TTL_DAYS]);
+  return { token: generateToken(user, result.rows[0].id), refresh_token };
+}
+
+async function revokeSessions(userId, exceptSessionId = null) {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2',
+    [userId, exceptSessionId]
   );
+  realtime.closeSessions(userId, sid => sid !== exceptSessionId);
+}
+
+// Per-IP limits on the auth routes. Sign-ins are also locked per account,
+// and per account and IP, after repeated failures (see attemptSignIn). These
+// refuse requests (503) when they can't be counted.
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const loginRateLimit = rateLimiter.limit({
+  name: 'login', max: parseInt(process.env.LOGIN_RATE_LIMIT) || 20, windowMs: FIFTEEN_MINUTES, failOpen: false
+});
+const authRateLimit = rateLimiter.limit({
+  name: 'auth', max: parseInt(process.env.AUTH_RATE_LIMIT) || 30, windowMs: FIFTEEN_MINUTES, failOpen: false
+});
+// Password reset emails, per address
+const resetEmailRateLimit = rateLimiter.limit({
+  name: 'reset-email', max: 5, windowMs: 60 * 60 * 1000, key: req => req.body.email.trim().toLowerCase(), failOpen: false
+});
+// Failed sign-ins to one account, from any address, before it is locked
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 20;
+
+// Checked instead when no account has the email, so a wrong email takes as
+// long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(createToken().token, 12);
+
+// Check a sign-in attempt against the account's lockouts. Returns { valid }
+// or, when the account is locked, { locked: seconds }. Failures count per
+// account and IP address, so someone guessing from elsewhere can't quickly
+// lock the owner out, and per account with a higher threshold, so guesses
+// spread over many addresses still lock it. Unknown emails are counted like
+// real accounts so lockouts don't reveal who is registered.
+async function attemptSignIn(email, user, password, ip) {
+  const account = email.trim().toLowerCase();
+  const lockouts = [
+    { key: `login:${account}:${ip}` },
+    { key: `login-account:${account}`, max: ACCOUNT_MAX_FAILURES }
+  ];
+  const locked = Math.max(...(await Promise.all(lockouts.map(l => rateLimiter.lockedFor(l.key)))));
+  if (locked) return { locked };
+
+  const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+  if (valid && user) {
+    for (const l of lockouts) await rateLimiter.clearFailures(l.key);
+    return { valid: true };
+  }
+  let lockedNow = 0;
+  for (const l of lockouts) lockedNow = Math.max(lockedNow, await rateLimiter.recordFailure(l.key, l.max));
+  return lockedNow ? { locked: lockedNow } : { valid: false };
 }
 
 // ============================================================
@@ -83,13 +349,9 @@ function generateToken(user) {
 // ============================================================
 
 // Sign up
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/signup', authRateLimit, validate(schemas.signup), async (req, res) => {
   try {
     const { name, email, password, role = 'buyer' } = req.body;
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: 'Name, email, and password are required' });
-    }
-    
     const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existing.rows.length > 0) {
       return res.status(409).json({ error: 'Email already registered' });
@@ -102,9 +364,11 @@ app.post('/api/auth/signup', async (req, res) => {
     );
 
     const user = result.rows[0];
-    const token = generateToken(user);
+    const { token, refresh_token } = await createSession(user, req);
+
+    await sendVerificationEmail(user);
 
-    res.status(201).json({ user, token });
+    res.status(201).json({ user, token, refresh_token });
   } catch (err) {
     console.error('Signup error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -112,601 +376,4806 @@ app.post('/api/auth/signup', async (req, res) => {
 });
 
 // Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginRateLimit, validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
     const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
     const user = result.rows[0];
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const attempt = await attemptSignIn(email, user, password, req.ip);
+    if (attempt.locked) return rateLimiter.lockedResponse(res, attempt.locked);
+    if (!attempt.valid) return res.status(401).json({ error: 'Invalid credentials' });
 
-    const token = generateToken(user);
+    const restriction = accountRestriction(user);
+    if (restriction) return restrictionResponse(res, restriction);
+
+    const { token, refresh_token } = await createSession(user, req);
     const { password_hash, ...safeUser } = user;
 
-    res.json({ user: safeUser, token });
+    res.json({ user: safeUser, token, refresh_token });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get current user
-app.get('/api/auth/me', auth, async (req, res) => {
+// Exchange a refresh token for a new access token. Refresh tokens rotate on
+// every use; presenting an already-rotated one revokes the whole session.
+app.post('/api/auth/refresh', authRateLimit, validate(schemas.refresh), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, email, role, phone, avatar_url, paid, paid_at, created_at FROM users WHERE id = $1',
-      [req.user.id]
+    const { refresh_token } = req.body;
+
+    const hash = hashToken(refresh_token);
+    const found = await pool.query(
+      'SELECT * FROM sessions WHERE refresh_token_hash = $1 OR previous_token_hash = $1',
+      [hash]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    res.json({ user: result.rows[0] });
+    if (found.rows.length === 0) return res.status(401).json({ error: 'Invalid refresh token' });
+
+    const session = found.rows[0];
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    if (session.refresh_token_hash !== hash) {
+      await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1', [session.id]);
+      realtime.closeSessions(session.user_id, sid => sid === session.id);
+      console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const fresh = createToken();
+    const rotated = await pool.query(`
+      UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = $2,
+        last_used_at = NOW(), ip = $3, expires_at = NOW() + make_interval(days => $4)
+      WHERE id = $1 AND refresh_token_hash = $5 AND revoked_at IS NULL
+      RETURNING id
+    `, [session.id, fresh.hash, req.ip, REFRESH_TOKEN_TTL_DAYS, hash]);
+    if (rotated.rows.length === 0) return res.status(401).json({ error: 'Session expired' });
+
+    const user = await pool.query('SELECT id, email, role FROM users WHERE id = $1', [session.user_id]);
+    if (user.rows.length === 0) return res.status(401).json({ error: 'Session expired' });
+
+    res.json({ token: generateToken(user.rows[0], session.id), refresh_token: fresh.token });
   } catch (err) {
+    console.error('Refresh error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update profile
-app.put('/api/auth/profile', auth, async (req, res) => {
+// Log out - revokes the current session (or the one owning body.refresh_token)
+app.post('/api/auth/logout', optionalAuth, validate(schemas.logout), async (req, res) => {
   try {
-    const { name, phone } = req.body;
-    const result = await pool.query(
-      'UPDATE users SET name = COALESCE($1, name), phone = COALESCE($2, phone), updated_at = NOW() WHERE id = $3 RETURNING id, name, email, role, phone, paid',
-      [name, phone, req.user.id]
-    );
-    res.json({ user: result.rows[0] });
+    if (req.user) {
+      await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1', [req.user.sid]);
+      realtime.closeSessions(req.user.id, sid => sid === req.user.sid);
+    } else if (req.body.refresh_token) {
+      await pool.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+        [hashToken(req.body.refresh_token)]
+      );
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    res.json({ logged_out: true });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ============================================================
-// LISTINGS ROUTES
-// ============================================================
-
-// Get all active listings (public)
-app.get('/api/listings', async (req, res) => {
+// List my active sessions (devices)
+app.get('/api/auth/sessions', auth, async (req, res) => {
   try {
-    const { converter, price, slides, search, sort } = req.query;
-    let query = `
-      SELECT l.*, u.name as seller_name,
-        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
-      FROM listings l
-      JOIN users u ON l.seller_id = u.id
-      WHERE l.status = 'active'
-    `;
-    const params = [];
-    let paramIdx = 1;
-
-    if (converter) {
-      query += ` AND l.converter = $${paramIdx++}`;
-      params.push(converter);
-    }
-    if (slides) {
-      query += ` AND l.slides = $${paramIdx++}`;
-      params.push(slides);
-    }
-    if (search) {
-      query += ` AND (l.converter ILIKE $${paramIdx} OR l.model ILIKE $${paramIdx} OR l.description ILIKE $${paramIdx} OR l.num ILIKE $${paramIdx})`;
-      params.push(`%${search}%`);
-      paramIdx++;
-    }
-    if (price === '1') {
-      query += ` AND l.price > 0 AND l.price < 1000000`;
-    } else if (price === '2') {
-      query += ` AND l.price >= 1000000 AND l.price <= 2000000`;
-    } else if (price === '3') {
-      query += ` AND l.price > 2000000`;
-    }
-
-    query += ' ORDER BY l.created_at DESC';
-
-    const result = await pool.query(query, params);
-    res.json({ listings: result.rows });
+    const result = await pool.query(`
+      SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+      FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `, [req.user.id]);
+    res.json({ sessions: result.rows.map(s => ({ ...s, current: s.id === req.user.sid })) });
   } catch (err) {
-    console.error('Listings error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get single listing
-app.get('/api/listings/:id', async (req, res) => {
+// Revoke one session
+app.delete('/api/auth/sessions/:id', auth, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT l.*, u.name as seller_name, u.id as seller_user_id
-      FROM listings l
-      JOIN users u ON l.seller_id = u.id
-      WHERE l.id = $1
-    `, [req.params.id]);
-
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
-
-    const photos = await pool.query(
-      'SELECT id, url, sort_order FROM listing_photos WHERE listing_id = $1 ORDER BY sort_order',
-      [req.params.id]
+    const result = await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+      [req.params.id, req.user.id]
     );
-
-    res.json({ listing: { ...result.rows[0], photos: photos.rows } });
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    realtime.closeSessions(req.user.id, sid => sid === req.params.id);
+    res.json({ revoked: true });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Create listing (auth required)
-app.post('/api/listings', auth, async (req, res) => {
+// Revoke every session except the current one
+app.delete('/api/auth/sessions', auth, async (req, res) => {
   try {
-    const { year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, photos } = req.body;
-
-    const result = await pool.query(`
-      INSERT INTO listings (seller_id, year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
-      RETURNING *
-    `, [req.user.id, year, model || 'H3-45', converter, num, price || 0, price_display, mileage, slides, engine || 'Volvo D13', length || '45 ft', color, description]);
+    await revokeSessions(req.user.id, req.user.sid);
+    res.json({ revoked: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const listing = result.rows[0];
+// Change password - body: { current_password, new_password }. Signs out other devices.
+app.put('/api/auth/password', auth, authRateLimit, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
 
-    // Insert photos if provided
-    if (photos && photos.length > 0) {
-      for (let i = 0; i < photos.length; i++) {
-        await pool.query(
-          'INSERT INTO listing_photos (listing_id, url, sort_order) VALUES ($1, $2, $3)',
-          [listing.id, photos[i], i]
-        );
-      }
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    if (!(await bcrypt.compare(current_password, result.rows[0].password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    res.status(201).json({ listing });
+    const password_hash = await bcrypt.hash(new_password, 12);
+    await pool.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [password_hash, req.user.id]);
+    await revokeSessions(req.user.id, req.user.sid);
+    res.json({ updated: true });
   } catch (err) {
-    console.error('Create listing error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update listing
-app.put('/api/listings/:id', auth, async (req, res) => {
+// Get current user
+app.get('/api/auth/me', auth, async (req, res) => {
   try {
-    // Verify ownership
-    const check = await pool.query('SELECT seller_id FROM listings WHERE id = $1', [req.params.id]);
-    if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-    if (check.rows[0].seller_id !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
-
-    const { year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, status } = req.body;
     const result = await pool.query(`
-      UPDATE listings SET
-        year=COALESCE($1,year), model=COALESCE($2,model), converter=COALESCE($3,converter),
-        num=COALESCE($4,num), price=COALESCE($5,price), price_display=COALESCE($6,price_display),
-        mileage=COALESCE($7,mileage), slides=COALESCE($8,slides), engine=COALESCE($9,engine),
-        length=COALESCE($10,length), color=COALESCE($11,color), description=COALESCE($12,description),
-        status=COALESCE($13,status), updated_at=NOW()
-      WHERE id = $14 RETURNING *
-    `, [year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, status, req.params.id]);
-
-    res.json({ listing: result.rows[0] });
+      SELECT u.id, u.name, u.email, u.role, u.phone, u.avatar_url, u.bio, u.location, u.paid, u.paid_at, u.email_verified_at,
+        u.seller_verified_at IS NOT NULL AS seller_verified, u.dealer_role, u.created_at,
+        CASE WHEN d.id IS NULL THEN NULL ELSE json_build_object('id', d.id, 'name', d.name, 'verified', d.verified_at IS NOT NULL) END AS dealer
+      FROM users u LEFT JOIN dealers d ON d.id = u.dealer_id
+      WHERE u.id = $1
+    `, [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    res.json({ user: result.rows[0] });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete listing
-app.delete('/api/listings/:id', auth, async (req, res) => {
+// Update profile - name, phone, and the bio and location on my public profile
+app.put('/api/auth/profile', auth, validate(schemas.profile), async (req, res) => {
   try {
-    const check = await pool.query('SELECT seller_id FROM listings WHERE id = $1', [req.params.id]);
-    if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-    if (check.rows[0].seller_id !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
-
-    await pool.query('DELETE FROM listings WHERE id = $1', [req.params.id]);
-    res.json({ deleted: true });
+    const fields = parseSellerProfile(req.body);
+    const columns = Object.keys(fields);
+    const result = await pool.query(`
+      UPDATE users SET ${columns.map((c, i) => `${c} = $${i + 2}, `).join('')}updated_at = NOW()
+      WHERE id = $1 RETURNING id, name, email, role, phone, avatar_url, bio, location, paid
+    `, [req.user.id, ...columns.map(c => fields[c])]);
+    res.json({ user: result.rows[0] });
   } catch (err) {
+    if (err instanceof ProfileError) return res.status(400).json({ error: err.message, fields: err.fields });
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ============================================================
-// MESSAGES ROUTES
+// EMAIL VERIFICATION & PASSWORD RESET
 // ============================================================
 
-// Start or get conversation
-app.post('/api/conversations', auth, async (req, res) => {
-  try {
-    const { listing_id } = req.body;
+const VERIFY_TOKEN_TTL = '48 hours';
+const RESET_TOKEN_TTL = '1 hour';
 
-    // Get listing seller
-    const listing = await pool.query('SELECT seller_id FROM listings WHERE id = $1', [listing_id]);
-    if (listing.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+// Issue a single-use token, replacing any outstanding one for the same purpose
+async function issueAuthToken(userId, purpose, ttl) {
+  const { token, hash } = createToken();
+  await pool.query('DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+  await pool.query(
+    'INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, NOW() + $4::interval)',
+    [userId, purpose, hash, ttl]
+  );
+  return token;
+}
 
-    const seller_id = listing.rows[0].seller_id;
-    if (seller_id === req.user.id) return res.status(400).json({ error: 'Cannot message yourself' });
+// Mark a token used and return its user id, or null if invalid/expired/used
+async function consumeAuthToken(token, purpose) {
+  const result = await pool.query(`
+    UPDATE auth_tokens SET used_at = NOW()
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
 
-    // Check if conversation exists
-    let convo = await pool.query(
-      'SELECT * FROM conversations WHERE listing_id = $1 AND buyer_id = $2',
-      [listing_id, req.user.id]
-    );
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user.id, 'verify_email', VERIFY_TOKEN_TTL);
+  const url = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  await outbox.enqueue({
+    to: user.email,
+    subject: 'Verify your Luxury Coach Exchange email',
+    text: `Hi ${user.name},\n\nConfirm your email address to list coaches and message sellers:\n${url}\n\nThis link expires in 48 hours.\n`,
+    userId: user.id
+  });
+}
 
-    if (convo.rows.length === 0) {
-      convo = await pool.query(
-        'INSERT INTO conversations (listing_id, buyer_id, seller_id) VALUES ($1, $2, $3) RETURNING *',
-        [listing_id, req.user.id, seller_id]
-      );
-    }
+// Verify email - body: { token }
+app.post('/api/auth/verify-email', authRateLimit, validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const { token } = req.body;
 
-    res.json({ conversation: convo.rows[0] });
+    const userId = await consumeAuthToken(token, 'verify_email');
+    if (!userId) return res.status(400).json({ error: 'Invalid or expired link' });
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1',
+      [userId]
+    );
+    res.json({ verified: true });
   } catch (err) {
-    console.error('Conversation error:', err);
+    console.error('Verify email error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get my conversations
-app.get('/api/conversations', auth, async (req, res) => {
+// Resend verification email
+app.post('/api/auth/resend-verification', auth, authRateLimit, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT c.*,
-        l.year, l.model, l.converter, l.num, l.price_display,
-        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as listing_photo,
-        buyer.name as buyer_name, seller.name as seller_name,
-        (SELECT text FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
-        (SELECT created_at FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_at,
-        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND sender_id != $1 AND read = false)::int as unread_count
-      FROM conversations c
-      JOIN listings l ON c.listing_id = l.id
-      JOIN users buyer ON c.buyer_id = buyer.id
-      JOIN users seller ON c.seller_id = seller.id
-      WHERE c.buyer_id = $1 OR c.seller_id = $1
-      ORDER BY c.updated_at DESC
-    `, [req.user.id]);
+    const result = await pool.query('SELECT id, name, email, email_verified_at FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    if (result.rows[0].email_verified_at) return res.status(400).json({ error: 'Email already verified' });
 
-    res.json({ conversations: result.rows });
+    await sendVerificationEmail(result.rows[0]);
+    res.json({ sent: true });
   } catch (err) {
-    console.error('Get conversations error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get messages in a conversation
-app.get('/api/conversations/:id/messages', auth, async (req, res) => {
+// Forgot password - body: { email }. Same response whether or not the account exists.
+app.post('/api/auth/forgot-password', authRateLimit, validate(schemas.forgotPassword), resetEmailRateLimit, async (req, res) => {
   try {
-    // Verify user is part of conversation
-    const convo = await pool.query(
-      'SELECT * FROM conversations WHERE id = $1 AND (buyer_id = $2 OR seller_id = $2)',
-      [req.params.id, req.user.id]
-    );
-    if (convo.rows.length === 0) return res.status(403).json({ error: 'Not authorized' });
+    const { email } = req.body;
 
-    const c = convo.rows[0];
-    const isSeller = c.seller_id === req.user.id;
-
-    // Check if seller has paid (to read buyer messages)
-    let sellerPaid = true;
-    if (isSeller) {
-      const seller = await pool.query('SELECT paid FROM users WHERE id = $1', [req.user.id]);
-      sellerPaid = seller.rows[0].paid;
+    const result = await pool.query('SELECT id, name, email FROM users WHERE email = $1', [email]);
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await issueAuthToken(user.id, 'reset_password', RESET_TOKEN_TTL);
+      const url = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+      await outbox.enqueue({
+        to: user.email,
+        subject: 'Reset your Luxury Coach Exchange password',
+        text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${url}\n\nIt expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.\n`,
+        userId: user.id
+      });
     }
 
-    const msgs = await pool.query(
-      'SELECT m.*, u.name as sender_name FROM messages m JOIN users u ON m.sender_id = u.id WHERE m.conversation_id = $1 ORDER BY m.created_at ASC',
-      [req.params.id]
-    );
+    res.json({ sent: true });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Mark messages as read
-    await pool.query(
-      'UPDATE messages SET read = true WHERE conversation_id = $1 AND sender_id != $2',
-      [req.params.id, req.user.id]
-    );
+// Reset password - body: { token, password }
+app.post('/api/auth/reset-password', authRateLimit, validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
 
-    // If seller hasn't paid, blur buyer messages
-    const messages = msgs.rows.map(m => {
-      if (isSeller && !sellerPaid && m.sender_id === c.buyer_id) {
-        return { ...m, text: '[Message locked — pay $500 to unlock]', locked: true };
-      }
-      return { ...m, locked: false };
-    });
+    const userId = await consumeAuthToken(token, 'reset_password');
+    if (!userId) return res.status(400).json({ error: 'Invalid or expired link' });
 
-    res.json({ messages, locked: isSeller && !sellerPaid });
+    // The link reached the user's inbox, so it also proves the address
+    const password_hash = await bcrypt.hash(password, 12);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $2',
+      [password_hash, userId]
+    );
+    await revokeSessions(userId);
+    res.json({ reset: true });
   } catch (err) {
+    console.error('Reset password error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Send a message
-app.post('/api/conversations/:id/messages', auth, async (req, res) => {
-  try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ error: 'Message text required' });
+// ============================================================
+// LISTINGS ROUTES
+// ============================================================
 
-    // Verify user is part of conversation
-    const convo = await pool.query(
-      'SELECT * FROM conversations WHERE id = $1 AND (buyer_id = $2 OR seller_id = $2)',
-      [req.params.id, req.user.id]
-    );
-    if (convo.rows.length === 0) return res.status(403).json({ error: 'Not authorized' });
+// Who a listing is from, for listing queries that join users u (the seller)
+// and LEFT JOIN dealers d ON d.id = l.dealer_id
+const SELLER_BADGE = 'd.name AS dealer_name, (u.seller_verified_at IS NOT NULL OR d.verified_at IS NOT NULL) AS seller_verified';
+// A seller's average rating and number of published reviews, for listings
+const SELLER_RATING = `(SELECT json_build_object('average', ROUND(AVG(rating), 1)::float8, 'count', COUNT(*))
+  FROM reviews WHERE seller_id = l.seller_id AND status = 'published') AS seller_rating`;
 
-    const c = convo.rows[0];
-    const isSeller = c.seller_id === req.user.id;
+// SQL condition: listing l is managed by the user whose id is in param - their
+// own listings and, for dealer staff, the dealer's inventory
+function managedBy(param) {
+  return `(l.seller_id = ${param} OR l.dealer_id = (SELECT dealer_id FROM users WHERE id = ${param}))`;
+}
 
-    // If seller, check if paid before allowing reply
-    if (isSeller) {
-      const seller = await pool.query('SELECT paid FROM users WHERE id = $1', [req.user.id]);
-      if (!seller.rows[0].paid) {
-        return res.status(403).json({ error: 'Payment required to reply. Unlock messaging for $500.' });
-      }
-    }
+// SQL conditions on conversation c: the user whose id is in param is on its
+// seller's side (the seller, or staff of the dealer whose inventory the
+// listing is in), or is either side
+function sellerSide(param) {
+  return `(c.seller_id = ${param} OR EXISTS (SELECT 1 FROM listings l WHERE l.id = c.listing_id AND ${managedBy(param)}))`;
+}
 
-    const result = await pool.query(
-      'INSERT INTO messages (conversation_id, sender_id, text) VALUES ($1, $2, $3) RETURNING *',
-      [req.params.id, req.user.id, text]
-    );
+function participantIn(param) {
+  return `(c.buyer_id = ${param} OR ${sellerSide(param)})`;
+}
 
-    // Update conversation timestamp
-    await pool.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [req.params.id]);
+// Whether the user manages the listing (see managedBy)
+async function managesListing(listingId, userId, db = pool) {
+  const result = await db.query(`SELECT ${managedBy('$2')} AS managed FROM listings l WHERE l.id = $1`, [listingId, userId]);
+  return result.rows.length > 0 && result.rows[0].managed === true;
+}
+
+// Get all active listings (public)
+// Filters: price/year/mileage _min/_max, converter/model/slides (comma list), search
+// Sort: relevance (default when searching), newest, price_asc, price_desc, year_desc, year_asc, mileage_asc, mileage_desc
+app.get('/api/listings', validate(schemas.browse), async (req, res) => {
+  try {
+    const filters = parseFilters(req.query);
+    const orderBy = parseSort(req.query.sort, filters);
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const params = [];
+    const conditions = ["l.status = 'active'", 'l.hidden_at IS NULL', ...filterClauses(filters, params)];
+    if (req.query.featured === 'true') conditions.push('l.featured_until > NOW()');
+    const where = conditions.join(' AND ');
+
+    // Promoted listings come first, whatever the sort
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM listings l WHERE ${where}`, params);
+    const result = await pool.query(`
+      SELECT l.*, u.name as seller_name, ${SELLER_BADGE}, ${SELLER_RATING}, ${PROMOTION} AS promotion,
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url${searchColumns(filters, params)}
+      FROM listings l
+      JOIN users u ON l.seller_id = u.id
+      LEFT JOIN dealers d ON d.id = l.dealer_id
+      WHERE ${where}
+      ORDER BY ${PROMOTION_RANK} DESC, ${orderBy}, l.created_at DESC, l.id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
 
-    res.status(201).json({ message: result.rows[0] });
+    const total = count.rows[0].total;
+    res.json({ listings: result.rows, total, page, limit, pages: Math.ceil(total / limit) });
   } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    console.error('Listings error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ============================================================
-// SAVED COACHES
-// ============================================================
+// Typeahead suggestions for converter and model names
+app.get('/api/listings/suggest', validate(schemas.listingSuggest), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.json({ suggestions: [] });
+
+    // Match the start of the value or of any word in it; escape LIKE wildcards
+    const escaped = q.replace(/[\\%_]/g, '\\$&');
+    const result = await pool.query(`
+      SELECT type, value, count FROM (
+        SELECT 'converter' AS type, converter AS value, COUNT(*)::int AS count
+        FROM listings WHERE status = 'active' AND hidden_at IS NULL AND (converter ILIKE $1 || '%' OR converter ILIKE '% ' || $1 || '%')
+        GROUP BY converter
+        UNION ALL
+        SELECT 'model' AS type, model AS value, COUNT(*)::int AS count
+        FROM listings WHERE status = 'active' AND hidden_at IS NULL AND (model ILIKE $1 || '%' OR model ILIKE '% ' || $1 || '%')
+        GROUP BY model
+      ) s
+      ORDER BY count DESC, value
+      LIMIT 10
+    `, [escaped]);
+
+    res.json({ suggestions: result.rows });
+  } catch (err) {
+    console.error('Suggest error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My listings (and my dealer's) in every status, newest first - filter: status
+app.get('/api/listings/mine', auth, validate(schemas.myListings), async (req, res) => {
+  try {
+    const params = [req.user.id];
+    const where = [managedBy('$1')];
+    if (req.query.status) where.push(`l.status = $${params.push(req.query.status)}`);
+    const result = await pool.query(`
+      SELECT l.*, ${PROMOTION} AS promotion,
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url,
+        (SELECT COUNT(*) FROM listing_photos WHERE listing_id = l.id)::int as photo_count
+      FROM listings l
+      WHERE ${where.join(' AND ')}
+      ORDER BY l.created_at DESC
+    `, params);
+    res.json({ listings: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My inventory in bulk import format - ?format=csv (default) or json
+app.get('/api/listings/export', auth, validate(schemas.listingExport), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    const listings = await pool.query(`SELECT * FROM listings l WHERE ${managedBy('$1')} ORDER BY num NULLS LAST, created_at`, [req.user.id]);
+    const photos = await pool.query(
+      'SELECT listing_id, url FROM listing_photos WHERE listing_id = ANY($1::uuid[]) ORDER BY sort_order, created_at',
+      [listings.rows.map(l => l.id)]
+    );
+    const rows = listings.rows.map(l => exportRow(l, photos.rows.filter(p => p.listing_id === l.id).map(p => p.url)));
+
+    const filename = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+    if (format === 'json') return res.json({ listings: rows });
+    res.type('text/csv').send(toCsv(rows));
+  } catch (err) {
+    console.error('Listing export error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get single listing (hidden listings, drafts and listings in review are only visible to their owner)
+app.get('/api/listings/:id', optionalAuth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT l.*, u.name as seller_name, u.id as seller_user_id, ${SELLER_BADGE}, ${SELLER_RATING}, ${PROMOTION} AS promotion,
+        ${managedBy('$2')} AS managed
+      FROM listings l
+      JOIN users u ON l.seller_id = u.id
+      LEFT JOIN dealers d ON d.id = l.dealer_id
+      WHERE l.id = $1
+    `, [req.params.id, req.user?.id || null]);
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+    const { managed, ...l } = result.rows[0];
+    if ((l.hidden_at || PRIVATE_STATUSES.includes(l.status)) && !managed) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const photos = await pool.query(
+      'SELECT id, url, thumb_url, sort_order FROM listing_photos WHERE listing_id = $1 ORDER BY sort_order',
+      [req.params.id]
+    );
+
+    res.json({ listing: { ...l, photos: photos.rows } });
+
+    // Count buyers' views of live listings, not the seller checking their own
+    if (!managed && !l.hidden_at) {
+      const visitor = req.user?.id || `${req.ip} ${req.headers['user-agent'] || ''}`;
+      analytics.recordView(l.id, visitor).catch(err => console.error('Listing view error:', err));
+    }
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create listing (auth required). New listings are drafts; status: "active"
+// publishes right away if the listing is complete.
+app.post('/api/listings', auth, requireVerified, validate(schemas.createListing), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const fields = parseListingFields(req.body);
+    const status = fields.status || 'draft';
+    if (!['draft', 'active'].includes(status)) {
+      throw new ListingValidationError({ status: 'A new listing is either a draft or published (active)' });
+    }
+    const photos = Array.isArray(req.body.photos) ? req.body.photos : [];
+
+    await client.query('BEGIN');
+    const { year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description } = fields;
+    const result = await client.query(`
+      INSERT INTO listings (seller_id, year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, status, dealer_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,'draft',(SELECT dealer_id FROM users WHERE id = $1))
+      RETURNING *
+    `, [req.user.id, year, model || 'H3-45', converter, num, price || 0, price_display, mileage, slides, engine || 'Volvo D13', length || '45 ft', color, description]);
+    let listing = result.rows[0];
+
+    // Insert photos if provided
+    for (let i = 0; i < photos.length; i++) {
+      await client.query(
+        'INSERT INTO listing_photos (listing_id, url, sort_order) VALUES ($1, $2, $3)',
+        [listing.id, photos[i], i]
+      );
+    }
+
+    if (status === 'active') {
+      ({ listing } = await applyListingUpdate(client, listing, { status: await publishStatus(client, listing) }, req.user.id));
+    }
+    await client.query('COMMIT');
+    res.status(201).json({ listing });
+
+    if (listing.status === 'active') {
+      notifySavedSearchMatches(listing.id).catch(err => console.error('Saved search match error:', err));
+    }
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err instanceof ListingValidationError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Create listing error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+});
+
+// Validate import rows against the seller's listings. Each row gets its
+// action (create or update, matched by num) and its errors. Status changes
+// follow the listing lifecycle; new listings start as drafts.
+async function planImport(db, sellerId, rawRows, { lock = false } = {}) {
+  const rows = rawRows.map((raw, i) => ({ row: i + 1, ...validateRow(raw) }));
+  const nums = rows.map(r => r.listing.num).filter(Boolean);
+  const existing = await db.query(
+    `SELECT * FROM listings l WHERE ${managedBy('$1')} AND num = ANY($2::text[]) ORDER BY created_at${lock ? ' FOR UPDATE' : ''}`,
+    [sellerId, nums]
+  );
+  const photos = await db.query('SELECT listing_id, url FROM listing_photos WHERE listing_id = ANY($1::uuid[])', [existing.rows.map(l => l.id)]);
+
+  const seen = new Set();
+  for (const r of rows) {
+    const num = r.listing.num;
+    if (!num) continue;
+    if (seen.has(num)) r.errors.push(`num ${num} appears more than once in the file`);
+    seen.add(num);
+
+    const matches = existing.rows.filter(l => l.num === num);
+    if (matches.length > 1) r.errors.push(`${matches.length} of your listings have stock number ${num}`);
+    r.existing = matches.length === 1 ? matches[0] : null;
+    r.action = r.existing ? 'update' : 'create';
+    if (!r.existing && !r.listing.converter) r.errors.push('converter is required for a new listing');
+
+    const before = r.existing || { status: 'draft', model: 'H3-45', price: 0 };
+    const status = r.listing.status;
+    if (!status || status === before.status) continue;
+    try {
+      if (statusChange(before.status, status) === 'publish') {
+        const urls = new Set([...photos.rows.filter(p => p.listing_id === before.id).map(p => p.url), ...(r.listing.photos || [])]);
+        const problems = publishProblems({ ...before, ...r.listing }, urls.size, { minPhotos: LISTING_MIN_PHOTOS });
+        if (problems) r.errors.push(...Object.values(problems));
+        else r.listing.status = LISTING_APPROVAL_REQUIRED ? 'in_review' : 'active';
+      }
+    } catch (err) {
+      if (!(err instanceof ListingValidationError)) throw err;
+      r.errors.push(...Object.values(err.fields));
+    }
+  }
+  return rows;
+}
+
+function importReport(rows, dryRun) {
+  return {
+    dry_run: dryRun,
+    summary: {
+      rows: rows.length,
+      created: rows.filter(r => r.action === 'create').length,
+      updated: rows.filter(r => r.action === 'update').length,
+      errors: rows.filter(r => r.errors.length > 0).length
+    },
+    rows: rows.map(r => ({ row: r.row, num: r.listing.num || null, action: r.action || null, id: r.id || r.existing?.id || null, errors: r.errors }))
+  };
+}
+
+// Add photo URLs a listing doesn't have yet, after its current photos
+async function addPhotoUrls(db, listingId, urls) {
+  const current = await db.query('SELECT url, sort_order FROM listing_photos WHERE listing_id = $1', [listingId]);
+  let order = Math.max(-1, ...current.rows.map(p => p.sort_order)) + 1;
+  for (const url of urls) {
+    if (current.rows.some(p => p.url === url)) continue;
+    await db.query('INSERT INTO listing_photos (listing_id, url, sort_order) VALUES ($1, $2, $3)', [listingId, url, order++]);
+  }
+}
+
+// Bulk create or update my listings from a CSV or JSON file (multipart field
+// "file"; ?format= overrides the file type) or a JSON body ({ listings }).
+// Rows are matched to my listings by num. With ?dry_run=true nothing is saved
+// and the per-row report is returned; otherwise all rows are saved together,
+// or none if any row has errors.
+app.post('/api/listings/import', auth, requireVerified, handleUpload(importUpload.single('file')), validate(schemas.listingImport), async (req, res) => {
+  let rawRows;
+  try {
+    rawRows = req.file
+      ? readImportFile(req.file.buffer, importFormat(req.file, req.query.format))
+      : jsonRows(req.body);
+    if (req.query.dry_run === 'true') return res.json(importReport(await planImport(pool, req.user.id, rawRows), true));
+  } catch (err) {
+    if (err instanceof ImportError) return res.status(400).json({ error: err.message });
+    console.error('Listing import error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const rows = await planImport(client, req.user.id, rawRows, { lock: true });
+    if (rows.some(r => r.errors.length > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'The import has errors; nothing was saved', ...importReport(rows, false) });
+    }
+
+    const updates = [];
+    const created = [];
+    for (const r of rows) {
+      const { photos, ...fields } = r.listing;
+      if (r.existing) {
+        if (photos) await addPhotoUrls(client, r.existing.id, photos);
+        const update = await reviewEditedListing(client, await applyListingUpdate(client, r.existing, fields, req.user.id), req.user.id);
+        updates.push({ before: r.existing, ...update });
+        r.id = r.existing.id;
+        continue;
+      }
+
+      const result = await client.query(`
+        INSERT INTO listings (seller_id, year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, status, dealer_id)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,'draft',(SELECT dealer_id FROM users WHERE id = $1))
+        RETURNING *
+      `, [req.user.id, fields.year, fields.model || 'H3-45', fields.converter, fields.num, fields.price || 0, fields.price_display,
+        fields.mileage, fields.slides, fields.engine || 'Volvo D13', fields.length || '45 ft', fields.color, fields.description]);
+      let listing = result.rows[0];
+      r.id = listing.id;
+      if (photos) await addPhotoUrls(client, listing.id, photos);
+      if (fields.status && fields.status !== 'draft') {
+        ({ listing } = await applyListingUpdate(client, listing, { status: fields.status }, req.user.id));
+      }
+      created.push(listing);
+    }
+    await client.query('COMMIT');
+    res.status(created.length > 0 ? 201 : 200).json(importReport(rows, false));
+
+    for (const u of updates) afterListingUpdate(u.before, u.listing, u.changes);
+    for (const listing of created.filter(l => l.status === 'active')) {
+      notifySavedSearchMatches(listing.id).catch(err => console.error('Saved search match error:', err));
+    }
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Listing import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+const LISTING_MIN_PHOTOS = process.env.LISTING_MIN_PHOTOS ? parseInt(process.env.LISTING_MIN_PHOTOS) : 3;
+const LISTING_APPROVAL_REQUIRED = process.env.LISTING_APPROVAL_REQUIRED === 'true';
+const LISTING_TTL_DAYS = parseInt(process.env.LISTING_TTL_DAYS) || 90;
+const LISTING_RENEWAL_NOTICE_DAYS = parseInt(process.env.LISTING_RENEWAL_NOTICE_DAYS) || 7;
+
+// What a listing still needs before it can be published, or null
+async function listingProblems(db, listing, extraPhotos = 0) {
+  const photos = await db.query('SELECT COUNT(*)::int AS count FROM listing_photos WHERE listing_id = $1', [listing.id]);
+  return publishProblems(listing, photos.rows[0].count + extraPhotos, { minPhotos: LISTING_MIN_PHOTOS });
+}
+
+// The status a complete listing is published to; throws with what's missing
+async function publishStatus(db, listing, extraPhotos = 0) {
+  const problems = await listingProblems(db, listing, extraPhotos);
+  if (problems) throw new ListingValidationError(problems, 'This listing is not ready to publish');
+  return LISTING_APPROVAL_REQUIRED ? 'in_review' : 'active';
+}
+
+// Start a new term for a live listing
+async function setListingExpiry(db, listingId) {
+  const result = await db.query(`
+    UPDATE listings SET published_at = COALESCE(published_at, NOW()), expires_at = NOW() + make_interval(days => $2),
+      renewal_reminded_at = NULL
+    WHERE id = $1 RETURNING *
+  `, [listingId, LISTING_TTL_DAYS]);
+  return result.rows[0];
+}
+
+// Dates that go with entering a status
+async function stampListingStatus(db, listing) {
+  if (listing.status === 'active') return setListingExpiry(db, listing.id);
+  if (listing.status === 'in_review') {
+    const result = await db.query('UPDATE listings SET submitted_at = NOW(), review_note = NULL WHERE id = $1 RETURNING *', [listing.id]);
+    return result.rows[0];
+  }
+  return listing;
+}
+
+// Fields recorded in listing_changes when they change
+const TRACKED_LISTING_FIELDS = ['year', 'model', 'converter', 'num', 'price', 'price_display', 'mileage', 'slides', 'engine', 'length', 'color', 'description', 'status'];
+
+function listingDiff(before, after) {
+  return TRACKED_LISTING_FIELDS
+    .filter(field => String(before[field] ?? '') !== String(after[field] ?? ''))
+    .map(field => ({ field, old_value: before[field], new_value: after[field] }));
+}
+
+// Apply an edit (seller or admin) inside the caller's transaction and record
+// each changed field in listing_changes
+async function applyListingUpdate(client, before, body, changedBy) {
+  const { year, model, converter, num, price, price_display, mileage, slides, engine, length, color, description, status } = body;
+  const result = await client.query(`
+    UPDATE listings SET
+      year=COALESCE($1,year), model=COALESCE($2,model), converter=COALESCE($3,converter),
+      num=COALESCE($4,num), price=COALESCE($5,price), price_display=COALESCE($6,price_display),
+      mileage=COALESCE($7,mileage), slides=COALESCE($8,slides), engine=COALESCE($9,engine),
+      length=COALESCE($10,length), color=COALESCE($11,color), description=COALESCE($12,description),
+      status=COALESCE($13,status), updated_at=NOW()
+    WHERE id = $14 RETURNING *
+  `, [year, model, converter, num, price, price_display, parseNumeric(mileage), parseNumeric(slides), engine, length, color, description, status, before.id]);
+  let listing = result.rows[0];
+  if (listing.status !== before.status) listing = await stampListingStatus(client, listing);
+
+  const changes = listingDiff(before, listing);
+  for (const c of changes) {
+    await client.query(
+      'INSERT INTO listing_changes (listing_id, changed_by, field, old_value, new_value) VALUES ($1, $2, $3, $4, $5)',
+      [listing.id, changedBy, c.field, c.old_value, c.new_value]
+    );
+  }
+  return { listing, changes };
+}
+
+// Alerts that follow a committed listing edit
+function afterListingUpdate(before, listing, changes) {
+  if (listing.status === 'active' && before.status !== 'active') {
+    notifySavedSearchMatches(listing.id).catch(err => console.error('Saved search match error:', err));
+  }
+  if (changes.length > 0) {
+    notifySavedListingChanges(before, listing).catch(err => console.error('Saved listing alert error:', err));
+  }
+  // Sold or relisted: the coach is no longer under contract (a trip through
+  // review after an edit doesn't change that)
+  if (listing.status !== before.status && listing.status !== 'pending' && ![before.status, listing.status].includes('in_review')) {
+    const sold = listing.status === 'sold';
+    settleListingDeposits(listing.id, { sold, note: sold ? 'Coach sold' : `Listing changed to ${listing.status}` })
+      .catch(err => console.error('Deposit settle error:', err));
+  }
+}
+
+// With approval required, a content change to a live listing sends it back
+// to the review queue. Takes and returns applyListingUpdate's result.
+async function reviewEditedListing(client, { listing, changes }, changedBy) {
+  if (!LISTING_APPROVAL_REQUIRED || listing.status !== 'active' || !changes.some(c => c.field !== 'status')) {
+    return { listing, changes };
+  }
+  const review = await applyListingUpdate(client, listing, { status: 'in_review' }, changedBy);
+  return { listing: review.listing, changes: [...changes, ...review.changes] };
+}
+
+// Edit my listing, checking any status change: a draft set to active is
+// published (if complete), an expired listing set to active is renewed.
+// With renew, an active listing also starts a new term.
+async function editOwnListing(req, res, body, { renew = false } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    const fields = parseListingFields(body);
+    await client.query('BEGIN');
+
+    // Verify ownership
+    const check = await client.query(`SELECT l.*, ${managedBy('$2')} AS managed FROM listings l WHERE l.id = $1 FOR UPDATE`, [req.params.id, req.user.id]);
+    if (check.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const { managed, ...before } = check.rows[0];
+    if (!managed) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (fields.status === 'active' && before.status !== 'active' && !(await isVerified(req.user.id, client))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Please verify your email address first', code: 'email_unverified' });
+    }
+    if (renew && !['active', 'expired'].includes(before.status)) {
+      throw new ListingValidationError({ status: 'Only active or expired listings can be renewed' });
+    }
+    if (fields.status && fields.status !== before.status && statusChange(before.status, fields.status) === 'publish') {
+      fields.status = await publishStatus(client, { ...before, ...fields });
+    }
+
+    let { listing, changes } = await reviewEditedListing(client, await applyListingUpdate(client, before, fields, req.user.id), req.user.id);
+    if (renew && listing.status === 'active' && before.status === 'active') listing = await setListingExpiry(client, listing.id);
+
+    await client.query('COMMIT');
+    res.json({ listing });
+
+    afterListingUpdate(before, listing, changes);
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err instanceof ListingValidationError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Update listing error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+// Update listing (owner). status follows the listing lifecycle.
+app.put('/api/listings/:id', auth, validate(schemas.editListing), (req, res) => editOwnListing(req, res, req.body));
+
+// Publish a draft: active, or in_review when listings need approval
+app.post('/api/listings/:id/publish', auth, (req, res) => editOwnListing(req, res, { status: 'active' }));
+
+// Start a new term for an active listing, or relist an expired one
+app.post('/api/listings/:id/renew', auth, (req, res) => editOwnListing(req, res, { status: 'active' }, { renew: true }));
+
+// What my listing still needs before it can be published
+app.get('/api/listings/:id/readiness', auth, listingOwner, async (req, res) => {
+  try {
+    const listing = await pool.query('SELECT * FROM listings WHERE id = $1', [req.params.id]);
+    const problems = await listingProblems(pool, listing.rows[0]);
+    res.json({ ready: !problems, problems: problems || {}, approval_required: LISTING_APPROVAL_REQUIRED });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Views, saves, conversations and offers on my listing per day, with
+// conversion rates - ?from=&to= (YYYY-MM-DD) or ?days= (default 30)
+app.get('/api/me/listings/:id/analytics', auth, listingOwner, validate(schemas.analyticsRange), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    res.json({ listing_id: req.params.id, ...(await analytics.report(range, [req.params.id])) });
+  } catch (err) {
+    if (err instanceof AnalyticsError) return res.status(err.status).json({ error: err.message });
+    console.error('Listing analytics error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remind sellers a few days before a listing's term ends
+async function remindListingRenewals() {
+  const due = await pool.query(`
+    UPDATE listings SET renewal_reminded_at = NOW()
+    WHERE status = 'active' AND renewal_reminded_at IS NULL AND expires_at <= NOW() + make_interval(days => $1)
+    RETURNING id, seller_id, year, converter, model, expires_at
+  `, [LISTING_RENEWAL_NOTICE_DAYS]);
+  for (const l of due.rows) {
+    const date = l.expires_at.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    await notifier.notify(l.seller_id, {
+      type: 'listing_expiry',
+      title: `Your ${coachName(l, { short: true })} listing expires soon`,
+      body: `Your ${coachName(l)} comes off the market on ${date}. Renew it to keep it listed: ${listingUrl(l.id)}`,
+      data: { listing_id: l.id, expires_at: l.expires_at },
+      email: true
+    });
+  }
+  return due.rows.length;
+}
+
+// Take down active listings whose term has ended
+async function expireListings() {
+  const due = await pool.query("SELECT id FROM listings WHERE status = 'active' AND expires_at <= NOW()");
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    let update = null;
+    try {
+      await client.query('BEGIN');
+      const check = await client.query(
+        "SELECT * FROM listings WHERE id = $1 AND status = 'active' AND expires_at <= NOW() FOR UPDATE",
+        [id]
+      );
+      if (check.rows.length > 0) {
+        update = { before: check.rows[0], ...(await applyListingUpdate(client, check.rows[0], { status: 'expired' }, null)) };
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    if (!update) continue;
+
+    const l = update.listing;
+    afterListingUpdate(update.before, l, update.changes);
+    await notifier.notify(l.seller_id, {
+      type: 'listing_expiry',
+      title: `Your ${coachName(l, { short: true })} listing has expired`,
+      body: `Your ${coachName(l)} is no longer shown to buyers. Renew it to put it back on the market: ${listingUrl(l.id)}`,
+      data: { listing_id: l.id },
+      email: true
+    });
+  }
+  return due.rows.length;
+}
+
+// Price and status history (public, with the same visibility as the listing)
+app.get('/api/listings/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const listing = await pool.query(`
+      SELECT l.id, l.price, l.status, l.created_at, l.hidden_at, ${managedBy('$2')} AS managed
+      FROM listings l WHERE l.id = $1
+    `, [req.params.id, req.user?.id || null]);
+    if (listing.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+    const { managed, ...l } = listing.rows[0];
+    if ((l.hidden_at || PRIVATE_STATUSES.includes(l.status)) && !managed) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const changes = await pool.query(`
+      SELECT field, old_value, new_value, created_at FROM listing_changes
+      WHERE listing_id = $1 AND field IN ('price', 'status')
+      ORDER BY created_at ASC
+    `, [req.params.id]);
+
+    const price_history = changes.rows.filter(c => c.field === 'price').map(c => ({
+      old_price: parseInt(c.old_value) || 0,
+      new_price: parseInt(c.new_value) || 0,
+      change: (parseInt(c.new_value) || 0) - (parseInt(c.old_value) || 0),
+      changed_at: c.created_at
+    }));
+    const status_history = changes.rows.filter(c => c.field === 'status').map(c => ({
+      old_status: c.old_value,
+      new_status: c.new_value,
+      changed_at: c.created_at
+    }));
+
+    res.json({
+      listed_at: l.created_at,
+      original_price: price_history.length > 0 ? price_history[0].old_price : l.price,
+      current_price: l.price,
+      price_history,
+      status_history
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete listing
+app.delete('/api/listings/:id', auth, async (req, res) => {
+  try {
+    const check = await pool.query(`SELECT ${managedBy('$2')} AS managed FROM listings l WHERE l.id = $1`, [req.params.id, req.user.id]);
+    if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+    if (!check.rows[0].managed) return res.status(403).json({ error: 'Not authorized' });
+
+    const photos = await pool.query('SELECT storage_key FROM listing_photos WHERE listing_id = $1', [req.params.id]);
+    const attachments = await listingAttachments(req.params.id);
+    await settleListingDeposits(req.params.id, { note: 'Listing deleted' });
+    await pool.query('DELETE FROM listings WHERE id = $1', [req.params.id]);
+    await Promise.all(photos.rows.map(p => removePhotoFiles(p.storage_key)));
+    await Promise.all(attachments.map(removeAttachmentFiles));
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// LISTING PHOTOS
+// ============================================================
+
+const MAX_PHOTO_BYTES = parseInt(process.env.MAX_PHOTO_BYTES) || 15 * 1024 * 1024;
+const MAX_PHOTOS_PER_UPLOAD = 20;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+function photoFileFilter(req, file, cb) {
+  if (PHOTO_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+  cb(new ImageError(`Unsupported file type: ${file.mimetype}`));
+}
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS_PER_UPLOAD },
+  fileFilter: photoFileFilter
+});
+
+// Run a multer middleware and report its errors as 400s
+function handleUpload(middleware) {
+  return (req, res, next) => middleware(req, res, err => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError || err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+// Only the listing owner (or their dealer's staff) may continue (checked
+// before any upload is read)
+async function listingOwner(req, res, next) {
+  try {
+    const check = await pool.query(`SELECT ${managedBy('$2')} AS managed FROM listings l WHERE l.id = $1`, [req.params.id, req.user.id]);
+    if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+    if (!check.rows[0].managed) return res.status(403).json({ error: 'Not authorized' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function removePhotoFiles(storageKey) {
+  if (!storageKey) return;
+  try {
+    await Promise.all([storage.remove(`${storageKey}/full.jpg`), storage.remove(`${storageKey}/thumb.jpg`)]);
+  } catch (err) {
+    console.error('Photo file cleanup error:', err);
+  }
+}
+
+// Upload photos (multipart field "photos")
+app.post('/api/listings/:id/photos', auth, listingOwner, handleUpload(photoUpload.array('photos', MAX_PHOTOS_PER_UPLOAD)), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No photos uploaded' });
+    }
+
+    // Process everything first so one bad file rejects the whole batch
+    const processed = [];
+    for (const file of req.files) {
+      processed.push(await processPhoto(file.buffer));
+    }
+
+    const next = await pool.query(
+      'SELECT COALESCE(MAX(sort_order) + 1, 0) AS sort_order FROM listing_photos WHERE listing_id = $1',
+      [req.params.id]
+    );
+    let sortOrder = next.rows[0].sort_order;
+
+    const photos = [];
+    for (const image of processed) {
+      const id = uuidv4();
+      const key = `listings/${req.params.id}/${id}`;
+      const [url, thumbUrl] = await Promise.all([
+        storage.put(`${key}/full.jpg`, image.full, image.contentType),
+        storage.put(`${key}/thumb.jpg`, image.thumb, image.contentType)
+      ]);
+      const result = await pool.query(
+        'INSERT INTO listing_photos (id, listing_id, url, thumb_url, storage_key, sort_order) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, url, thumb_url, sort_order',
+        [id, req.params.id, url, thumbUrl, key, sortOrder++]
+      );
+      photos.push(result.rows[0]);
+    }
+
+    res.status(201).json({ photos });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('Photo upload error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reorder photos - body: { photo_ids: [...] } in the new display order
+app.put('/api/listings/:id/photos/order', auth, listingOwner, validate(schemas.photoOrder), async (req, res) => {
+  try {
+    const { photo_ids } = req.body;
+
+    const existing = await pool.query('SELECT id FROM listing_photos WHERE listing_id = $1', [req.params.id]);
+    const ids = new Set(existing.rows.map(r => r.id));
+    if (photo_ids.length !== ids.size || new Set(photo_ids).size !== ids.size || !photo_ids.every(id => ids.has(id))) {
+      return res.status(400).json({ error: 'photo_ids must list every photo of this listing exactly once' });
+    }
+
+    await pool.query(`
+      UPDATE listing_photos p SET sort_order = o.ord - 1
+      FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, ord)
+      WHERE p.id = o.id AND p.listing_id = $2
+    `, [photo_ids, req.params.id]);
+
+    const photos = await pool.query(
+      'SELECT id, url, thumb_url, sort_order FROM listing_photos WHERE listing_id = $1 ORDER BY sort_order',
+      [req.params.id]
+    );
+    res.json({ photos: photos.rows });
+  } catch (err) {
+    console.error('Photo reorder error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a photo
+app.delete('/api/listings/:id/photos/:photoId', auth, listingOwner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM listing_photos WHERE id = $1 AND listing_id = $2 RETURNING storage_key',
+      [req.params.photoId, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Photo not found' });
+
+    await removePhotoFiles(result.rows[0].storage_key);
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// SELLER PROFILES & DEALERS
+// ============================================================
+
+// Response stats cover conversations buyers started this many days back
+const RESPONSE_WINDOW_DAYS = 90;
+const PROFILE_SOLD_LIMIT = 20;
+const DEALER_INVITE_DAYS = 14;
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: photoFileFilter
+});
+
+// Store a profile picture or dealer logo under prefix, returning its URL and key
+async function storeAvatar(prefix, buffer) {
+  const { image, contentType } = await processAvatar(buffer);
+  const key = `${prefix}/${uuidv4()}.jpg`;
+  const url = await storage.put(key, image, contentType);
+  return { url, key };
+}
+
+async function removeAvatarFile(key) {
+  if (!key) return;
+  try {
+    await storage.remove(key);
+  } catch (err) {
+    console.error('Avatar file cleanup error:', err);
+  }
+}
+
+// Public inventory of a seller or dealer (condition on listings l): coaches
+// for sale (active or under contract) and the most recently sold
+async function profileListings(condition, params) {
+  const result = await pool.query(`
+    SELECT l.id, l.year, l.converter, l.model, l.price, l.price_display, l.mileage, l.status, l.published_at, ${PROMOTION} AS promotion,
+      (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) AS photo_url
+    FROM listings l
+    WHERE ${condition} AND l.hidden_at IS NULL AND l.status IN ('active', 'pending', 'sold')
+    ORDER BY l.updated_at DESC
+  `, params);
+  const forSale = result.rows.filter(l => l.status !== 'sold');
+  const sold = result.rows.filter(l => l.status === 'sold');
+  return {
+    counts: { for_sale: forSale.length, sold: sold.length },
+    listings: { for_sale: forSale, sold: sold.slice(0, PROFILE_SOLD_LIMIT) }
+  };
+}
+
+// How often and how fast sellers answer buyers' first messages
+async function responseStats(sellerIds) {
+  const result = await pool.query(`
+    SELECT COUNT(*)::int AS conversations, COUNT(replied_at)::int AS replied,
+      ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM replied_at - asked_at)) / 3600)::numeric, 1)::float8 AS median_response_hours
+    FROM (${firstReplies('c.seller_id = ANY($1::uuid[])')}) f
+    WHERE asked_at > NOW() - make_interval(days => $2)
+  `, [sellerIds, RESPONSE_WINDOW_DAYS]);
+  const { conversations, replied, median_response_hours } = result.rows[0];
+  return {
+    conversations,
+    response_rate: conversations > 0 ? Math.round((replied / conversations) * 100) / 100 : null,
+    median_response_hours
+  };
+}
+
+// Upload my profile picture (multipart field "avatar")
+app.post('/api/auth/avatar', auth, handleUpload(avatarUpload.single('avatar')), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
+    const { url, key } = await storeAvatar(`avatars/${req.user.id}`, req.file.buffer);
+    const result = await pool.query(`
+      UPDATE users u SET avatar_url = $2, avatar_key = $3, updated_at = NOW()
+      FROM (SELECT avatar_key FROM users WHERE id = $1) old
+      WHERE u.id = $1 RETURNING u.avatar_url, old.avatar_key AS old_key
+    `, [req.user.id, url, key]);
+    await removeAvatarFile(result.rows[0].old_key);
+    res.json({ avatar_url: result.rows[0].avatar_url });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('Avatar upload error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove my profile picture
+app.delete('/api/auth/avatar', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE users u SET avatar_url = NULL, avatar_key = NULL, updated_at = NOW()
+      FROM (SELECT avatar_key FROM users WHERE id = $1) old
+      WHERE u.id = $1 RETURNING old.avatar_key AS old_key
+    `, [req.user.id]);
+    await removeAvatarFile(result.rows[0]?.old_key);
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public seller profile: who they are, their inventory and how they respond
+app.get('/api/sellers/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT u.id, u.name, u.bio, u.location, u.avatar_url, u.created_at AS member_since, u.role, u.banned_at,
+        u.seller_verified_at IS NOT NULL OR d.verified_at IS NOT NULL AS verified,
+        CASE WHEN d.id IS NULL THEN NULL ELSE json_build_object('id', d.id, 'name', d.name, 'logo_url', d.logo_url, 'verified', d.verified_at IS NOT NULL) END AS dealer
+      FROM users u LEFT JOIN dealers d ON d.id = u.dealer_id
+      WHERE u.id = $1
+    `, [req.params.id]);
+    const { role, banned_at, ...seller } = result.rows[0] || {};
+    if (!seller.id || banned_at) return res.status(404).json({ error: 'Seller not found' });
+
+    const { counts, listings } = await profileListings('l.seller_id = $1', [seller.id]);
+    if (role === 'buyer' && !seller.dealer && counts.for_sale + counts.sold === 0) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+    const { stars, ...rating } = await ratingSummary([seller.id]);
+    const stats = { active_listings: counts.for_sale, sold_listings: counts.sold, rating, ...(await responseStats([seller.id])) };
+    res.json({ seller, stats, listings });
+  } catch (err) {
+    console.error('Seller profile error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Only staff of the dealer in :id may continue; with ownerOnly, only its owner
+function dealerMember({ ownerOnly = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const me = await pool.query('SELECT dealer_id, dealer_role FROM users WHERE id = $1', [req.user.id]);
+      const { dealer_id, dealer_role } = me.rows[0] || {};
+      if (!dealer_id || dealer_id !== req.params.id) return res.status(403).json({ error: 'Not authorized' });
+      if (ownerOnly && dealer_role !== 'owner') return res.status(403).json({ error: 'Only the dealer account owner can do this' });
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+// Hand a departing staff member's listings in the dealer's inventory - and
+// their buyers' conversations and open deposits - to the dealer's owner
+async function transferDealerListings(db, dealerId, fromUserId, toUserId) {
+  const moved = await db.query(
+    'UPDATE listings SET seller_id = $3, updated_at = NOW() WHERE dealer_id = $1 AND seller_id = $2 RETURNING id',
+    [dealerId, fromUserId, toUserId]
+  );
+  const ids = moved.rows.map(l => l.id);
+  await db.query('UPDATE conversations SET seller_id = $2, updated_at = NOW() WHERE listing_id = ANY($1::uuid[])', [ids, toUserId]);
+  await db.query(
+    'UPDATE deposits SET seller_id = $2, updated_at = NOW() WHERE listing_id = ANY($1::uuid[]) AND status = ANY($3)',
+    [ids, toUserId, OPEN_DEPOSIT_STATES]
+  );
+  return ids.length;
+}
+
+// Open a dealer account; I become its owner and my listings its inventory
+app.post('/api/dealers', auth, requireVerified, validate(schemas.dealer), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const fields = parseDealer(req.body, { creating: true });
+    await client.query('BEGIN');
+    const me = await client.query('SELECT dealer_id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+    if (me.rows[0].dealer_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'You already belong to a dealer account' });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await client.query(
+      `INSERT INTO dealers (${columns.join(', ')}) VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      columns.map(c => fields[c])
+    );
+    const dealer = result.rows[0];
+    await client.query("UPDATE users SET dealer_id = $1, dealer_role = 'owner', updated_at = NOW() WHERE id = $2", [dealer.id, req.user.id]);
+    await client.query('UPDATE listings SET dealer_id = $1 WHERE seller_id = $2 AND dealer_id IS NULL', [dealer.id, req.user.id]);
+    await client.query('COMMIT');
+    res.status(201).json({ dealer });
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err instanceof ProfileError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Create dealer error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Public dealer profile: details, team, shared inventory and response stats
+app.get('/api/dealers/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, bio, location, website, phone, logo_url, verified_at IS NOT NULL AS verified, created_at AS member_since
+      FROM dealers WHERE id = $1
+    `, [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Dealer not found' });
+    const dealer = result.rows[0];
+
+    const team = await pool.query(
+      "SELECT id, name, avatar_url, dealer_role FROM users WHERE dealer_id = $1 AND banned_at IS NULL ORDER BY dealer_role = 'owner' DESC, name",
+      [dealer.id]
+    );
+    const { counts, listings } = await profileListings('l.dealer_id = $1', [dealer.id]);
+    const teamIds = team.rows.map(u => u.id);
+    const { stars, ...rating } = await ratingSummary(teamIds);
+    const stats = { active_listings: counts.for_sale, sold_listings: counts.sold, rating, ...(await responseStats(teamIds)) };
+    res.json({ dealer, team: team.rows, stats, listings });
+  } catch (err) {
+    console.error('Dealer profile error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update my dealer's details (owner)
+app.put('/api/dealers/:id', auth, dealerMember({ ownerOnly: true }), validate(schemas.dealer), async (req, res) => {
+  try {
+    const fields = parseDealer(req.body);
+    const columns = Object.keys(fields);
+    const result = await pool.query(
+      `UPDATE dealers SET ${columns.map((c, i) => `${c} = $${i + 2}, `).join('')}updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [req.params.id, ...columns.map(c => fields[c])]
+    );
+    res.json({ dealer: result.rows[0] });
+  } catch (err) {
+    if (err instanceof ProfileError) return res.status(400).json({ error: err.message, fields: err.fields });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload my dealer's logo (owner; multipart field "logo")
+app.post('/api/dealers/:id/logo', auth, dealerMember({ ownerOnly: true }), handleUpload(avatarUpload.single('logo')), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
+    const { url, key } = await storeAvatar(`dealers/${req.params.id}`, req.file.buffer);
+    const result = await pool.query(`
+      UPDATE dealers d SET logo_url = $2, logo_key = $3, updated_at = NOW()
+      FROM (SELECT logo_key FROM dealers WHERE id = $1) old
+      WHERE d.id = $1 RETURNING d.logo_url, old.logo_key AS old_key
+    `, [req.params.id, url, key]);
+    await removeAvatarFile(result.rows[0].old_key);
+    res.json({ logo_url: result.rows[0].logo_url });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('Dealer logo error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My dealer's staff and pending invitations (staff)
+app.get('/api/dealers/:id/staff', auth, dealerMember(), async (req, res) => {
+  try {
+    const staff = await pool.query(`
+      SELECT u.id, u.name, u.email, u.avatar_url, u.dealer_role,
+        (SELECT COUNT(*) FROM listings WHERE seller_id = u.id AND dealer_id = $1)::int AS listings
+      FROM users u WHERE u.dealer_id = $1
+      ORDER BY u.dealer_role = 'owner' DESC, u.name
+    `, [req.params.id]);
+    const invitations = await pool.query(
+      'SELECT id, email, expires_at, created_at FROM dealer_invitations WHERE dealer_id = $1 AND accepted_at IS NULL AND expires_at > NOW() ORDER BY created_at DESC',
+      [req.params.id]
+    );
+    res.json({ staff: staff.rows, invitations: invitations.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Invitation emails, per dealer and per invited address
+const invitationRateLimit = rateLimiter.limit({
+  name: 'dealer-invitation', max: parseInt(process.env.DEALER_INVITATION_RATE_LIMIT) || 20, windowMs: 24 * 60 * 60 * 1000, key: req => req.params.id
+});
+const inviteeRateLimit = rateLimiter.limit({
+  name: 'dealer-invitee', max: 3, windowMs: 24 * 60 * 60 * 1000, key: req => req.body.email.trim().toLowerCase()
+});
+
+// Invite someone to my dealer's staff by email (owner). They accept from
+// their own account, signing up first if they need to.
+app.post('/api/dealers/:id/invitations', auth, dealerMember({ ownerOnly: true }), validate(schemas.dealerInvitation),
+  invitationRateLimit, inviteeRateLimit, async (req, res) => {
+  try {
+    const email = req.body.email.trim().toLowerCase();
+
+    const member = await pool.query('SELECT 1 FROM users WHERE LOWER(email) = $1 AND dealer_id = $2', [email, req.params.id]);
+    if (member.rows.length > 0) return res.status(409).json({ error: 'They are already on your staff' });
+
+    const dealer = await pool.query(
+      'SELECT d.name, u.name AS inviter FROM dealers d JOIN users u ON u.id = $2 WHERE d.id = $1',
+      [req.params.id, req.user.id]
+    );
+    const result = await pool.query(`
+      INSERT INTO dealer_invitations (dealer_id, email, invited_by, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id, email, expires_at, created_at
+    `, [req.params.id, email, req.user.id, DEALER_INVITE_DAYS]);
+
+    const invitee = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+    const title = `You're invited to join ${dealer.rows[0].name} on Luxury Coach Exchange`;
+    const body = `${dealer.rows[0].inviter} invited you to manage ${dealer.rows[0].name}'s listings with them. ` +
+      `Accept within ${DEALER_INVITE_DAYS} days: ${process.env.FRONTEND_URL}/account/dealer-invitations`;
+    if (invitee.rows.length > 0) {
+      await notifier.notify(invitee.rows[0].id, { type: 'dealer', title, body, data: { invitation_id: result.rows[0].id }, email: true });
+    } else {
+      await outbox.enqueue({ to: email, subject: title, text: `${body}\n\nSign up with this email address to accept.` });
+    }
+    res.status(201).json({ invitation: result.rows[0] });
+  } catch (err) {
+    console.error('Dealer invitation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Invitations to my email address that I can still accept
+app.get('/api/dealer-invitations', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT i.id, i.expires_at, i.created_at, d.id AS dealer_id, d.name AS dealer_name, d.logo_url
+      FROM dealer_invitations i JOIN dealers d ON d.id = i.dealer_id
+      WHERE LOWER(i.email) = (SELECT LOWER(email) FROM users WHERE id = $1) AND i.accepted_at IS NULL AND i.expires_at > NOW()
+      ORDER BY i.created_at DESC
+    `, [req.user.id]);
+    res.json({ invitations: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Join a dealer's staff. My listings join its inventory. Needs a verified
+// email, as that is what the invitation was sent to.
+app.post('/api/dealer-invitations/:id/accept', auth, requireVerified, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const me = await client.query('SELECT email, dealer_id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+    const invitation = await client.query(`
+      SELECT * FROM dealer_invitations
+      WHERE id = $1 AND LOWER(email) = LOWER($2) AND accepted_at IS NULL AND expires_at > NOW()
+      FOR UPDATE
+    `, [req.params.id, me.rows[0].email]);
+    if (invitation.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (me.rows[0].dealer_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'You already belong to a dealer account' });
+    }
+
+    const { dealer_id } = invitation.rows[0];
+    await client.query('UPDATE dealer_invitations SET accepted_at = NOW() WHERE id = $1', [req.params.id]);
+    await client.query("UPDATE users SET dealer_id = $1, dealer_role = 'staff', updated_at = NOW() WHERE id = $2", [dealer_id, req.user.id]);
+    await client.query('UPDATE listings SET dealer_id = $1 WHERE seller_id = $2 AND dealer_id IS NULL', [dealer_id, req.user.id]);
+    const dealer = await client.query('SELECT * FROM dealers WHERE id = $1', [dealer_id]);
+    await client.query('COMMIT');
+    res.json({ dealer: dealer.rows[0] });
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Accept dealer invitation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Remove a staff member (owner), or leave (any staff). Their listings stay in
+// the inventory and pass to the owner, with their buyers' conversations; a
+// dealer without an owner can't take them, so they leave with the member.
+app.delete('/api/dealers/:id/staff/:userId', auth, dealerMember(), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const members = await client.query('SELECT id, dealer_role FROM users WHERE dealer_id = $1 FOR UPDATE', [req.params.id]);
+    const owner = members.rows.find(u => u.dealer_role === 'owner');
+    const member = members.rows.find(u => u.id === req.params.userId);
+    let error = null;
+    if (!member) error = [404, 'Staff member not found'];
+    else if (member.dealer_role === 'owner') error = [400, 'The dealer account owner cannot be removed'];
+    else if (req.user.id !== member.id && req.user.id !== owner?.id) error = [403, 'Only the dealer account owner can remove staff'];
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(error[0]).json({ error: error[1] });
+    }
+
+    let transferred = 0;
+    if (owner) {
+      transferred = await transferDealerListings(client, req.params.id, member.id, owner.id);
+    } else {
+      await client.query(
+        'UPDATE listings SET dealer_id = NULL, updated_at = NOW() WHERE dealer_id = $1 AND seller_id = $2',
+        [req.params.id, member.id]
+      );
+    }
+    await client.query('UPDATE users SET dealer_id = NULL, dealer_role = NULL, updated_at = NOW() WHERE id = $1', [member.id]);
+    await client.query('COMMIT');
+    res.json({ removed: true, listings_transferred: transferred });
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Remove dealer staff error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// ============================================================
+// MESSAGES ROUTES
+// ============================================================
+
+// Per-user limits on sending messages and offers, and on starting
+// conversations with sellers
+const messageRateLimit = rateLimiter.limit({
+  name: 'message', max: parseInt(process.env.MESSAGE_RATE_LIMIT) || 30, windowMs: 60 * 1000, key: req => req.user.id
+});
+const conversationRateLimit = rateLimiter.limit({
+  name: 'conversation', max: parseInt(process.env.CONVERSATION_RATE_LIMIT) || 20, windowMs: 60 * 60 * 1000, key: req => req.user.id
+});
+
+// Start or get conversation
+app.post('/api/conversations', auth, requireVerified, conversationRateLimit, validate(schemas.startConversation), async (req, res) => {
+  try {
+    const { listing_id } = req.body;
+
+    // Get listing seller
+    const listing = await pool.query(
+      `SELECT l.seller_id, ${managedBy('$3')} AS managed FROM listings l WHERE l.id = $1 AND l.hidden_at IS NULL AND l.status <> ALL($2)`,
+      [listing_id, PRIVATE_STATUSES, req.user.id]
+    );
+    if (listing.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+
+    const { seller_id, managed } = listing.rows[0];
+    if (managed) return res.status(400).json({ error: 'Cannot message yourself' });
+
+    // Check if conversation exists
+    let convo = await pool.query(
+      'SELECT * FROM conversations WHERE listing_id = $1 AND buyer_id = $2',
+      [listing_id, req.user.id]
+    );
+
+    if (convo.rows.length === 0) {
+      convo = await pool.query(
+        'INSERT INTO conversations (listing_id, buyer_id, seller_id) VALUES ($1, $2, $3) RETURNING *',
+        [listing_id, req.user.id, seller_id]
+      );
+      analytics.record(listing_id, 'conversation').catch(err => console.error('Listing analytics error:', err));
+    }
+
+    res.json({ conversation: convo.rows[0] });
+  } catch (err) {
+    console.error('Conversation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// SQL condition: message in conversation c is from the other side than the
+// user whose id is $1 (buyer messages for the seller's side, and the rest for
+// the buyer)
+const FROM_OTHER_SIDE = '((sender_id = c.buyer_id) != (c.buyer_id = $1))';
+
+// Get my conversations, including those about my dealer's inventory
+app.get('/api/conversations', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.*,
+        l.year, l.model, l.converter, l.num, l.price_display,
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as listing_photo,
+        buyer.name as buyer_name, seller.name as seller_name,
+        (SELECT text FROM messages WHERE conversation_id = c.id AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1) as last_message,
+        (SELECT sender_id = c.buyer_id FROM messages WHERE conversation_id = c.id AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1) as last_from_buyer,
+        seller.paid as seller_paid,
+        (SELECT created_at FROM messages WHERE conversation_id = c.id AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1) as last_message_at,
+        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND ${FROM_OTHER_SIDE} AND read_at IS NULL AND deleted_at IS NULL)::int as unread_count,
+        EXISTS (SELECT 1 FROM offers WHERE conversation_id = c.id AND status = 'pending') as has_pending_offer,
+        (SELECT status FROM deposits WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as deposit_status
+      FROM conversations c
+      JOIN listings l ON c.listing_id = l.id
+      JOIN users buyer ON c.buyer_id = buyer.id
+      JOIN users seller ON c.seller_id = seller.id
+      WHERE ${participantIn('$1')}
+      ORDER BY c.updated_at DESC
+    `, [req.user.id]);
+
+    // Like the messages themselves, an unpaid seller's side can't read the buyer's latest text
+    const conversations = result.rows.map(({ last_from_buyer, seller_paid, ...c }) => {
+      const locked = last_from_buyer && c.buyer_id !== req.user.id && !seller_paid;
+      return locked ? { ...c, last_message: LOCKED_MESSAGE_TEXT } : c;
+    });
+    res.json({ conversations });
+  } catch (err) {
+    console.error('Get conversations error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES) || 15 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS_PER_MESSAGE },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AttachmentError(`Unsupported file type: ${file.mimetype}`));
+  }
+});
+
+// The conversation, if the user is its buyer or on its seller's side
+async function participantConversation(conversationId, userId) {
+  if (!isUuid(conversationId)) return null;
+  const convo = await pool.query(
+    `SELECT * FROM conversations c WHERE c.id = $1 AND ${participantIn('$2')}`,
+    [conversationId, userId]
+  );
+  return convo.rows[0] || null;
+}
+
+// Only the conversation's buyer and seller's side may continue (checked before any upload is read)
+async function conversationParticipant(req, res, next) {
+  try {
+    req.conversation = await participantConversation(req.params.id, req.user.id);
+    if (!req.conversation) return res.status(403).json({ error: 'Not authorized' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Unpaid sellers can't read buyer messages. Dealer staff read them when the
+// listing's seller has unlocked messaging.
+async function canReadBuyerMessages(c, userId, db = pool) {
+  if (c.buyer_id === userId) return true;
+  const seller = await db.query('SELECT paid FROM users WHERE id = $1', [c.seller_id]);
+  return seller.rows[0].paid;
+}
+
+// Attach each message's attachments (as stored rows) to m.attachments
+async function loadAttachments(messages) {
+  const ids = messages.map(m => m.id);
+  const result = await pool.query(
+    'SELECT * FROM message_attachments WHERE message_id = ANY($1::uuid[]) ORDER BY created_at',
+    [ids]
+  );
+  for (const m of messages) {
+    m.attachments = result.rows.filter(a => a.message_id === m.id);
+  }
+  return messages;
+}
+
+function attachmentJson(a) {
+  const url = `/api/conversations/${a.conversation_id}/attachments/${a.id}`;
+  return {
+    id: a.id,
+    filename: a.filename,
+    content_type: a.content_type,
+    size_bytes: a.size_bytes,
+    is_image: a.is_image,
+    url,
+    thumb_url: a.is_image ? `${url}?size=thumb` : null
+  };
+}
+
+const LOCKED_MESSAGE_TEXT = '[Message locked — unlock messaging to read it]';
+
+// A message as one participant may see it: removed messages are blanked and,
+// for an unpaid seller, buyer messages and their attachments are locked
+function presentMessage(m, c, canRead) {
+  const attachments = m.attachments || [];
+  if (m.deleted_at) {
+    return { ...m, text: '[Message removed by a moderator]', attachments: [], removed: true, locked: false };
+  }
+  if (!canRead && m.sender_id === c.buyer_id) {
+    return {
+      ...m,
+      text: LOCKED_MESSAGE_TEXT,
+      attachments: attachments.map(a => ({ id: a.id, locked: true })),
+      locked: true
+    };
+  }
+  return { ...m, attachments: attachments.map(attachmentJson), locked: false };
+}
+
+async function removeAttachmentFiles(a) {
+  try {
+    await Promise.all([
+      attachmentStorage.remove(`${a.storage_key}/file`),
+      a.is_image ? attachmentStorage.remove(`${a.storage_key}/thumb.jpg`) : null
+    ]);
+  } catch (err) {
+    console.error('Attachment file cleanup error:', err);
+  }
+}
+
+// Attachment files of every conversation about a listing (removed with the listing)
+async function listingAttachments(listingId) {
+  const result = await pool.query(
+    'SELECT a.storage_key, a.is_image FROM message_attachments a JOIN conversations c ON a.conversation_id = c.id WHERE c.listing_id = $1',
+    [listingId]
+  );
+  return result.rows;
+}
+
+// Everyone on a conversation's seller side: the listing's seller and
+// everyone at its dealer
+async function sellerSideIds(c, db = pool) {
+  const staff = await db.query(
+    'SELECT u.id FROM listings l JOIN users u ON u.dealer_id = l.dealer_id WHERE l.id = $1',
+    [c.listing_id]
+  );
+  return [...new Set([c.seller_id, ...staff.rows.map(u => u.id)])];
+}
+
+// Push a new message to everyone in the conversation (the sender's other
+// tabs included), and new unread counts to the side it was sent to
+async function pushMessage(c, message) {
+  const sender = await pool.query('SELECT name FROM users WHERE id = $1', [message.sender_id]);
+  const live = { ...message, sender_name: sender.rows[0].name };
+  const sellerSide = await sellerSideIds(c);
+  const sellerCanRead = await canReadBuyerMessages(c, c.seller_id);
+  for (const userId of [c.buyer_id, ...sellerSide]) {
+    const canRead = userId === c.buyer_id || sellerCanRead;
+    realtime.sendToUser(userId, { type: 'message.new', message: presentMessage(live, c, canRead) });
+  }
+  const recipients = message.sender_id === c.buyer_id ? sellerSide : [c.buyer_id];
+  for (const userId of recipients) await pushUnreadCount(userId, c.id);
+}
+
+async function pushUnreadCount(userId, conversationId) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE m.conversation_id = $2)::int AS unread_count,
+      COUNT(*)::int AS total_unread
+    FROM messages m JOIN conversations c ON m.conversation_id = c.id
+    WHERE ${participantIn('$1')} AND ${FROM_OTHER_SIDE} AND m.read_at IS NULL AND m.deleted_at IS NULL
+  `, [userId, conversationId]);
+  realtime.sendToUser(userId, { type: 'unread', conversation_id: conversationId, ...result.rows[0] });
+}
+
+// Record read receipts for messages the user received (all unread ones when
+// messageIds is empty) and tell the sender. Locked messages stay unread.
+async function markMessagesRead(userId, c, messageIds = []) {
+  if (!(await canReadBuyerMessages(c, userId))) return [];
+
+  // The seller's side reads the buyer's messages, and the buyer everyone else's
+  const params = [c.id, c.buyer_id];
+  const only = messageIds.length ? `AND id = ANY($${params.push(messageIds)}::uuid[])` : '';
+  const result = await pool.query(`
+    UPDATE messages SET read_at = NOW()
+    WHERE conversation_id = $1 AND sender_id ${c.buyer_id === userId ? '!=' : '='} $2 AND read_at IS NULL AND deleted_at IS NULL ${only}
+    RETURNING id, read_at
+  `, params);
+  if (result.rows.length === 0) return [];
+
+  // Receipts go to the senders' side; the readers' side shares the new counts
+  const sellerSide = await sellerSideIds(c);
+  const [readers, senders] = c.buyer_id === userId ? [[c.buyer_id], sellerSide] : [sellerSide, [c.buyer_id]];
+  for (const id of senders) realtime.sendToUser(id, { type: 'message.read', conversation_id: c.id, receipts: result.rows });
+  for (const id of readers) await pushUnreadCount(id, c.id);
+  return result.rows;
+}
+
+// Events sent by WebSocket clients
+async function handleRealtimeEvent(user, event) {
+  if (event.type !== 'typing' && event.type !== 'read') {
+    throw new RealtimeError(`Unknown event type: ${event.type}`);
+  }
+  const c = event.conversation_id && await participantConversation(event.conversation_id, user.id);
+  if (!c) throw new RealtimeError('Conversation not found');
+
+  if (event.type === 'typing') {
+    const others = [c.buyer_id, ...(await sellerSideIds(c))].filter(id => id !== user.id);
+    for (const id of others) {
+      realtime.sendToUser(id, { type: 'typing', conversation_id: c.id, user_id: user.id, typing: event.typing !== false });
+    }
+  } else {
+    const ids = event.message_ids || [];
+    if (!Array.isArray(ids) || !ids.every(isUuid)) throw new RealtimeError('message_ids must be an array of message ids');
+    await markMessagesRead(user.id, c, ids);
+  }
+}
+
+// Get messages in a conversation, oldest first. Returns the latest page by
+// default; pass ?before=<message id> for older messages or ?after=<message id>
+// for newer ones. Reading doesn't mark messages read (POST /api/conversations/:id/read).
+app.get('/api/conversations/:id/messages', auth, conversationParticipant, validate(schemas.messagePage), async (req, res) => {
+  try {
+    const c = req.conversation;
+    const { before, after } = req.query;
+    if (before && after) return res.status(400).json({ error: 'Use either before or after, not both' });
+    const limit = req.query.limit === undefined ? MESSAGE_PAGE_SIZE : Number(req.query.limit);
+
+    const cursor = before || after;
+    if (cursor) {
+      const found = await pool.query(
+        'SELECT 1 FROM messages WHERE id = $1 AND conversation_id = $2',
+        [cursor, c.id]
+      );
+      if (found.rows.length === 0) {
+        return res.status(400).json({ error: `${before ? 'before' : 'after'} must be a message in this conversation` });
+      }
+    }
+
+    const params = [c.id, limit + 1];
+    let where = 'm.conversation_id = $1';
+    if (cursor) {
+      const op = after ? '>' : '<';
+      where += ` AND (m.created_at, m.id) ${op} (SELECT created_at, id FROM messages WHERE id = $${params.push(cursor)})`;
+    }
+    const order = after ? 'ASC' : 'DESC';
+    const msgs = await pool.query(`
+      SELECT m.*, u.name as sender_name
+      FROM messages m JOIN users u ON m.sender_id = u.id
+      WHERE ${where}
+      ORDER BY m.created_at ${order}, m.id ${order}
+      LIMIT $2
+    `, params);
+
+    const hasMore = msgs.rows.length > limit;
+    const page = msgs.rows.slice(0, limit);
+    if (!after) page.reverse();
+    await loadAttachments(page);
+
+    const canRead = await canReadBuyerMessages(c, req.user.id);
+    res.json({ messages: page.map(m => presentMessage(m, c, canRead)), locked: !canRead, has_more: hasMore });
+  } catch (err) {
+    console.error('Get messages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark messages read - body: { message_ids } (omit to mark everything read)
+app.post('/api/conversations/:id/read', auth, conversationParticipant, validate(schemas.markRead), async (req, res) => {
+  try {
+    const { message_ids = [] } = req.body;
+    const receipts = await markMessagesRead(req.user.id, req.conversation, message_ids);
+    res.json({ receipts });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unpaid sellers can't reply (checked before any upload is read)
+async function replyUnlocked(req, res, next) {
+  try {
+    if (!(await canReadBuyerMessages(req.conversation, req.user.id))) {
+      return res.status(403).json({ error: 'Payment required to reply. Unlock messaging to reply to buyers.' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Send a message - JSON { text }, or multipart with "text" and up to
+// MAX_ATTACHMENTS_PER_MESSAGE files in "attachments"
+app.post('/api/conversations/:id/messages', auth, messageRateLimit, conversationParticipant, replyUnlocked,
+  handleUpload(attachmentUpload.array('attachments', MAX_ATTACHMENTS_PER_MESSAGE)), validate(schemas.sendMessage), async (req, res) => {
+  const c = req.conversation;
+  const stored = [];
+  let client;
+  try {
+    client = await pool.connect();
+    const text = (req.body.text || '').trim();
+    const files = req.files || [];
+    if (!text && files.length === 0) return res.status(400).json({ error: 'Message text or an attachment is required' });
+
+    // Validate everything first so one bad file rejects the whole message
+    const prepared = [];
+    for (const file of files) {
+      prepared.push(await prepareAttachment(file));
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      'INSERT INTO messages (conversation_id, sender_id, text) VALUES ($1, $2, $3) RETURNING *',
+      [c.id, req.user.id, text]
+    );
+    const message = result.rows[0];
+
+    message.attachments = [];
+    for (const file of prepared) {
+      const id = uuidv4();
+      const key = `attachments/${c.id}/${id}`;
+      stored.push({ storage_key: key, is_image: file.isImage });
+      await Promise.all([
+        attachmentStorage.put(`${key}/file`, file.body, file.contentType),
+        file.isImage ? attachmentStorage.put(`${key}/thumb.jpg`, file.thumb, 'image/jpeg') : null
+      ]);
+      const a = await client.query(`
+        INSERT INTO message_attachments (id, message_id, conversation_id, filename, content_type, size_bytes, is_image, storage_key)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+      `, [id, message.id, c.id, file.filename, file.contentType, file.body.length, file.isImage, key]);
+      message.attachments.push(a.rows[0]);
+    }
+
+    // Update conversation timestamp
+    await client.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [c.id]);
+    await client.query('COMMIT');
+
+    res.status(201).json({ message: presentMessage(message, c, true) });
+    await pushMessage(c, message);
+  } catch (err) {
+    if (res.headersSent) return console.error('Message push error:', err);
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    await Promise.all(stored.map(removeAttachmentFiles));
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('Send message error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Stream an attachment file (?size=thumb for image thumbnails)
+async function sendAttachment(res, a, size) {
+  const thumb = size === 'thumb' && a.is_image;
+  const body = await attachmentStorage.get(`${a.storage_key}/${thumb ? 'thumb.jpg' : 'file'}`);
+  res.set({
+    'Content-Type': thumb ? 'image/jpeg' : a.content_type,
+    'Content-Disposition': `${a.is_image ? 'inline' : 'attachment'}; filename="${a.filename}"`,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(body);
+}
+
+// Download an attachment. <img> tags can't send headers, so the access token
+// may also be passed as ?token=.
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.token) req.headers.authorization = `Bearer ${req.query.token}`;
+  next();
+}
+
+app.get('/api/conversations/:id/attachments/:attachmentId', tokenFromQuery, auth, conversationParticipant, validate(schemas.attachment), async (req, res) => {
+  try {
+    const c = req.conversation;
+    const result = await pool.query(`
+      SELECT a.*, m.sender_id FROM message_attachments a JOIN messages m ON a.message_id = m.id
+      WHERE a.id = $1 AND a.conversation_id = $2 AND m.deleted_at IS NULL
+    `, [req.params.attachmentId, c.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Attachment not found' });
+
+    const a = result.rows[0];
+    if (a.sender_id === c.buyer_id && !(await canReadBuyerMessages(c, req.user.id))) {
+      return res.status(403).json({ error: 'Payment required to view attachments. Unlock messaging to view them.', locked: true });
+    }
+    await sendAttachment(res, a, req.query.size);
+  } catch (err) {
+    console.error('Attachment download error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// OFFERS
+// ============================================================
+
+// How each offer event reads in the conversation
+const OFFER_EVENT_TEXT = {
+  made: o => `Offered ${formatPrice(o.amount)}`,
+  countered: o => `Countered with ${formatPrice(o.amount)}`,
+  accepted: o => `Accepted the offer of ${formatPrice(o.amount)}`,
+  declined: o => `Declined the offer of ${formatPrice(o.amount)}`,
+  withdrawn: o => `Withdrew the offer of ${formatPrice(o.amount)}`,
+  expired: o => `The offer of ${formatPrice(o.amount)} expired`
+};
+
+// Responses to a pending offer: who may make them and the status they leave it in
+const OFFER_ACTIONS = {
+  accept: { by: 'recipient', status: 'accepted', event: 'accepted', title: 'Your offer was accepted' },
+  decline: { by: 'recipient', status: 'declined', event: 'declined', title: 'Your offer was declined' },
+  counter: { by: 'recipient', status: 'countered', event: 'countered', title: 'You received a counter-offer' },
+  withdraw: { by: 'maker', status: 'withdrawn', event: 'withdrawn', title: 'An offer was withdrawn' }
+};
+
+const OFFER_PENDING_ERROR = 'An offer in this conversation is already waiting for a response';
+
+// An offer as one participant may see it: like buyer messages, an unpaid
+// seller can't see the buyer's terms
+function presentOffer(o, c, canRead) {
+  if (!canRead && o.from_user_id === c.buyer_id) return { ...o, amount: null, message: null, locked: true };
+  return { ...o, locked: false };
+}
+
+// Post an offer event to the conversation (inside the caller's transaction)
+async function postOfferEvent(db, offer, event, senderId) {
+  const note = ['made', 'countered'].includes(event) && offer.message ? `\n\n${offer.message}` : '';
+  const result = await db.query(
+    'INSERT INTO messages (conversation_id, sender_id, text, offer_id, offer_event) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [offer.conversation_id, senderId, OFFER_EVENT_TEXT[event](offer) + note, offer.id, event]
+  );
+  await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [offer.conversation_id]);
+  return result.rows[0];
+}
+
+// After an offer change is committed: push the timeline message and the
+// changed offers to everyone in the conversation, and notify userId's side
+// in-app (the message itself is emailed like any other)
+async function announceOffer(c, offers, message, { userId, title }) {
+  await pushMessage(c, message);
+  const sellerSide = await sellerSideIds(c);
+  const sellerCanRead = await canReadBuyerMessages(c, c.seller_id);
+  for (const participant of [c.buyer_id, ...sellerSide]) {
+    const canRead = participant === c.buyer_id || sellerCanRead;
+    for (const o of offers) realtime.sendToUser(participant, { type: 'offer.updated', offer: presentOffer(o, c, canRead) });
+  }
+
+  const listing = await pool.query('SELECT year, converter, model FROM listings WHERE id = $1', [c.listing_id]);
+  const l = listing.rows[0];
+  for (const recipient of userId === c.buyer_id ? [c.buyer_id] : sellerSide) {
+    await notifier.notify(recipient, {
+      type: 'offer',
+      title,
+      body: coachName(l),
+      data: { offer_id: offers[offers.length - 1].id, conversation_id: c.id, listing_id: c.listing_id }
+    });
+  }
+}
+
+// Make an offer on a listing - body: { amount (dollars), expires_at, message }.
+// Starts the conversation with the seller if there isn't one yet.
+app.post('/api/listings/:id/offers', auth, requireVerified, messageRateLimit, validate(schemas.offer), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const terms = parseOffer(req.body);
+
+    await client.query('BEGIN');
+    const listing = await client.query(
+      `SELECT l.*, ${managedBy('$2')} AS managed FROM listings l WHERE l.id = $1 AND l.hidden_at IS NULL`,
+      [req.params.id, req.user.id]
+    );
+    if (listing.rows.length === 0) throw new OfferError('Listing not found', 404);
+    const l = listing.rows[0];
+    if (l.managed) throw new OfferError('You cannot make an offer on your own listing');
+    if (l.status !== 'active') throw new OfferError('Offers can only be made on coaches for sale');
+
+    // xmax is 0 for a row this statement inserted
+    const convo = await client.query(`
+      INSERT INTO conversations (listing_id, buyer_id, seller_id) VALUES ($1, $2, $3)
+      ON CONFLICT (listing_id, buyer_id) DO UPDATE SET updated_at = NOW()
+      RETURNING *, (xmax = 0) AS started
+    `, [l.id, req.user.id, l.seller_id]);
+    const { started, ...c } = convo.rows[0];
+
+    const pending = await client.query("SELECT 1 FROM offers WHERE conversation_id = $1 AND status = 'pending'", [c.id]);
+    if (pending.rows.length > 0) throw new OfferError(OFFER_PENDING_ERROR, 409);
+
+    const result = await client.query(`
+      INSERT INTO offers (listing_id, conversation_id, from_user_id, amount, message, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+    `, [l.id, c.id, req.user.id, terms.amount, terms.message, terms.expiresAt]);
+    const offer = result.rows[0];
+    const message = await postOfferEvent(client, offer, 'made', req.user.id);
+    if (started) await analytics.record(l.id, 'conversation', client);
+    await analytics.record(l.id, 'offer', client);
+    await client.query('COMMIT');
+
+    res.status(201).json({ offer, conversation: c });
+    await announceOffer(c, [offer], message, { userId: l.seller_id, title: 'You received an offer' });
+  } catch (err) {
+    if (res.headersSent) return console.error('Offer push error:', err);
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err.code === '23505') return res.status(409).json({ error: OFFER_PENDING_ERROR });
+    if (err instanceof OfferError) return res.status(err.status).json({ error: err.message });
+    console.error('Offer error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Respond to a pending offer: accept, decline or counter (the other party), or
+// withdraw (whoever made it). The seller's side includes the dealer's staff.
+// Counter takes the same body as a new offer.
+// Accepting puts the listing under contract (status pending).
+app.post('/api/offers/:id/:action(accept|decline|counter|withdraw)', auth, validate(schemas.offerResponse), async (req, res) => {
+  const action = OFFER_ACTIONS[req.params.action];
+  let client;
+  try {
+    client = await pool.connect();
+    const terms = req.params.action === 'counter' ? parseOffer(req.body) : null;
+
+    await client.query('BEGIN');
+    const found = await client.query(`
+      SELECT o.*, c.buyer_id, c.seller_id FROM offers o JOIN conversations c ON o.conversation_id = c.id
+      WHERE o.id = $1 AND ${participantIn('$2')}
+      FOR UPDATE OF o
+    `, [req.params.id, req.user.id]);
+    if (found.rows.length === 0) throw new OfferError('Offer not found', 404);
+    const { buyer_id, seller_id, ...offer } = found.rows[0];
+    const c = { id: offer.conversation_id, listing_id: offer.listing_id, buyer_id, seller_id };
+
+    if (offer.status !== 'pending') throw new OfferError(`This offer has been ${offer.status}`, 409);
+    if (offer.expires_at <= new Date()) throw new OfferError('This offer has expired', 409);
+    const mine = (offer.from_user_id === buyer_id) === (req.user.id === buyer_id);
+    if (action.by === 'maker' && !mine) throw new OfferError('Only the person who made an offer can withdraw it', 403);
+    if (action.by === 'recipient' && mine) throw new OfferError('You cannot respond to your own offer', 403);
+    if (action.by === 'recipient' && req.user.id !== buyer_id && !(await canReadBuyerMessages(c, req.user.id, client))) {
+      throw new OfferError('Payment required to respond to offers. Unlock messaging to reply to buyers.', 403);
+    }
+
+    let listingUpdate = null;
+    const closed = [];
+    if (req.params.action === 'accept') {
+      const listing = await client.query('SELECT * FROM listings WHERE id = $1 FOR UPDATE', [offer.listing_id]);
+      const before = listing.rows[0];
+      if (before.status !== 'active' || before.hidden_at) throw new OfferError('This coach is no longer for sale', 409);
+      listingUpdate = { before, ...(await applyListingUpdate(client, before, { status: 'pending' }, req.user.id)) };
+
+      // The coach is under contract: close every other pending offer on it.
+      // Buyers' offers are declined and the seller's counters withdrawn.
+      const others = await client.query(`
+        UPDATE offers o SET status = CASE WHEN o.from_user_id != c.buyer_id THEN 'withdrawn' ELSE 'declined' END,
+          responded_at = NOW()
+        FROM conversations c
+        WHERE o.conversation_id = c.id AND o.listing_id = $1 AND o.status = 'pending' AND o.id != $2
+        RETURNING o.*, c.buyer_id, c.seller_id
+      `, [offer.listing_id, offer.id]);
+      for (const { buyer_id: buyer, seller_id: seller, ...other } of others.rows) {
+        const otherAction = OFFER_ACTIONS[other.status === 'withdrawn' ? 'withdraw' : 'decline'];
+        closed.push({
+          c: { id: other.conversation_id, listing_id: other.listing_id, buyer_id: buyer, seller_id: seller },
+          offer: other,
+          message: await postOfferEvent(client, other, otherAction.event, seller),
+          title: otherAction.title
+        });
+      }
+    }
+
+    const updated = await client.query(
+      'UPDATE offers SET status = $1, responded_at = NOW() WHERE id = $2 RETURNING *',
+      [action.status, offer.id]
+    );
+    const changed = [updated.rows[0]];
+    let message;
+    if (terms) {
+      const counter = await client.query(`
+        INSERT INTO offers (listing_id, conversation_id, from_user_id, parent_id, amount, message, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
+      `, [offer.listing_id, offer.conversation_id, req.user.id, offer.id, terms.amount, terms.message, terms.expiresAt]);
+      changed.push(counter.rows[0]);
+      message = await postOfferEvent(client, counter.rows[0], 'countered', req.user.id);
+    } else {
+      message = await postOfferEvent(client, changed[0], action.event, req.user.id);
+    }
+    await client.query('COMMIT');
+
+    res.json({ offer: changed[0], counter: changed[1] || null, ...(listingUpdate && { listing: listingUpdate.listing }) });
+
+    const otherId = req.user.id === buyer_id ? seller_id : buyer_id;
+    await announceOffer(c, changed, message, { userId: otherId, title: action.title });
+    for (const o of closed) await announceOffer(o.c, [o.offer], o.message, { userId: o.c.buyer_id, title: o.title });
+    if (listingUpdate) afterListingUpdate(listingUpdate.before, listingUpdate.listing, listingUpdate.changes);
+  } catch (err) {
+    if (res.headersSent) return console.error('Offer push error:', err);
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err instanceof OfferError) return res.status(err.status).json({ error: err.message });
+    console.error('Offer response error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Offer timeline of a conversation, oldest first
+app.get('/api/conversations/:id/offers', auth, conversationParticipant, async (req, res) => {
+  try {
+    const c = req.conversation;
+    const result = await pool.query('SELECT * FROM offers WHERE conversation_id = $1 ORDER BY created_at ASC', [c.id]);
+    const canRead = await canReadBuyerMessages(c, req.user.id);
+    res.json({ offers: result.rows.map(o => presentOffer(o, c, canRead)) });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My offers, made and received - filters: role (buyer|seller), status, listing_id
+app.get('/api/offers', auth, validate(schemas.offerList), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const roles = { buyer: 'c.buyer_id = $1', seller: sellerSide('$1') };
+
+    const params = [req.user.id];
+    const where = [roles[req.query.role] || participantIn('$1')];
+    if (req.query.status) where.push(`o.status = $${params.push(req.query.status)}`);
+    if (req.query.listing_id) where.push(`o.listing_id = $${params.push(req.query.listing_id)}`);
+
+    const result = await pool.query(`
+      SELECT o.*, c.buyer_id, c.seller_id, l.year, l.converter, l.model, l.price,
+        buyer.name AS buyer_name, seller.name AS seller_name, seller.paid AS seller_paid
+      FROM offers o
+      JOIN conversations c ON o.conversation_id = c.id
+      JOIN listings l ON o.listing_id = l.id
+      JOIN users buyer ON c.buyer_id = buyer.id
+      JOIN users seller ON c.seller_id = seller.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY o.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const offers = result.rows.map(({ seller_paid, ...o }) => presentOffer(o, o, o.buyer_id === req.user.id || seller_paid));
+    res.json({ offers, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Expire offers nobody answered in time and tell whoever made them
+async function expireOffers() {
+  const expired = await pool.query(`
+    UPDATE offers o SET status = 'expired', responded_at = NOW()
+    FROM conversations c
+    WHERE o.conversation_id = c.id AND o.status = 'pending' AND o.expires_at <= NOW()
+    RETURNING o.*, c.buyer_id, c.seller_id
+  `);
+  for (const { buyer_id, seller_id, ...offer } of expired.rows) {
+    try {
+      const c = { id: offer.conversation_id, listing_id: offer.listing_id, buyer_id, seller_id };
+      const message = await postOfferEvent(pool, offer, 'expired', offer.from_user_id);
+      await announceOffer(c, [offer], message, { userId: offer.from_user_id, title: 'Your offer expired' });
+    } catch (err) {
+      console.error(`Offer ${offer.id} expiry error:`, err);
+    }
+  }
+  return expired.rows.length;
+}
+
+// ============================================================
+// DEPOSITS
+// ============================================================
+
+// Refundable deposit a buyer puts down to hold a coach, in cents
+const DEPOSIT_AMOUNT = parseInt(process.env.DEPOSIT_AMOUNT) || 500000;
+
+// Who hears about each deposit change (other than whoever made it)
+const DEPOSIT_NOTICES = {
+  authorized: { to: ['seller'], title: 'A buyer put down a deposit' },
+  confirmed: { to: ['buyer'], title: 'The seller confirmed your deposit' },
+  captured: { to: ['buyer', 'seller'], title: 'A deposit was collected' },
+  released: { to: ['buyer', 'seller'], title: 'A deposit was released' },
+  expired: { to: ['buyer', 'seller'], title: 'A deposit hold expired' },
+  refunded: { to: ['buyer'], title: 'Your deposit was refunded' }
+};
+
+// Runs inside the transaction of every deposit change
+async function notifyDepositChange(db, deposit, fromStatus, actorId) {
+  const notice = DEPOSIT_NOTICES[deposit.status];
+  const sides = {
+    buyer: [deposit.buyer_id],
+    seller: deposit.seller_id ? await sellerSideIds(deposit, db) : []
+  };
+  const recipients = notice.to.flatMap(side => sides[side]).filter(id => id && id !== actorId);
+  if (recipients.length === 0) return;
+
+  const listing = await db.query('SELECT year, converter, model FROM listings WHERE id = $1', [deposit.listing_id]);
+  const l = listing.rows[0];
+  for (const userId of recipients) {
+    await notifier.notify(userId, {
+      type: 'deposit',
+      title: notice.title,
+      body: `${formatPrice(deposit.amount / 100)} deposit${l ? ` on the ${coachName(l)}` : ''}`,
+      data: { deposit_id: deposit.id, conversation_id: deposit.conversation_id, listing_id: deposit.listing_id },
+      email: true
+    }, db);
+  }
+}
+
+// Lock a deposit and run fn(client, deposit) in a transaction, returning its
+// result. With a userId, only the deposit's buyer and seller (or the dealer
+// staff managing the listing) can find it.
+async function changeDeposit(id, userId, fn) {
+  if (!isUuid(id)) throw new DepositError('Deposit not found', 404);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const deposit = await deposits.lock(client, id);
+    if (!deposit || (userId && deposit.buyer_id !== userId && deposit.seller_id !== userId &&
+      !(await managesListing(deposit.listing_id, userId, client)))) {
+      throw new DepositError('Deposit not found', 404);
+    }
+    const result = await fn(client, deposit);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Settle the open deposits on a listing that is no longer under contract: on a
+// sale the confirmed buyer's deposit is captured, and every other hold released
+async function settleListingDeposits(listingId, { sold = false, except = null, note = null } = {}) {
+  const open = await pool.query(
+    'SELECT id, status FROM deposits WHERE listing_id = $1 AND status = ANY($2) AND id IS DISTINCT FROM $3',
+    [listingId, OPEN_DEPOSIT_STATES, except]
+  );
+  for (const { id, status } of open.rows) {
+    const capturing = sold && status === 'confirmed';
+    try {
+      await (capturing ? deposits.capture(id, { from: ['confirmed'], note }) : deposits.release(id, { note }));
+    } catch (err) {
+      console.error(`Deposit ${id} settle error:`, err);
+      // A deposit that changed state meanwhile wasn't refused by Stripe
+      if (capturing && !(err instanceof DepositError)) {
+        await deposits.captureFailed(id, err).catch(e => console.error(`Deposit ${id} capture record error:`, e));
+      }
+    }
+  }
+}
+
+// Retry captures Stripe refused when a coach sold, while it is still sold and
+// the hold hasn't lapsed
+async function retryDepositCaptures() {
+  const due = await pool.query(`
+    SELECT d.id FROM deposits d JOIN listings l ON d.listing_id = l.id
+    WHERE d.status = 'confirmed' AND d.capture_failed_at IS NOT NULL AND l.status = 'sold'
+  `);
+  for (const { id } of due.rows) {
+    try {
+      await deposits.capture(id, { from: ['confirmed'], note: 'Capture retried after a failure' });
+    } catch (err) {
+      console.error(`Deposit ${id} capture retry error:`, err);
+      if (!(err instanceof DepositError)) {
+        await deposits.captureFailed(id, err).catch(e => console.error(`Deposit ${id} capture record error:`, e));
+      }
+    }
+  }
+  return due.rows.length;
+}
+
+// Attach each deposit's state history to d.events
+async function loadDepositEvents(rows) {
+  const events = await pool.query(`
+    SELECT e.*, u.name AS actor_name FROM deposit_events e LEFT JOIN users u ON e.actor_id = u.id
+    WHERE e.deposit_id = ANY($1::uuid[]) ORDER BY e.created_at ASC
+  `, [rows.map(d => d.id)]);
+  for (const d of rows) {
+    d.events = events.rows.filter(e => e.deposit_id === d.id);
+  }
+  return rows;
+}
+
+// Put down a deposit on the conversation's coach (buyer only). Returns the
+// client secret for confirming the card hold with Stripe.js; asking again
+// before the card is authorized returns the same deposit.
+app.post('/api/conversations/:id/deposit', auth, requireVerified, conversationParticipant, async (req, res) => {
+  try {
+    const c = req.conversation;
+    if (c.buyer_id !== req.user.id) throw new DepositError('Only the buyer can put down a deposit', 403);
+
+    const listing = await pool.query('SELECT status, hidden_at FROM listings WHERE id = $1', [c.listing_id]);
+    const l = listing.rows[0];
+    if (!l || l.hidden_at || !['active', 'pending'].includes(l.status)) {
+      throw new DepositError('This coach is no longer for sale', 409);
+    }
+
+    const open = await pool.query('SELECT * FROM deposits WHERE listing_id = $1 AND status = ANY($2)', [c.listing_id, OPEN_DEPOSIT_STATES]);
+    const mine = open.rows.find(d => d.conversation_id === c.id);
+    if (mine && mine.status === 'pending') {
+      return res.json({ deposit: mine, client_secret: await deposits.clientSecret(mine) });
+    }
+    if (mine) throw new DepositError('You already have a deposit on this coach', 409);
+    if (open.rows.some(d => d.status === 'confirmed')) {
+      throw new DepositError('This coach is under contract with another buyer', 409);
+    }
+    // A coach put under contract by an accepted offer is held for that buyer
+    if (l.status === 'pending') {
+      const accepted = await pool.query(
+        "SELECT conversation_id FROM offers WHERE listing_id = $1 AND status = 'accepted' ORDER BY responded_at DESC LIMIT 1",
+        [c.listing_id]
+      );
+      if (accepted.rows.length > 0 && accepted.rows[0].conversation_id !== c.id) {
+        throw new DepositError('This coach is under contract with another buyer', 409);
+      }
+    }
+
+    const user = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+    const { deposit, clientSecret } = await deposits.create({ conversation: c, amount: DEPOSIT_AMOUNT, email: user.rows[0].email });
+    res.status(201).json({ deposit, client_secret: clientSecret });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'You already have a deposit on this coach' });
+    if (err instanceof DepositError) return res.status(err.status).json({ error: err.message });
+    console.error('Deposit error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm a buyer's authorized deposit (seller only). The coach goes under
+// contract (status pending) and other buyers' holds on it are released.
+app.post('/api/deposits/:id/confirm', auth, async (req, res) => {
+  try {
+    let listingUpdate = null;
+    const deposit = await changeDeposit(req.params.id, req.user.id, async (client, d) => {
+      if (d.buyer_id === req.user.id) throw new DepositError('Only the seller can confirm a deposit', 403);
+      if (!(await canReadBuyerMessages(d, req.user.id, client))) {
+        throw new DepositError('Payment required to confirm deposits. Unlock messaging to reply to buyers.', 403);
+      }
+      if (d.status === 'pending') throw new DepositError("The buyer hasn't authorized this deposit yet", 409);
+      if (d.status !== 'authorized') throw new DepositError(`This deposit is ${d.status}`, 409);
+
+      const listing = await client.query('SELECT * FROM listings WHERE id = $1 FOR UPDATE', [d.listing_id]);
+      const before = listing.rows[0];
+      if (!before || before.hidden_at || !['active', 'pending'].includes(before.status)) {
+        throw new DepositError('This coach is no longer for sale', 409);
+      }
+      const confirmed = await client.query("SELECT 1 FROM deposits WHERE listing_id = $1 AND status = 'confirmed'", [d.listing_id]);
+      if (confirmed.rows.length > 0) throw new DepositError("Another buyer's deposit is already confirmed on this coach", 409);
+
+      if (before.status === 'active') {
+        listingUpdate = { before, ...(await applyListingUpdate(client, before, { status: 'pending' }, req.user.id)) };
+      }
+      return deposits.transition(client, d, 'confirmed', { actorId: req.user.id });
+    });
+    res.json({ deposit, ...(listingUpdate && { listing: listingUpdate.listing }) });
+
+    if (listingUpdate) afterListingUpdate(listingUpdate.before, listingUpdate.listing, listingUpdate.changes);
+    settleListingDeposits(deposit.listing_id, { except: deposit.id, note: "Another buyer's deposit was confirmed" })
+      .catch(err => console.error('Deposit settle error:', err));
+  } catch (err) {
+    if (err instanceof DepositError) return res.status(err.status).json({ error: err.message });
+    console.error('Deposit confirm error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Release a deposit hold - body: { reason } (optional). The seller can release
+// any open deposit; the buyer only until the seller has confirmed it.
+app.post('/api/deposits/:id/release', auth, validate(schemas.releaseDeposit), async (req, res) => {
+  try {
+    const found = await changeDeposit(req.params.id, req.user.id, (client, d) => {
+      if (d.buyer_id === req.user.id && d.status === 'confirmed') {
+        throw new DepositError('The seller has confirmed this deposit. Ask them to release it.', 409);
+      }
+      return d;
+    });
+    // The buyer's release still fails if the seller confirms in the meantime
+    const from = found.buyer_id === req.user.id ? ['pending', 'authorized'] : OPEN_DEPOSIT_STATES;
+    const deposit = await deposits.release(found.id, { from, actorId: req.user.id, note: req.body.reason || null });
+    res.json({ deposit });
+  } catch (err) {
+    if (err instanceof DepositError) return res.status(err.status).json({ error: err.message });
+    console.error('Deposit release error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Deposits in a conversation with their state history, oldest first
+app.get('/api/conversations/:id/deposits', auth, conversationParticipant, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM deposits WHERE conversation_id = $1 ORDER BY created_at ASC', [req.conversation.id]);
+    res.json({ deposits: await loadDepositEvents(result.rows) });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My deposits, paid and received - filters: role (buyer|seller), status, listing_id
+app.get('/api/deposits', auth, validate(schemas.depositList), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const roles = { buyer: 'd.buyer_id = $1', seller: `(d.seller_id = $1 OR ${managedBy('$1')})` };
+
+    const params = [req.user.id];
+    const where = [roles[req.query.role] || `(d.buyer_id = $1 OR ${roles.seller})`];
+    if (req.query.status) where.push(`d.status = $${params.push(req.query.status)}`);
+    if (req.query.listing_id) where.push(`d.listing_id = $${params.push(req.query.listing_id)}`);
+
+    const result = await pool.query(`
+      SELECT d.*, l.year, l.converter, l.model, l.status AS listing_status,
+        buyer.name AS buyer_name, seller.name AS seller_name
+      FROM deposits d
+      LEFT JOIN listings l ON d.listing_id = l.id
+      LEFT JOIN users buyer ON d.buyer_id = buyer.id
+      LEFT JOIN users seller ON d.seller_id = seller.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY d.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ deposits: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// SAVED COACHES
+// ============================================================
 
 // Save a coach
-app.post('/api/saved', auth, async (req, res) => {
+app.post('/api/saved', auth, validate(schemas.save), async (req, res) => {
+  try {
+    const { listing_id } = req.body;
+    // Only listings buyers can see (not drafts or hidden ones)
+    const listing = await pool.query(
+      'SELECT 1 FROM listings WHERE id = $1 AND hidden_at IS NULL AND status <> ALL($2)',
+      [listing_id, PRIVATE_STATUSES]
+    );
+    if (listing.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+
+    const saved = await pool.query(
+      'INSERT INTO saved_coaches (user_id, listing_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING id',
+      [req.user.id, listing_id]
+    );
+    if (saved.rows.length > 0) analytics.record(listing_id, 'save').catch(err => console.error('Listing analytics error:', err));
+    res.json({ saved: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unsave a coach
+app.delete('/api/saved/:listing_id', auth, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM saved_coaches WHERE user_id = $1 AND listing_id = $2',
+      [req.user.id, req.params.listing_id]
+    );
+    res.json({ removed: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get my saved coaches
+app.get('/api/saved', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT l.*, u.name as seller_name, ${SELLER_BADGE}, ${SELLER_RATING},
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
+      FROM saved_coaches sc
+      JOIN listings l ON sc.listing_id = l.id
+      JOIN users u ON l.seller_id = u.id
+      LEFT JOIN dealers d ON d.id = l.dealer_id
+      WHERE sc.user_id = $1
+      ORDER BY sc.created_at DESC
+    `, [req.user.id]);
+    res.json({ listings: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+function formatPrice(amount) {
+  return `$${Number(amount).toLocaleString('en-US')}`;
+}
+
+// Tell everyone who saved a listing about a price drop or status change
+async function notifySavedListingChanges(before, after) {
+  const alerts = [];
+  const coach = coachName(after);
+
+  if (before.price > 0 && after.price > 0 && after.price < before.price) {
+    const reduction = before.price - after.price;
+    alerts.push({
+      type: 'price_drop',
+      title: `Price reduced ${formatPrice(reduction)}`,
+      body: `${coach} is now ${formatPrice(after.price)} (was ${formatPrice(before.price)})`,
+      data: { listing_id: after.id, old_price: before.price, new_price: after.price }
+    });
+  }
+  if (before.status !== after.status && ['sold', 'pending', 'active'].includes(after.status)) {
+    const labels = { sold: 'has sold', pending: 'is now under contract', active: 'is back on the market' };
+    alerts.push({
+      type: 'status_change',
+      title: `Saved coach ${labels[after.status]}`,
+      body: `${coach} ${labels[after.status]}`,
+      data: { listing_id: after.id, old_status: before.status, new_status: after.status }
+    });
+  }
+  if (alerts.length === 0) return;
+
+  const savers = await pool.query(
+    'SELECT user_id FROM saved_coaches WHERE listing_id = $1 AND user_id != $2',
+    [after.id, after.seller_id]
+  );
+  for (const { user_id } of savers.rows) {
+    for (const alert of alerts) {
+      await notifier.notify(user_id, {
+        ...alert,
+        email: { text: `${alert.body}\n${listingUrl(after.id)}\n` }
+      });
+    }
+  }
+}
+
+// ============================================================
+// SAVED SEARCHES
+// ============================================================
+
+const MAX_SAVED_SEARCHES = 25;
+
+// Notify owners of saved searches that a newly active listing matches.
+// Each search/listing pair is only ever notified once.
+async function notifySavedSearchMatches(listingId) {
+  const matches = await pool.query(`
+    INSERT INTO saved_search_matches (saved_search_id, listing_id)
+    SELECT s.id, l.id
+    FROM saved_searches s
+    JOIN listings l ON l.id = $1
+    WHERE l.status = 'active' AND l.hidden_at IS NULL AND s.user_id != l.seller_id
+      AND ${storedFilterClauses('s.filters').join('\n      AND ')}
+    ON CONFLICT DO NOTHING
+    RETURNING saved_search_id
+  `, [listingId]);
+  if (matches.rows.length === 0) return;
+
+  const details = await pool.query(`
+    SELECT s.id, s.user_id, s.name, l.year, l.converter, l.model, l.price, l.price_display
+    FROM saved_searches s JOIN listings l ON l.id = $2
+    WHERE s.id = ANY($1::uuid[])
+  `, [matches.rows.map(m => m.saved_search_id), listingId]);
+
+  for (const m of details.rows) {
+    const coach = coachName(m);
+    const price = m.price_display || (m.price ? formatPrice(m.price) : 'Call for price');
+    const url = listingUrl(listingId);
+    await notifier.notify(m.user_id, {
+      type: 'saved_search_match',
+      title: `New match for "${m.name}"`,
+      body: `${coach} — ${price}`,
+      data: { saved_search_id: m.id, listing_id: listingId },
+      email: {
+        subject: `New coach matching "${m.name}": ${coach}`,
+        text: `A new listing matches your saved search "${m.name}":\n\n${coach} — ${price}\n${url}\n`
+      }
+    });
+  }
+}
+
+// Save a search - body: { name, filters } where filters uses the GET /api/listings params
+app.post('/api/saved-searches', auth, validate(schemas.saveSearch), async (req, res) => {
+  try {
+    const { name, filters } = req.body;
+
+    const parsed = parseFilters(filters || {});
+
+    const count = await pool.query('SELECT COUNT(*)::int AS count FROM saved_searches WHERE user_id = $1', [req.user.id]);
+    if (count.rows[0].count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO saved_searches (user_id, name, filters) VALUES ($1, $2, $3) RETURNING *',
+      [req.user.id, name, parsed]
+    );
+    res.status(201).json({ saved_search: result.rows[0] });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    console.error('Save search error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get my saved searches
+app.get('/api/saved-searches', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.*, (SELECT COUNT(*) FROM saved_search_matches WHERE saved_search_id = s.id)::int AS match_count
+      FROM saved_searches s
+      WHERE s.user_id = $1
+      ORDER BY s.created_at DESC
+    `, [req.user.id]);
+    res.json({ saved_searches: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a saved search
+app.delete('/api/saved-searches/:id', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// NOTIFICATIONS
+// ============================================================
+
+// Get my notifications (newest first)
+app.get('/api/notifications', auth, validate(schemas.page), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const result = await pool.query(
+      'SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3',
+      [req.user.id, limit, offset]
+    );
+    const unread = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+    res.json({ notifications: result.rows, unread_count: unread.rows[0].count, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark one notification read
+app.post('/api/notifications/:id/read', auth, async (req, res) => {
+  try {
+    await pool.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    res.json({ read: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark all notifications read
+app.post('/api/notifications/read-all', auth, async (req, res) => {
+  try {
+    await pool.query('UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL', [req.user.id]);
+    res.json({ read: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Email categories a signed link can unsubscribe from, and the column each one sets
+const UNSUBSCRIBE_SCOPES = { messages: 'message_emails' };
+
+// One-click unsubscribe link; works without signing in
+function unsubscribeUrl(userId, scope) {
+  const token = signValue(`${userId}:${scope}`, process.env.JWT_SECRET);
+  return `${process.env.PUBLIC_URL}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// The user and preference column a signed unsubscribe token is for, or null
+function unsubscribeTarget(token) {
+  const value = verifySignedValue(token, process.env.JWT_SECRET);
+  const [userId, scope] = (value || '').split(':');
+  const column = UNSUBSCRIBE_SCOPES[scope];
+  if (!column || !isUuid(userId)) return null;
+  return { userId, column };
+}
+
+async function unsubscribe(token) {
+  const target = unsubscribeTarget(token);
+  if (!target) return false;
+  await pool.query(`UPDATE users SET ${target.column} = 'off', updated_at = NOW() WHERE id = $1`, [target.userId]);
+  return true;
+}
+
+// Get my email preferences
+app.get('/api/notification-preferences', auth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT message_emails FROM users WHERE id = $1', [req.user.id]);
+    res.json({ preferences: result.rows[0] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update email preferences - body: { message_emails: 'instant' | 'daily' | 'off' }
+app.put('/api/notification-preferences', auth, validate(schemas.notificationPreferences), async (req, res) => {
+  try {
+    const { message_emails } = req.body;
+    const result = await pool.query(
+      'UPDATE users SET message_emails = $1, updated_at = NOW() WHERE id = $2 RETURNING message_emails',
+      [message_emails, req.user.id]
+    );
+    res.json({ preferences: result.rows[0] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unsubscribe link from an email. GET only shows a confirmation form (mail
+// scanners and link previews follow links); nothing changes until it's posted.
+app.get('/api/unsubscribe', (req, res) => {
+  if (!unsubscribeTarget(req.query.token)) {
+    return res.status(400).type('html').send('<p>This unsubscribe link is invalid.</p>');
+  }
+  res.type('html').send(
+    `<form method="post" action="?token=${encodeURIComponent(req.query.token)}">` +
+    '<p>Stop getting emails about new messages? You can turn them back on in your account settings.</p>' +
+    '<button type="submit">Unsubscribe</button></form>'
+  );
+});
+
+// Unsubscribe - the confirmation form, or RFC 8058 one-click
+// (List-Unsubscribe-Post) from mail clients
+app.post('/api/unsubscribe', validate(schemas.unsubscribe), async (req, res) => {
+  try {
+    const ok = await unsubscribe(req.query.token);
+    res.status(ok ? 200 : 400).format({
+      json: () => res.json(ok ? { unsubscribed: true } : { error: 'Invalid unsubscribe link' }),
+      html: () => res.send(ok
+        ? '<p>You have been unsubscribed from message emails. You can turn them back on in your account settings.</p>'
+        : '<p>This unsubscribe link is invalid.</p>')
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// STRIPE PAYMENT
+// ============================================================
+
+// Active unlock plan by id, or the default plan
+async function unlockPlan(planId, db = pool) {
+  if (planId && !isUuid(planId)) throw new PricingError('Plan not found');
+  const result = planId
+    ? await db.query('SELECT * FROM unlock_plans WHERE id = $1 AND active', [planId])
+    : await db.query('SELECT * FROM unlock_plans WHERE is_default AND active');
+  if (result.rows.length === 0) throw new PricingError(planId ? 'Plan not found' : 'No unlock plan is available');
+  return result.rows[0];
+}
+
+// A coupon with its use so far: redemptions (paid or free, plus one for each
+// other user with a checkout in progress) and mine (this user's completed
+// uses). The user's own pending checkouts aren't counted, since a new checkout
+// replaces them. With lock, the coupon row is locked so two checkouts can't
+// take the last use.
+async function loadCoupon(code, userId, db = pool, lock = false) {
+  const result = await db.query(`SELECT * FROM coupons WHERE code = $1${lock ? ' FOR UPDATE' : ''}`, [normalizeCode(code)]);
+  if (result.rows.length === 0) return null;
+  const coupon = result.rows[0];
+  const uses = await db.query(`
+    SELECT
+      (COUNT(*) FILTER (WHERE p.id IS NULL OR p.paid_at IS NOT NULL)
+        + COUNT(DISTINCT r.user_id) FILTER (WHERE p.status = 'pending' AND r.user_id IS DISTINCT FROM $2))::int AS redemptions,
+      COUNT(*) FILTER (WHERE r.user_id = $2 AND (p.id IS NULL OR p.paid_at IS NOT NULL))::int AS mine
+    FROM coupon_redemptions r
+    LEFT JOIN payments p ON r.payment_id = p.id
+    WHERE r.coupon_id = $1
+  `, [coupon.id, userId]);
+  return { ...coupon, ...uses.rows[0] };
+}
+
+// Price of the unlock for a user - { plan, coupon, list, discount, amount }.
+// Throws PricingError for an unknown plan or a code that can't be used.
+async function priceUnlock(userId, { plan_id, code } = {}, db = pool, lock = false) {
+  const plan = await unlockPlan(plan_id, db);
+  let coupon = null;
+  if (code) {
+    coupon = await loadCoupon(code, userId, db, lock);
+    const problem = couponProblem(coupon, plan);
+    if (problem) throw new PricingError(problem);
+    if (coupon.mine > 0) throw new PricingError('You have already used this code');
+  }
+  return { plan, coupon, ...quote(plan, coupon) };
+}
+
+// Unlock messaging without payment and record it. Returns null if the user
+// has already unlocked.
+async function grantComplimentaryUnlock(db, userId, { grantedBy = null, couponId = null, reason }) {
+  const result = await db.query(`
+    UPDATE users SET paid = TRUE, paid_at = NOW(), unlock_source = 'complimentary', updated_at = NOW()
+    WHERE id = $1 AND paid IS NOT TRUE
+    RETURNING id, paid, paid_at, unlock_source
+  `, [userId]);
+  if (result.rows.length === 0) return null;
+  await db.query(
+    'INSERT INTO complimentary_unlocks (user_id, granted_by, coupon_id, reason) VALUES ($1, $2, $3, $4)',
+    [userId, grantedBy, couponId, reason]
+  );
+  return result.rows[0];
+}
+
+// Unlock plans on offer
+app.get('/api/unlock-plans', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, description, amount, currency, is_default FROM unlock_plans WHERE active ORDER BY is_default DESC, amount'
+    );
+    res.json({ plans: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Price of the unlock with a promo code - query: plan_id, code
+app.get('/api/stripe/quote', auth, validate(schemas.quote), async (req, res) => {
+  try {
+    const price = await priceUnlock(req.user.id, req.query);
+    res.json({
+      plan_id: price.plan.id,
+      code: price.coupon ? price.coupon.code : null,
+      list: price.list,
+      discount: price.discount,
+      amount: price.amount,
+      currency: price.plan.currency
+    });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Price the unlock and reserve its checkout: a pending payment holding any
+// promo code use, so the Stripe session can be created without holding locks.
+// A code that makes it free unlocks straight away and returns { unlocked }.
+async function reserveUnlockCheckout(userId, body) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const user = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (user.rows[0].paid) throw new PricingError('Already unlocked');
+
+    const { plan, coupon, list, discount, amount } = await priceUnlock(userId, body, client, true);
+    if (amount === 0) {
+      await grantComplimentaryUnlock(client, userId, { couponId: coupon.id, reason: `Promo code ${coupon.code}` });
+      await client.query(
+        'INSERT INTO coupon_redemptions (coupon_id, user_id, amount_off) VALUES ($1, $2, $3)',
+        [coupon.id, userId, discount]
+      );
+      await client.query('COMMIT');
+      return { unlocked: true };
+    }
+
+    const payment = await paymentLedger.reserveCheckout({
+      userId,
+      kind: 'unlock',
+      amount,
+      currency: plan.currency,
+      metadata: { plan_id: plan.id, list_amount: list, discount, coupon: coupon ? coupon.code : null }
+    }, client);
+    if (coupon) {
+      await client.query(
+        'INSERT INTO coupon_redemptions (coupon_id, user_id, payment_id, amount_off) VALUES ($1, $2, $3, $4)',
+        [coupon.id, userId, payment.id, discount]
+      );
+    }
+    await client.query('COMMIT');
+    return { email: user.rows[0].email, plan, coupon, discount, amount, payment };
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+// Create Stripe checkout session for the unlock - body: { plan_id, code } (both
+// optional). A code that makes it free unlocks straight away.
+app.post('/api/stripe/create-checkout', auth, validate(schemas.checkout), async (req, res) => {
+  let reserved;
+  try {
+    reserved = await reserveUnlockCheckout(req.user.id, req.body);
+    if (reserved.unlocked) return res.json({ unlocked: true });
+
+    const { plan, coupon, amount, discount, payment } = reserved;
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      customer_email: reserved.email,
+      line_items: [{
+        price_data: {
+          currency: plan.currency,
+          product_data: {
+            name: `Luxury Coach Exchange — ${plan.name}`,
+            ...(plan.description && { description: plan.description }),
+          },
+          unit_amount: amount,
+        },
+        quantity: 1,
+      }],
+      metadata: {
+        user_id: req.user.id,
+        kind: 'unlock',
+        payment_id: payment.id,
+        plan_id: plan.id,
+        ...(coupon && { coupon: coupon.code }),
+      },
+      success_url: `${process.env.FRONTEND_URL}?payment=success`,
+      cancel_url: `${process.env.FRONTEND_URL}?payment=cancelled`,
+    });
+    await paymentLedger.attachSession(payment.id, session);
+
+    res.json({ url: session.url, session_id: session.id, amount, discount });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    // Release the reservation (and its promo code use)
+    if (reserved?.payment) {
+      await paymentLedger.failCheckout(reserved.payment.id).catch(e => console.error('Checkout release error:', e));
+    }
+    console.error('Stripe error:', err);
+    res.status(500).json({ error: 'Payment setup failed' });
+  }
+});
+
+// ============================================================
+// LISTING PROMOTIONS
+// ============================================================
+
+// Time-limited paid placements. Prices are in cents.
+const PROMOTION_PLANS = {
+  featured_30: {
+    type: 'featured',
+    days: 30,
+    name: 'Featured for 30 days',
+    description: 'Featured placement and top of every search for 30 days.',
+    price: parseInt(process.env.PROMOTION_FEATURED_PRICE) || 25000
+  },
+  boost_7: {
+    type: 'boost',
+    days: 7,
+    name: 'Top of search for 7 days',
+    description: 'Shown above unpromoted coaches in search results for 7 days.',
+    price: parseInt(process.env.PROMOTION_BOOST_PRICE) || 9900
+  }
+};
+
+// Start a paid promotion (extending any running one of the same type)
+async function activatePromotion(db, payment) {
+  const promo = await db.query(
+    "SELECT * FROM listing_promotions WHERE payment_id = $1 AND status IN ('pending', 'cancelled') FOR UPDATE",
+    [payment.id]
+  );
+  if (promo.rows.length === 0) return;
+  const p = promo.rows[0];
+  const column = PROMOTION_COLUMNS[p.type];
+
+  const listing = await db.query(`
+    UPDATE listings SET ${column} = GREATEST(COALESCE(${column}, NOW()), NOW()) + make_interval(days => $1)
+    WHERE id = $2 RETURNING ${column} AS ends_at
+  `, [p.days, p.listing_id]);
+  if (listing.rows.length === 0) return;
+
+  await db.query(
+    "UPDATE listing_promotions SET status = 'active', starts_at = $1::timestamptz - make_interval(days => $2), ends_at = $1 WHERE id = $3",
+    [listing.rows[0].ends_at, p.days, p.id]
+  );
+}
+
+// Recompute a listing's promotion end from its remaining active promotions
+async function recalcPromotion(db, listingId, type) {
+  const column = PROMOTION_COLUMNS[type];
+  await db.query(`
+    UPDATE listings SET ${column} = (
+      SELECT MAX(ends_at) FROM listing_promotions
+      WHERE listing_id = $1 AND type = $2 AND status = 'active' AND ends_at > NOW()
+    ) WHERE id = $1
+  `, [listingId, type]);
+}
+
+// Refunded or charged back: end the promotion now
+async function cancelPromotion(db, payment) {
+  const promo = await db.query(
+    "UPDATE listing_promotions SET status = 'cancelled' WHERE payment_id = $1 AND status = 'active' RETURNING *",
+    [payment.id]
+  );
+  for (const p of promo.rows) await recalcPromotion(db, p.listing_id, p.type);
+}
+
+// Available promotion plans
+app.get('/api/promotion-plans', (req, res) => {
+  const plans = Object.entries(PROMOTION_PLANS).map(([id, plan]) => ({ id, ...plan }));
+  res.json({ plans });
+});
+
+// A pending payment and its pending promotion, saved together before the
+// Stripe session is created (see reserveUnlockCheckout)
+async function reservePromotionCheckout(userId, listing, planId) {
+  const plan = PROMOTION_PLANS[planId];
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const payment = await paymentLedger.reserveCheckout({
+      userId,
+      kind: 'promotion',
+      amount: plan.price,
+      currency: 'usd',
+      metadata: { listing_id: listing.id, plan: planId }
+    }, client);
+    await client.query(
+      'INSERT INTO listing_promotions (listing_id, user_id, payment_id, plan, type, days) VALUES ($1, $2, $3, $4, $5, $6)',
+      [listing.id, userId, payment.id, planId, plan.type, plan.days]
+    );
+    await client.query('COMMIT');
+    return payment;
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+// Buy a promotion for my listing - body: { plan }
+app.post('/api/listings/:id/promote', auth, listingOwner, validate(schemas.promote), async (req, res) => {
+  let payment;
+  try {
+    const plan = PROMOTION_PLANS[req.body.plan];
+    if (!plan) return res.status(400).json({ error: `plan must be one of: ${Object.keys(PROMOTION_PLANS).join(', ')}` });
+
+    const listing = await pool.query('SELECT * FROM listings WHERE id = $1', [req.params.id]);
+    const l = listing.rows[0];
+    if (l.status !== 'active' || l.hidden_at) {
+      return res.status(400).json({ error: 'Only active, published listings can be promoted' });
+    }
+
+    const user = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+    payment = await reservePromotionCheckout(req.user.id, l, req.body.plan);
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      customer_email: user.rows[0].email,
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: `${plan.name} — ${coachName(l)}`,
+            description: plan.description,
+          },
+          unit_amount: plan.price,
+        },
+        quantity: 1,
+      }],
+      metadata: {
+        user_id: req.user.id,
+        kind: 'promotion',
+        payment_id: payment.id,
+        listing_id: l.id,
+        plan: req.body.plan,
+      },
+      success_url: `${listingUrl(l.id)}?promotion=success`,
+      cancel_url: `${listingUrl(l.id)}?promotion=cancelled`,
+    });
+
+    await paymentLedger.attachSession(payment.id, session);
+
+    res.json({ url: session.url, session_id: session.id });
+  } catch (err) {
+    if (payment) {
+      await paymentLedger.failCheckout(payment.id).catch(e => console.error('Checkout release error:', e));
+    }
+    console.error('Promotion checkout error:', err);
+    res.status(500).json({ error: 'Payment setup failed' });
+  }
+});
+
+// Promotions bought for my listing
+app.get('/api/listings/:id/promotions', auth, listingOwner, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT lp.id, lp.plan, lp.type, lp.days, lp.status, lp.starts_at, lp.ends_at, lp.created_at, p.amount, p.currency
+      FROM listing_promotions lp JOIN payments p ON lp.payment_id = p.id
+      WHERE lp.listing_id = $1 AND lp.status != 'pending'
+      ORDER BY lp.created_at DESC
+    `, [req.params.id]);
+    res.json({ promotions: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Expire finished promotions, demote their listings and tell the buyer (or
+// the listing's seller if the buyer's account is gone)
+async function expirePromotions() {
+  const expired = await pool.query(`
+    UPDATE listing_promotions lp SET status = 'expired'
+    FROM listings l
+    WHERE lp.listing_id = l.id AND lp.status = 'active' AND lp.ends_at <= NOW()
+    RETURNING lp.*, COALESCE(lp.user_id, l.seller_id) AS notify_id, l.year, l.converter, l.model
+  `);
+  for (const p of expired.rows) {
+    await recalcPromotion(pool, p.listing_id, p.type);
+    await notifier.notify(p.notify_id, {
+      type: 'promotion_expired',
+      title: `Your ${PROMOTION_PLANS[p.plan]?.name.toLowerCase() || 'promotion'} has ended`,
+      body: coachName(p),
+      data: { listing_id: p.listing_id, promotion_id: p.id }
+    });
+  }
+  return expired.rows.length;
+}
+
+// Check payment status
+app.get('/api/stripe/status', auth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT paid, paid_at, unlock_source FROM users WHERE id = $1', [req.user.id]);
+    res.json({ paid: result.rows[0].paid, paid_at: result.rows[0].paid_at, unlock_source: result.rows[0].unlock_source });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// ADMIN / STATS
+// ============================================================
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+// Record an admin request in admin_audit_log. Handlers can set req.audit
+// ({ action, target_type, target_id, reason, details }) to describe what they did.
+async function recordAdminAction(req, res) {
+  const audit = req.audit || {};
+  await pool.query(`
+    INSERT INTO admin_audit_log (admin_id, admin_role, action, target_type, target_id, reason, details, status_code, ip)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    req.user.id,
+    req.admin.role,
+    audit.action || `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+    audit.target_type || null,
+    audit.target_id || req.params.id || null,
+    audit.reason || null,
+    audit.details || { params: req.params, query: req.query },
+    res.statusCode,
+    req.ip
+  ]);
+}
+
+// Staff auth: requires a staff role (users.admin_role) that grants `permission`.
+// The role is read from the database so demotions apply immediately.
+function adminAuth(permission) {
+  return async (req, res, next) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) return res.status(401).json({ error: 'No token' });
+    try {
+      const decoded = await verifyAccessToken(token);
+      if (!decoded) return res.status(401).json({ error: 'Invalid token' });
+      if (decoded.restriction) return restrictionResponse(res, decoded.restriction);
+
+      const staff = await pool.query('SELECT admin_role FROM users WHERE id = $1', [decoded.id]);
+      const role = staff.rows[0]?.admin_role;
+      if (!role) return res.status(403).json({ error: 'Not admin' });
+      if (!hasPermission(role, permission)) return res.status(403).json({ error: 'Insufficient permissions' });
+
+      req.user = decoded;
+      req.admin = { role, permissions: permissionsFor(role) };
+      res.on('finish', () => {
+        if (res.statusCode < 400) recordAdminAction(req, res).catch(err => console.error('Audit log error:', err));
+      });
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+// Admin login (any staff role)
+app.post('/api/admin/login', loginRateLimit, validate(schemas.adminLogin), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+    const attempt = await attemptSignIn(email, user, password, req.ip);
+    if (attempt.locked) return rateLimiter.lockedResponse(res, attempt.locked);
+    if (!attempt.valid || !user.admin_role) return res.status(401).json({ error: 'Invalid credentials' });
+
+    const { token, refresh_token } = await createSession(user, req);
+    res.json({ token, refresh_token, role: user.admin_role, permissions: permissionsFor(user.admin_role) });
+  } catch (err) {
+    console.error('Admin login error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Current staff member's role and permissions
+app.get('/api/admin/me', adminAuth('dashboard:read'), (req, res) => {
+  res.json({ id: req.user.id, email: req.user.email, role: req.admin.role, permissions: req.admin.permissions });
+});
+
+// Admin dashboard stats
+app.get('/api/admin/dashboard', adminAuth('dashboard:read'), async (req, res) => {
+  try {
+    const users = await pool.query('SELECT COUNT(*) FROM users');
+    const sellers = await pool.query("SELECT COUNT(*) FROM users WHERE role IN ('seller','both')");
+    const buyers = await pool.query("SELECT COUNT(*) FROM users WHERE role IN ('buyer','both')");
+    const paidSellers = await pool.query("SELECT COUNT(*) FROM users WHERE paid = true AND unlock_source = 'payment'");
+    const compSellers = await pool.query("SELECT COUNT(*) FROM users WHERE paid = true AND unlock_source = 'complimentary'");
+    const listings = await pool.query("SELECT COUNT(*) FROM listings WHERE status = 'active'");
+    const conversations = await pool.query('SELECT COUNT(*) FROM conversations');
+    const messages = await pool.query('SELECT COUNT(*) FROM messages');
+    // Amounts are in cents. Money under dispute is held back by Stripe, so it
+    // counts against net revenue until the dispute is won.
+    const revenue = await pool.query(`
+      SELECT
+        COALESCE(SUM(amount), 0)::bigint AS gross,
+        COALESCE(SUM(amount_refunded), 0)::bigint AS refunded,
+        COALESCE(SUM(amount - amount_refunded) FILTER (WHERE status IN ('disputed', 'charged_back')), 0)::bigint AS disputed,
+        COALESCE(SUM((metadata->>'discount')::int), 0)::bigint AS discounts
+      FROM payments WHERE paid_at IS NOT NULL
+    `);
+    const { gross, refunded, disputed, discounts } = revenue.rows[0];
+    const net = Number(gross) - Number(refunded) - Number(disputed);
+
+    res.json({
+      total_users: parseInt(users.rows[0].count),
+      sellers: parseInt(sellers.rows[0].count),
+      buyers: parseInt(buyers.rows[0].count),
+      paid_sellers: parseInt(paidSellers.rows[0].count),
+      complimentary_sellers: parseInt(compSellers.rows[0].count),
+      active_listings: parseInt(listings.rows[0].count),
+      conversations: parseInt(conversations.rows[0].count),
+      messages: parseInt(messages.rows[0].count),
+      revenue: net / 100,
+      revenue_breakdown: {
+        gross: Number(gross) / 100,
+        refunded: Number(refunded) / 100,
+        disputed: Number(disputed) / 100,
+        net: net / 100,
+        // Promo code discounts, not included in gross
+        discounts: Number(discounts) / 100
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// All users
+app.get('/api/admin/users', adminAuth('users:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, email, role, admin_role, phone, paid, paid_at, unlock_source, suspended_until, banned_at, moderation_reason, seller_verified_at, dealer_id, dealer_role, created_at FROM users ORDER BY created_at DESC'
+    );
+    res.json({ users: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// All listings - filter: status (in_review for the review queue)
+app.get('/api/admin/listings', adminAuth('listings:read'), validate(schemas.adminListings), async (req, res) => {
+  try {
+    const params = [];
+    const where = req.query.status ? `WHERE l.status = $${params.push(req.query.status)}` : '';
+    // The review queue is worked oldest first
+    const order = req.query.status === 'in_review' ? 'l.submitted_at ASC' : 'l.created_at DESC';
+    const result = await pool.query(`
+      SELECT l.*, u.name as seller_name, u.email as seller_email, ${SELLER_BADGE}, ${PROMOTION} AS promotion,
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url,
+        (SELECT COUNT(*) FROM reports WHERE listing_id = l.id AND status IN ('open', 'reviewing'))::int as open_reports
+      FROM listings l
+      JOIN users u ON l.seller_id = u.id
+      LEFT JOIN dealers d ON d.id = l.dealer_id
+      ${where}
+      ORDER BY ${order}
+    `, params);
+    res.json({ listings: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// All dealer accounts with their owner and size
+app.get('/api/admin/dealers', adminAuth('users:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.*, o.id AS owner_id, o.name AS owner_name, o.email AS owner_email,
+        (SELECT COUNT(*) FROM users WHERE dealer_id = d.id)::int AS staff,
+        (SELECT COUNT(*) FROM listings WHERE dealer_id = d.id AND status IN ('active', 'pending'))::int AS active_listings
+      FROM dealers d
+      LEFT JOIN users o ON o.dealer_id = d.id AND o.dealer_role = 'owner'
+      ORDER BY d.created_at DESC
+    `);
+    res.json({ dealers: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Views, saves, conversations and offers across all listings per day, with
+// conversion rates and the most viewed listings - same range as the seller view
+app.get('/api/admin/analytics', adminAuth('dashboard:read'), validate(schemas.analyticsRange), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const report = await analytics.report(range);
+    res.json({ ...report, top_listings: await analytics.topListings(range) });
+  } catch (err) {
+    if (err instanceof AnalyticsError) return res.status(err.status).json({ error: err.message });
+    console.error('Admin analytics error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// One listing's analytics, as its seller sees them
+app.get('/api/admin/listings/:id/analytics', adminAuth('listings:read'), validate(schemas.analyticsRange), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const listing = await pool.query('SELECT id FROM listings WHERE id = $1', [req.params.id]);
+    if (listing.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+    res.json({ listing_id: req.params.id, ...(await analytics.report(range, [req.params.id])) });
+  } catch (err) {
+    if (err instanceof AnalyticsError) return res.status(err.status).json({ error: err.message });
+    console.error('Admin listing analytics error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// All conversations with messages
+app.get('/api/admin/conversations', adminAuth('conversations:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.*, 
+        buyer.name as buyer_name, buyer.email as buyer_email,
+        seller.name as seller_name, seller.email as seller_email,
+        l.year, l.converter, l.model, l.price_display,
+        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id)::int as message_count,
+        (SELECT text FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
+        (SELECT COUNT(*) FROM reports WHERE conversation_id = c.id AND status IN ('open', 'reviewing'))::int as open_reports
+      FROM conversations c
+      JOIN users buyer ON c.buyer_id = buyer.id
+      JOIN users seller ON c.seller_id = seller.id
+      JOIN listings l ON c.listing_id = l.id
+      ORDER BY c.updated_at DESC
+    `);
+    res.json({ conversations: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const ACTIVITY_TYPES = ['signup', 'payment', 'complimentary_unlock', 'message'];
+
+// Recent activity feed, newest first - type (comma-separated), page, limit
+app.get('/api/admin/activity', adminAuth('activity:read'), validate(schemas.activity), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const types = req.query.type ? String(req.query.type).split(',') : ACTIVITY_TYPES;
+    const unknown = types.filter(type => !ACTIVITY_TYPES.includes(type));
+    if (unknown.length > 0) return res.status(400).json({ error: `type must be one of: ${ACTIVITY_TYPES.join(', ')}` });
+
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT id, name, email, role, NULL AS text, created_at, 'signup' AS type FROM users
+        UNION ALL
+        SELECT id, name, email, role, NULL, paid_at,
+          CASE unlock_source WHEN 'complimentary' THEN 'complimentary_unlock' ELSE 'payment' END
+        FROM users WHERE paid = true
+        UNION ALL
+        SELECT m.id, u.name, u.email, u.role, m.text, m.created_at, 'message'
+        FROM messages m JOIN users u ON m.sender_id = u.id
+      ) activity
+      WHERE type = ANY($1)
+      ORDER BY created_at DESC, id
+      LIMIT $2 OFFSET $3
+    `, [types, limit, offset]);
+
+    res.json({ activity: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reports over a date range, by day, week or month (the moderation queue is
+// /api/admin/reports)
+app.get('/api/admin/stats', adminAuth('dashboard:read'), (req, res) => {
+  res.json({ reports: REPORT_LIST, group_by: REPORT_GROUPS });
+});
+
+// One report - from, to (YYYY-MM-DD, default the last 90 days), group_by
+// (default week) and format=json (default) or csv
+app.get('/api/admin/stats/:name', adminAuth('dashboard:read'), validate(schemas.statsReport), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const report = await runReport(pool, req.params.name, parseReportQuery(req.query));
+    if (format === 'json') return res.json(report);
+    res.attachment(`${report.report}-${report.from}-${report.to}-by-${report.group_by}.csv`);
+    res.type('text/csv').send(reportCsv(report));
+  } catch (err) {
+    if (err instanceof ReportError) return res.status(err.status).json({ error: err.message });
+    console.error('Report error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Payments (unlocks)
+app.get('/api/admin/payments', adminAuth('payments:read'), validate(schemas.payments), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.status) where.push(`p.status = $${params.push(req.query.status)}`);
+    if (req.query.kind) where.push(`p.kind = $${params.push(req.query.kind)}`);
+    if (req.query.user_id) where.push(`p.user_id = $${params.push(req.query.user_id)}`);
+
+    const result = await pool.query(`
+      SELECT p.*, u.name, u.email
+      FROM payments p
+      LEFT JOIN users u ON p.user_id = u.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY p.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ payments: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// One payment with its state history
+app.get('/api/admin/payments/:id', adminAuth('payments:read'), async (req, res) => {
+  try {
+    const payment = await pool.query(
+      'SELECT p.*, u.name, u.email FROM payments p LEFT JOIN users u ON p.user_id = u.id WHERE p.id = $1',
+      [req.params.id]
+    );
+    if (payment.rows.length === 0) return res.status(404).json({ error: 'Payment not found' });
+
+    const events = await pool.query(
+      'SELECT * FROM payment_events WHERE payment_id = $1 ORDER BY created_at ASC',
+      [req.params.id]
+    );
+    res.json({ payment: payment.rows[0], events: events.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Promotion purchases - filters: status, listing_id
+app.get('/api/admin/promotions', adminAuth('payments:read'), validate(schemas.promotions), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = ["lp.status != 'pending'"];
+    if (req.query.status) where.push(`lp.status = $${params.push(req.query.status)}`);
+    if (req.query.listing_id) where.push(`lp.listing_id = $${params.push(req.query.listing_id)}`);
+
+    const result = await pool.query(`
+      SELECT lp.*, l.year, l.converter, l.model, u.name AS seller_name, u.email AS seller_email,
+        p.amount, p.currency, p.status AS payment_status
+      FROM listing_promotions lp
+      JOIN listings l ON lp.listing_id = l.id
+      LEFT JOIN users u ON lp.user_id = u.id
+      JOIN payments p ON lp.payment_id = p.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY lp.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ promotions: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock plans, with how many times each was bought
+app.get('/api/admin/unlock-plans', adminAuth('payments:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pl.*,
+        (SELECT COUNT(*) FROM payments p
+         WHERE p.kind = 'unlock' AND p.metadata->>'plan_id' = pl.id::text AND p.paid_at IS NOT NULL)::int AS purchases
+      FROM unlock_plans pl
+      ORDER BY pl.is_default DESC, pl.active DESC, pl.created_at
+    `);
+    res.json({ plans: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save an unlock plan; making it the default takes that from the current one
+async function saveUnlockPlan(fields, planId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (fields.is_default) await client.query('UPDATE unlock_plans SET is_default = FALSE, updated_at = NOW() WHERE is_default');
+
+    const columns = Object.keys(fields);
+    const values = columns.map(c => fields[c]);
+    const result = planId
+      ? await client.query(
+        `UPDATE unlock_plans SET ${columns.map((c, i) => `${c} = $${i + 2}, `).join('')}updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [planId, ...values]
+      )
+      : await client.query(
+        `INSERT INTO unlock_plans (${columns.join(', ')}) VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Create an unlock plan - body: { name, description, amount (cents), active, is_default }
+app.post('/api/admin/unlock-plans', adminAuth('payments:manage'), validate(schemas.unlockPlan), async (req, res) => {
+  try {
+    const fields = parsePlan(req.body);
+    if (fields.is_default && fields.active === false) {
+      return res.status(400).json({ error: 'The default plan must be active' });
+    }
+    const plan = await saveUnlockPlan(fields);
+    req.audit = { action: 'pricing.plan_create', target_type: 'unlock_plan', target_id: plan.id, details: fields };
+    res.status(201).json({ plan });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update an unlock plan (same fields as create, all optional)
+app.put('/api/admin/unlock-plans/:id', adminAuth('payments:manage'), validate(schemas.unlockPlan), async (req, res) => {
+  try {
+    const fields = parsePlan(req.body, { partial: true });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+    const before = await pool.query('SELECT * FROM unlock_plans WHERE id = $1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Plan not found' });
+    const current = before.rows[0];
+    if (current.is_default && fields.is_default === false) {
+      return res.status(400).json({ error: 'Make another plan the default instead' });
+    }
+    if ((fields.is_default ?? current.is_default) && (fields.active ?? current.active) === false) {
+      return res.status(400).json({ error: 'The default plan must be active' });
+    }
+
+    const plan = await saveUnlockPlan(fields, req.params.id);
+    req.audit = { action: 'pricing.plan_update', target_type: 'unlock_plan', target_id: plan.id, details: fields };
+    res.json({ plan });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Completed uses of each coupon: paid checkouts and free unlocks
+const COUPON_USES = `
+  (SELECT COUNT(*) FROM coupon_redemptions r LEFT JOIN payments p ON r.payment_id = p.id
+   WHERE r.coupon_id = c.id AND (r.payment_id IS NULL OR p.paid_at IS NOT NULL))::int AS redemptions`;
+
+// Promo codes - filters: active (true/false)
+app.get('/api/admin/coupons', adminAuth('payments:read'), validate(schemas.activeFilter), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.active !== undefined) where.push(`c.active = $${params.push(req.query.active === 'true')}`);
+
+    const result = await pool.query(`
+      SELECT c.*, pl.name AS plan_name, ${COUPON_USES}
+      FROM coupons c
+      LEFT JOIN unlock_plans pl ON c.plan_id = pl.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY c.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ coupons: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// One promo code with who used it
+app.get('/api/admin/coupons/:id', adminAuth('payments:read'), async (req, res) => {
+  try {
+    const coupon = await pool.query(`
+      SELECT c.*, pl.name AS plan_name, ${COUPON_USES}
+      FROM coupons c LEFT JOIN unlock_plans pl ON c.plan_id = pl.id
+      WHERE c.id = $1
+    `, [req.params.id]);
+    if (coupon.rows.length === 0) return res.status(404).json({ error: 'Coupon not found' });
+
+    const redemptions = await pool.query(`
+      SELECT r.*, u.name, u.email, p.status AS payment_status, p.amount
+      FROM coupon_redemptions r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN payments p ON r.payment_id = p.id
+      WHERE r.coupon_id = $1
+      ORDER BY r.created_at DESC
+    `, [req.params.id]);
+    res.json({ coupon: coupon.rows[0], redemptions: redemptions.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a promo code - body: { code, description, discount_type (percent|fixed),
+// discount_value (percent or cents), plan_id, max_redemptions, expires_at }
+app.post('/api/admin/coupons', adminAuth('payments:manage'), validate(schemas.coupon), async (req, res) => {
+  try {
+    const fields = parseCoupon(req.body);
+    if (fields.plan_id) await unlockPlan(fields.plan_id);
+    fields.created_by = req.user.id;
+
+    const columns = Object.keys(fields);
+    const result = await pool.query(
+      `INSERT INTO coupons (${columns.join(', ')}) VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      columns.map(c => fields[c])
+    );
+    const coupon = result.rows[0];
+    req.audit = { action: 'pricing.coupon_create', target_type: 'coupon', target_id: coupon.id, details: fields };
+    res.status(201).json({ coupon });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    if (err.code === '23505') return res.status(409).json({ error: 'A coupon with this code already exists' });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a promo code - body: { description, max_redemptions, expires_at, active }
+// (the code and discount can't change)
+app.put('/api/admin/coupons/:id', adminAuth('payments:manage'), validate(schemas.coupon), async (req, res) => {
+  try {
+    const fields = parseCoupon(req.body, { partial: true });
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+    const result = await pool.query(
+      `UPDATE coupons SET ${columns.map((c, i) => `${c} = $${i + 2}, `).join('')}updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [req.params.id, ...columns.map(c => fields[c])]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Coupon not found' });
+    req.audit = { action: 'pricing.coupon_update', target_type: 'coupon', target_id: req.params.id, details: fields };
+    res.json({ coupon: result.rows[0] });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Complimentary unlocks - filters: active (true = not revoked)
+app.get('/api/admin/complimentary-unlocks', adminAuth('payments:read'), validate(schemas.activeFilter), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const where = req.query.active === 'true' ? 'WHERE cu.revoked_at IS NULL' : '';
+    const result = await pool.query(`
+      SELECT cu.*, u.name, u.email, g.name AS granted_by_name, c.code AS coupon_code
+      FROM complimentary_unlocks cu
+      JOIN users u ON cu.user_id = u.id
+      LEFT JOIN users g ON cu.granted_by = g.id
+      LEFT JOIN coupons c ON cu.coupon_id = c.id
+      ${where}
+      ORDER BY cu.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    res.json({ unlocks: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Buyer deposits - filters: status, listing_id, user_id (buyer or seller),
+// capture_failed (confirmed deposits whose capture Stripe refused)
+app.get('/api/admin/deposits', adminAuth('payments:read'), validate(schemas.adminDeposits), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.status) where.push(`d.status = $${params.push(req.query.status)}`);
+    if (req.query.capture_failed === 'true') where.push("d.status = 'confirmed' AND d.capture_failed_at IS NOT NULL");
+    if (req.query.listing_id) where.push(`d.listing_id = $${params.push(req.query.listing_id)}`);
+    if (req.query.user_id) {
+      params.push(req.query.user_id);
+      where.push(`(d.buyer_id = $${params.length} OR d.seller_id = $${params.length})`);
+    }
+
+    const result = await pool.query(`
+      SELECT d.*, l.year, l.converter, l.model, l.status AS listing_status,
+        buyer.name AS buyer_name, buyer.email AS buyer_email, seller.name AS seller_name, seller.email AS seller_email
+      FROM deposits d
+      LEFT JOIN listings l ON d.listing_id = l.id
+      LEFT JOIN users buyer ON d.buyer_id = buyer.id
+      LEFT JOIN users seller ON d.seller_id = seller.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ deposits: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// One deposit with its state history
+app.get('/api/admin/deposits/:id', adminAuth('payments:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM deposits WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Deposit not found' });
+    const [deposit] = await loadDepositEvents(result.rows);
+    res.json({ deposit });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Capture or release a deposit by hand - body: { reason }
+app.post('/api/admin/deposits/:id/:action(capture|release)', adminAuth('payments:manage'), requireReason, async (req, res) => {
+  try {
+    const action = req.params.action;
+    const deposit = await deposits[action](req.params.id, { actorId: req.user.id, note: req.body.reason });
+    req.audit = {
+      action: `deposit.${action}`, target_type: 'deposit', target_id: deposit.id, reason: req.body.reason,
+      details: { amount: deposit.amount, listing_id: deposit.listing_id }
+    };
+    res.json({ deposit });
+  } catch (err) {
+    if (err instanceof DepositError) return res.status(err.status).json({ error: err.message });
+    console.error('Admin deposit error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Staff members and their roles
+app.get('/api/admin/staff', adminAuth('staff:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, email, admin_role, created_at FROM users WHERE admin_role IS NOT NULL ORDER BY name'
+    );
+    res.json({ staff: result.rows, roles: ADMIN_ROLES });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Grant, change or remove a staff role - body: { admin_role } (null removes)
+app.put('/api/admin/staff/:id', adminAuth('staff:manage'), validate(schemas.staffRole), async (req, res) => {
+  try {
+    const { admin_role = null } = req.body;
+    if (req.params.id === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+
+    const before = await pool.query('SELECT admin_role FROM users WHERE id = $1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const result = await pool.query(
+      'UPDATE users SET admin_role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, name, email, admin_role',
+      [admin_role, req.params.id]
+    );
+    req.audit = {
+      action: 'staff.role_change',
+      target_type: 'user',
+      target_id: req.params.id,
+      details: { from: before.rows[0].admin_role, to: admin_role }
+    };
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Audit log - filters: admin_id, action, target_id
+app.get('/api/admin/audit-log', adminAuth('audit:read'), validate(schemas.auditLog), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.admin_id) where.push(`a.admin_id = $${params.push(req.query.admin_id)}`);
+    if (req.query.action) where.push(`a.action = $${params.push(req.query.action)}`);
+    if (req.query.target_id) where.push(`a.target_id = $${params.push(req.query.target_id)}`);
+
+    const result = await pool.query(`
+      SELECT a.*, u.name AS admin_name, u.email AS admin_email
+      FROM admin_audit_log a
+      LEFT JOIN users u ON a.admin_id = u.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY a.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ entries: result.rows, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// ADMIN MODERATION
+// ============================================================
+
+// Moderation actions need a reason, which is shown to the affected user.
+// A function declaration, since routes above this section use it too.
+const checkReason = validate(schemas.reason);
+function requireReason(req, res, next) {
+  return checkReason(req, res, next);
+}
+
+// Record a moderation action against a user (shown to them via
+// GET /api/moderation-actions), add it to the audit entry and notify them
+async function recordModeration(req, { userId, action, targetType, targetId, reason, title }) {
+  await pool.query(
+    'INSERT INTO moderation_actions (admin_id, user_id, action, target_type, target_id, reason) VALUES ($1, $2, $3, $4, $5, $6)',
+    [req.user.id, userId, action, targetType, targetId, reason]
+  );
+  req.audit = { action: `moderation.${action}`, target_type: targetType, target_id: targetId, reason };
+
+  await notifier.notify(userId, {
+    type: 'moderation',
+    title,
+    body: `Reason: ${reason}`,
+    data: { action, target_type: targetType, target_id: targetId },
+    email: true
+  });
+}
+
+// Load a user that the current staff member may moderate (staff accounts need an admin)
+async function moderatableUser(req, res) {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  const user = result.rows[0];
+  if (user.id === req.user.id) {
+    res.status(400).json({ error: 'You cannot moderate your own account' });
+    return null;
+  }
+  if (user.admin_role && req.admin.role !== 'admin') {
+    res.status(403).json({ error: 'Only admins can moderate staff accounts' });
+    return null;
+  }
+  return user;
+}
+
+// Unpublish (hide) a listing
+app.post('/api/admin/listings/:id/unpublish', adminAuth('listings:moderate'), requireReason, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE listings SET hidden_at = NOW(), hidden_reason = $1, hidden_by = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+      [req.body.reason, req.user.id, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+
+    const l = result.rows[0];
+    await recordModeration(req, {
+      userId: l.seller_id, action: 'listing_unpublished', targetType: 'listing', targetId: l.id,
+      reason: req.body.reason, title: `Your ${coachName(l, { short: true })} listing was unpublished`
+    });
+    res.json({ listing: l });
+  } catch (err) {
+    console.error('Unpublish listing error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Restore an unpublished listing
+app.post('/api/admin/listings/:id/restore', adminAuth('listings:moderate'), requireReason, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE listings SET hidden_at = NULL, hidden_reason = NULL, hidden_by = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+
+    const l = result.rows[0];
+    await recordModeration(req, {
+      userId: l.seller_id, action: 'listing_restored', targetType: 'listing', targetId: l.id,
+      reason: req.body.reason, title: `Your ${coachName(l, { short: true })} listing is visible again`
+    });
+    res.json({ listing: l });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Review queue: approve a listing waiting for review, which puts it live, or
+// send it back to the seller as a draft with the reason
+async function reviewListing(req, res, approve) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const check = await client.query('SELECT * FROM listings WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (check.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    const before = check.rows[0];
+    if (before.status !== 'in_review') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This listing is not waiting for review' });
+    }
+
+    const { changes } = await applyListingUpdate(client, before, { status: approve ? 'active' : 'draft' }, req.user.id);
+    const result = await client.query(
+      'UPDATE listings SET reviewed_at = NOW(), reviewed_by = $2, review_note = $3 WHERE id = $1 RETURNING *',
+      [before.id, req.user.id, approve ? null : req.body.reason]
+    );
+    await client.query('COMMIT');
+    const l = result.rows[0];
+
+    if (approve) {
+      req.audit = { action: 'listing.approve', target_type: 'listing', target_id: l.id };
+      await notifier.notify(l.seller_id, {
+        type: 'listing_review',
+        title: `Your ${coachName(l, { short: true })} listing is live`,
+        body: 'It was approved and buyers can now see it.',
+        data: { listing_id: l.id },
+        email: true
+      });
+    } else {
+      await recordModeration(req, {
+        userId: l.seller_id, action: 'listing_rejected', targetType: 'listing', targetId: l.id,
+        reason: req.body.reason, title: `Your ${coachName(l, { short: true })} listing needs changes before it can go live`
+      });
+    }
+    res.json({ listing: l });
+
+    afterListingUpdate(before, l, changes);
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Listing review error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+app.post('/api/admin/listings/:id/approve', adminAuth('listings:moderate'), (req, res) => reviewListing(req, res, true));
+app.post('/api/admin/listings/:id/reject', adminAuth('listings:moderate'), requireReason, (req, res) => reviewListing(req, res, false));
+
+// Edit any listing - body: listing fields plus reason
+app.put('/api/admin/listings/:id', adminAuth('listings:moderate'), validate(schemas.adminEditListing), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const fields = parseListingFields(req.body);
+    await client.query('BEGIN');
+    const check = await client.query('SELECT * FROM listings WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (check.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    const before = check.rows[0];
+
+    const { listing, changes } = await applyListingUpdate(client, before, fields, req.user.id);
+    await client.query('COMMIT');
+
+    await recordModeration(req, {
+      userId: listing.seller_id, action: 'listing_edited', targetType: 'listing', targetId: listing.id,
+      reason: req.body.reason, title: `A moderator edited your ${coachName(listing, { short: true })} listing`
+    });
+    req.audit.details = { changes };
+    res.json({ listing, changes });
+
+    afterListingUpdate(before, listing, changes);
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (err instanceof ListingValidationError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Admin edit listing error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Delete any listing - body: { reason }
+app.delete('/api/admin/listings/:id', adminAuth('listings:moderate'), requireReason, async (req, res) => {
+  try {
+    const check = await pool.query('SELECT * FROM listings WHERE id = $1', [req.params.id]);
+    if (check.rows.length === 0) return res.status(404).json({ error: 'Listing not found' });
+    const l = check.rows[0];
+
+    const photos = await pool.query('SELECT storage_key FROM listing_photos WHERE listing_id = $1', [l.id]);
+    const attachments = await listingAttachments(l.id);
+    await settleListingDeposits(l.id, { note: 'Listing removed by moderation' });
+    await pool.query('DELETE FROM listings WHERE id = $1', [l.id]);
+    await Promise.all(photos.rows.map(p => removePhotoFiles(p.storage_key)));
+    await Promise.all(attachments.map(removeAttachmentFiles));
+
+    await recordModeration(req, {
+      userId: l.seller_id, action: 'listing_deleted', targetType: 'listing', targetId: l.id,
+      reason: req.body.reason, title: `Your ${coachName(l, { short: true })} listing was removed`
+    });
+    req.audit.details = { listing: { year: l.year, converter: l.converter, model: l.model, num: l.num, price: l.price } };
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Suspend a user - body: { reason, until } or { reason, days }
+app.post('/api/admin/users/:id/suspend', adminAuth('users:moderate'), validate(schemas.suspend), async (req, res) => {
+  try {
+    const { reason, until, days } = req.body;
+    const end = until ? new Date(until) : new Date(Date.now() + (parseInt(days) || 0) * 24 * 60 * 60 * 1000);
+    if (isNaN(end.getTime()) || end <= new Date()) {
+      return res.status(400).json({ error: 'Provide a future "until" date or a positive number of "days"' });
+    }
+
+    const user = await moderatableUser(req, res);
+    if (!user) return;
+
+    await pool.query(
+      'UPDATE users SET suspended_until = $1, moderation_reason = $2, updated_at = NOW() WHERE id = $3',
+      [end, reason, user.id]
+    );
+    await revokeSessions(user.id);
+    await recordModeration(req, {
+      userId: user.id, action: 'user_suspended', targetType: 'user', targetId: user.id,
+      reason, title: `Your account is suspended until ${end.toUTCString()}`
+    });
+    res.json({ suspended_until: end });
+  } catch (err) {
+    console.error('Suspend user error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Ban a user - body: { reason }
+app.post('/api/admin/users/:id/ban', adminAuth('users:moderate'), requireReason, async (req, res) => {
+  try {
+    const user = await moderatableUser(req, res);
+    if (!user) return;
+
+    await pool.query(
+      'UPDATE users SET banned_at = NOW(), moderation_reason = $1, updated_at = NOW() WHERE id = $2',
+      [req.body.reason, user.id]
+    );
+    await revokeSessions(user.id);
+    await recordModeration(req, {
+      userId: user.id, action: 'user_banned', targetType: 'user', targetId: user.id,
+      reason: req.body.reason, title: 'Your account has been banned'
+    });
+    res.json({ banned: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lift a suspension or ban - body: { reason }
+app.post('/api/admin/users/:id/reinstate', adminAuth('users:moderate'), requireReason, async (req, res) => {
+  try {
+    const user = await moderatableUser(req, res);
+    if (!user) return;
+
+    await pool.query(
+      'UPDATE users SET banned_at = NULL, suspended_until = NULL, moderation_reason = NULL, updated_at = NOW() WHERE id = $1',
+      [user.id]
+    );
+    await recordModeration(req, {
+      userId: user.id, action: 'user_reinstated', targetType: 'user', targetId: user.id,
+      reason: req.body.reason, title: 'Your account has been reinstated'
+    });
+    res.json({ reinstated: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verified-seller badge: staff have checked who the seller is. Shown on
+// their listings and profile.
+async function setSellerVerified(req, res, verified) {
+  try {
+    const user = await moderatableUser(req, res);
+    if (!user) return;
+
+    await pool.query(
+      'UPDATE users SET seller_verified_at = $2, updated_at = NOW() WHERE id = $1',
+      [user.id, verified ? new Date() : null]
+    );
+    await recordModeration(req, {
+      userId: user.id, action: verified ? 'seller_verified' : 'seller_unverified', targetType: 'user', targetId: user.id,
+      reason: req.body.reason, title: verified ? 'You are now a verified seller' : 'Your verified seller badge was removed'
+    });
+    res.json({ seller_verified: verified });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/api/admin/users/:id/verify', adminAuth('users:moderate'), requireReason, (req, res) => setSellerVerified(req, res, true));
+app.delete('/api/admin/users/:id/verify', adminAuth('users:moderate'), requireReason, (req, res) => setSellerVerified(req, res, false));
+
+// A verified dealer badges every listing in its inventory. The owner is told.
+async function setDealerVerified(req, res, verified) {
   try {
-    const { listing_id } = req.body;
-    await pool.query(
-      'INSERT INTO saved_coaches (user_id, listing_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-      [req.user.id, listing_id]
+    const result = await pool.query(
+      'UPDATE dealers SET verified_at = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.params.id, verified ? new Date() : null]
     );
-    res.json({ saved: true });
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Dealer not found' });
+
+    const dealer = result.rows[0];
+    const action = verified ? 'dealer_verified' : 'dealer_unverified';
+    const owner = await pool.query("SELECT id FROM users WHERE dealer_id = $1 AND dealer_role = 'owner'", [dealer.id]);
+    if (owner.rows.length > 0) {
+      await recordModeration(req, {
+        userId: owner.rows[0].id, action, targetType: 'dealer', targetId: dealer.id,
+        reason: req.body.reason, title: verified ? `${dealer.name} is now a verified dealer` : `${dealer.name}'s verified dealer badge was removed`
+      });
+    } else {
+      // Nobody to tell; the change is still audited
+      req.audit = { action: `moderation.${action}`, target_type: 'dealer', target_id: dealer.id, reason: req.body.reason };
+    }
+    res.json({ dealer });
+  } catch (err) {
+    console.error('Dealer verification error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/api/admin/dealers/:id/verify', adminAuth('users:moderate'), requireReason, (req, res) => setDealerVerified(req, res, true));
+app.delete('/api/admin/dealers/:id/verify', adminAuth('users:moderate'), requireReason, (req, res) => setDealerVerified(req, res, false));
+
+// Grant a complimentary seller messaging unlock - body: { reason }
+app.post('/api/admin/users/:id/unlock', adminAuth('payments:manage'), requireReason, async (req, res) => {
+  try {
+    const user = await pool.query('SELECT id FROM users WHERE id = $1', [req.params.id]);
+    if (user.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const granted = await grantComplimentaryUnlock(pool, req.params.id, { grantedBy: req.user.id, reason: req.body.reason });
+    if (!granted) return res.status(400).json({ error: 'Messaging is already unlocked for this user' });
+
+    await recordModeration(req, {
+      userId: req.params.id, action: 'unlock_granted', targetType: 'user', targetId: req.params.id,
+      reason: req.body.reason, title: 'Seller messaging has been unlocked on your account'
+    });
+    res.json({ user: granted });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Unsave a coach
-app.delete('/api/saved/:listing_id', auth, async (req, res) => {
+// Revoke the seller messaging unlock - body: { reason }
+app.delete('/api/admin/users/:id/unlock', adminAuth('payments:manage'), requireReason, async (req, res) => {
   try {
+    const result = await pool.query(
+      'UPDATE users SET paid = FALSE, paid_at = NULL, unlock_source = NULL, updated_at = NOW() WHERE id = $1 RETURNING id, paid',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
     await pool.query(
-      'DELETE FROM saved_coaches WHERE user_id = $1 AND listing_id = $2',
-      [req.user.id, req.params.listing_id]
+      'UPDATE complimentary_unlocks SET revoked_at = NOW(), revoked_by = $2, revoke_reason = $3 WHERE user_id = $1 AND revoked_at IS NULL',
+      [req.params.id, req.user.id, req.body.reason]
     );
-    res.json({ removed: true });
+
+    await recordModeration(req, {
+      userId: req.params.id, action: 'unlock_revoked', targetType: 'user', targetId: req.params.id,
+      reason: req.body.reason, title: 'Seller messaging unlock was removed from your account'
+    });
+    res.json({ user: result.rows[0] });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get my saved coaches
-app.get('/api/saved', auth, async (req, res) => {
+// Full message thread of any conversation
+app.get('/api/admin/conversations/:id/messages', adminAuth('conversations:read'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT l.*, u.name as seller_name,
-        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
-      FROM saved_coaches sc
-      JOIN listings l ON sc.listing_id = l.id
-      JOIN users u ON l.seller_id = u.id
-      WHERE sc.user_id = $1
-      ORDER BY sc.created_at DESC
-    `, [req.user.id]);
-    res.json({ listings: result.rows });
+    const result = await pool.query(
+      'SELECT m.*, u.name as sender_name, u.email as sender_email FROM messages m JOIN users u ON m.sender_id = u.id WHERE m.conversation_id = $1 ORDER BY m.created_at ASC',
+      [req.params.id]
+    );
+    await loadAttachments(result.rows);
+    const messages = result.rows.map(m => ({
+      ...m,
+      attachments: m.attachments.map(a => ({
+        ...attachmentJson(a),
+        url: `/api/admin/attachments/${a.id}`,
+        thumb_url: a.is_image ? `/api/admin/attachments/${a.id}?size=thumb` : null
+      }))
+    }));
+    res.json({ messages });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ============================================================
-// STRIPE PAYMENT
-// ============================================================
+// Download any attachment, including those on removed messages
+app.get('/api/admin/attachments/:id', tokenFromQuery, adminAuth('conversations:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM message_attachments WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Attachment not found' });
+    await sendAttachment(res, result.rows[0], req.query.size);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-// Create Stripe checkout session for $500 unlock
-app.post('/api/stripe/create-checkout', auth, async (req, res) => {
+// Remove a message - body: { reason }. The row is kept for the record.
+app.delete('/api/admin/messages/:id', adminAuth('conversations:moderate'), requireReason, async (req, res) => {
   try {
-    const user = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
-    if (user.rows[0].paid) {
-      return res.status(400).json({ error: 'Already unlocked' });
-    }
+    const result = await pool.query(
+      'UPDATE messages SET deleted_at = NOW(), deleted_by = $1, deleted_reason = $2 WHERE id = $3 AND deleted_at IS NULL RETURNING *',
+      [req.user.id, req.body.reason, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Message not found' });
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      mode: 'payment',
-      customer_email: user.rows[0].email,
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: 'Luxury Coach Exchange — Seller Messaging Unlock',
-            description: 'One-time $500 fee. Unlock messaging forever. Reply to every buyer. Never pay again.',
-          },
-          unit_amount: parseInt(process.env.UNLOCK_PRICE) || 50000,
-        },
-        quantity: 1,
-      }],
-      metadata: {
-        user_id: req.user.id,
-      },
-      success_url: `${process.env.FRONTEND_URL}?payment=success`,
-      cancel_url: `${process.env.FRONTEND_URL}?payment=cancelled`,
+    const m = result.rows[0];
+    await recordModeration(req, {
+      userId: m.sender_id, action: 'message_deleted', targetType: 'message', targetId: m.id,
+      reason: req.body.reason, title: 'One of your messages was removed'
     });
+    req.audit.details = { conversation_id: m.conversation_id, text: m.text };
 
-    res.json({ url: session.url, session_id: session.id });
+    const c = await pool.query('SELECT buyer_id, seller_id, listing_id FROM conversations WHERE id = $1', [m.conversation_id]);
+    for (const userId of [c.rows[0].buyer_id, ...(await sellerSideIds(c.rows[0]))]) {
+      realtime.sendToUser(userId, { type: 'message.removed', conversation_id: m.conversation_id, message_id: m.id });
+    }
+    res.json({ deleted: true });
   } catch (err) {
-    console.error('Stripe error:', err);
-    res.status(500).json({ error: 'Payment setup failed' });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Check payment status
-app.get('/api/stripe/status', auth, async (req, res) => {
+// Moderation actions taken on my account, listings or messages
+app.get('/api/moderation-actions', auth, async (req, res) => {
   try {
-    const result = await pool.query('SELECT paid, paid_at FROM users WHERE id = $1', [req.user.id]);
-    res.json({ paid: result.rows[0].paid, paid_at: result.rows[0].paid_at });
+    const result = await pool.query(
+      'SELECT id, action, target_type, target_id, reason, created_at FROM moderation_actions WHERE user_id = $1 ORDER BY created_at DESC',
+      [req.user.id]
+    );
+    res.json({ actions: result.rows });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ============================================================
-// ADMIN / STATS
+// REVIEWS
 // ============================================================
 
-// ============================================================
-// ADMIN ROUTES
-// ============================================================
+// Messages each side must have sent in a conversation before the buyer can
+// review the seller (offer events don't count)
+const REVIEW_MIN_MESSAGES = parseInt(process.env.REVIEW_MIN_MESSAGES) || 2;
 
-const ADMIN_EMAIL = 'brandon@luxurycoachexchange.com';
+// Average, count and how many reviews gave each number of stars, over the
+// published reviews of the given sellers
+async function ratingSummary(sellerIds) {
+  const result = await pool.query(`
+    SELECT ROUND(AVG(rating), 1)::float8 AS average, COUNT(*)::int AS count,
+      json_build_object(${[1, 2, 3, 4, 5].map(n => `'${n}', COUNT(*) FILTER (WHERE rating = ${n})`).join(', ')}) AS stars
+    FROM reviews WHERE seller_id = ANY($1::uuid[]) AND status = 'published'
+  `, [sellerIds]);
+  return result.rows[0];
+}
 
-function adminAuth(req, res, next) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token' });
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.email !== ADMIN_EMAIL) return res.status(403).json({ error: 'Not admin' });
-    req.user = decoded;
-    next();
-  } catch {
-    res.status(401).json({ error: 'Invalid token' });
+// Whether the buyer in conversation c may review its seller
+async function reviewEligibility(c) {
+  const result = await pool.query(`
+    SELECT COUNT(*) FILTER (WHERE sender_id = $2)::int AS buyer, COUNT(*) FILTER (WHERE sender_id != $2)::int AS seller
+    FROM messages WHERE conversation_id = $1 AND deleted_at IS NULL AND offer_event IS NULL
+  `, [c.id, c.buyer_id]);
+  const { buyer, seller } = result.rows[0];
+  if (buyer < REVIEW_MIN_MESSAGES || seller < REVIEW_MIN_MESSAGES) {
+    return { eligible: false, reason: `You can review the seller once you have each sent at least ${REVIEW_MIN_MESSAGES} messages` };
   }
+  return { eligible: true, reason: null };
 }
 
-// Admin login
-app.post('/api/admin/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    console.log('Admin login attempt:', email);
-    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
-    if (email !== ADMIN_EMAIL) return res.status(401).json({ error: 'Invalid credentials' });
+// Reviews as shown publicly: the buyer's name, the coach and a published reply
+function publicReviews(where, params, tail = '') {
+  return pool.query(`
+    SELECT r.id, r.seller_id, r.rating, r.body, r.published_at, u.name AS buyer_name,
+      l.id AS listing_id, l.year, l.converter, l.model,
+      CASE WHEN r.reply_status = 'published' THEN r.reply END AS reply,
+      CASE WHEN r.reply_status = 'published' THEN r.replied_at END AS replied_at
+    FROM reviews r
+    JOIN users u ON u.id = r.buyer_id
+    LEFT JOIN listings l ON l.id = r.listing_id
+    WHERE ${where}
+    ORDER BY r.published_at DESC
+    ${tail}
+  `, params);
+}
 
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    console.log('User found:', result.rows.length > 0);
-    if (result.rows.length === 0) return res.status(401).json({ error: 'Admin account not found' });
+// My review of this conversation's seller, and whether I can write one (buyer)
+app.get('/api/conversations/:id/review', auth, conversationParticipant, async (req, res) => {
+  try {
+    const c = req.conversation;
+    if (c.buyer_id !== req.user.id) return res.status(403).json({ error: 'Only the buyer can review the seller' });
+    const review = await pool.query('SELECT * FROM reviews WHERE seller_id = $1 AND buyer_id = $2', [c.seller_id, c.buyer_id]);
+    res.json({ ...(await reviewEligibility(c)), review: review.rows[0] || null });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const user = result.rows[0];
-    const valid = await bcrypt.compare(password, user.password_hash);
-    console.log('Password valid:', valid);
-    if (!valid) return res.status(401).json({ error: 'Invalid password' });
+// Review the seller - body: { rating, body }. Reviewing them again replaces
+// my review, which goes back to moderation; the seller's reply to the old one
+// is dropped.
+app.post('/api/conversations/:id/review', auth, requireVerified, conversationParticipant, validate(schemas.review), async (req, res) => {
+  try {
+    const c = req.conversation;
+    if (c.buyer_id !== req.user.id) return res.status(403).json({ error: 'Only the buyer can review the seller' });
+    const { rating, body } = parseReview(req.body);
+    const { eligible, reason } = await reviewEligibility(c);
+    if (!eligible) return res.status(403).json({ error: reason });
 
-    const token = generateToken(user);
-    res.json({ token });
+    const result = await pool.query(`
+      INSERT INTO reviews (seller_id, buyer_id, conversation_id, listing_id, rating, body)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (seller_id, buyer_id) DO UPDATE SET
+        conversation_id = EXCLUDED.conversation_id, listing_id = EXCLUDED.listing_id, rating = EXCLUDED.rating, body = EXCLUDED.body,
+        status = 'pending', moderated_by = NULL, moderated_at = NULL, published_at = NULL,
+        reply = NULL, reply_status = NULL, replied_at = NULL, reply_moderated_at = NULL, updated_at = NOW()
+      RETURNING *, (xmax = 0) AS created
+    `, [c.seller_id, c.buyer_id, c.id, c.listing_id, rating, body]);
+    const { created, ...review } = result.rows[0];
+    res.status(created ? 201 : 200).json({ review });
   } catch (err) {
-    console.error('Admin login error:', err);
-    res.status(500).json({ error: err.message });
+    if (err instanceof ReviewError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Create review error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Admin dashboard stats
-app.get('/api/admin/dashboard', adminAuth, async (req, res) => {
+// Reviews I've written, and reviews of me with my replies
+app.get('/api/reviews/mine', auth, async (req, res) => {
   try {
-    const users = await pool.query('SELECT COUNT(*) FROM users');
-    const sellers = await pool.query("SELECT COUNT(*) FROM users WHERE role IN ('seller','both')");
-    const buyers = await pool.query("SELECT COUNT(*) FROM users WHERE role IN ('buyer','both')");
-    const paidSellers = await pool.query('SELECT COUNT(*) FROM users WHERE paid = true');
-    const listings = await pool.query("SELECT COUNT(*) FROM listings WHERE status = 'active'");
-    const conversations = await pool.query('SELECT COUNT(*) FROM conversations');
-    const messages = await pool.query('SELECT COUNT(*) FROM messages');
-    const revenue = await pool.query('SELECT COUNT(*) as cnt FROM users WHERE paid = true');
+    const written = await pool.query(`
+      SELECT r.id, r.seller_id, u.name AS seller_name, r.listing_id, r.rating, r.body, r.status, r.published_at,
+        CASE WHEN r.reply_status = 'published' THEN r.reply END AS reply, r.created_at, r.updated_at
+      FROM reviews r JOIN users u ON u.id = r.seller_id
+      WHERE r.buyer_id = $1 ORDER BY r.created_at DESC
+    `, [req.user.id]);
+    const received = await pool.query(`
+      SELECT r.id, u.name AS buyer_name, r.listing_id, r.rating, r.body, r.published_at, r.reply, r.reply_status, r.replied_at
+      FROM reviews r JOIN users u ON u.id = r.buyer_id
+      WHERE r.seller_id = $1 AND r.status = 'published' ORDER BY r.published_at DESC
+    `, [req.user.id]);
+    res.json({ written: written.rows, received: received.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    res.json({
-      total_users: parseInt(users.rows[0].count),
-      sellers: parseInt(sellers.rows[0].count),
-      buyers: parseInt(buyers.rows[0].count),
-      paid_sellers: parseInt(paidSellers.rows[0].count),
-      active_listings: parseInt(listings.rows[0].count),
-      conversations: parseInt(conversations.rows[0].count),
-      messages: parseInt(messages.rows[0].count),
-      revenue: parseInt(revenue.rows[0].cnt) * 500
-    });
+// Delete my review
+app.delete('/api/reviews/:id', auth, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM reviews WHERE id = $1 AND buyer_id = $2 RETURNING id', [req.params.id, req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+    res.json({ deleted: true });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// All users
-app.get('/api/admin/users', adminAuth, async (req, res) => {
+// Reply publicly to a published review of me - body: { body }. One reply per
+// review; a rejected reply can be rewritten.
+app.post('/api/reviews/:id/reply', auth, validate(schemas.reviewReply), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, email, role, phone, paid, paid_at, created_at FROM users ORDER BY created_at DESC'
+    const reply = parseReply(req.body);
+    const current = await pool.query(
+      "SELECT reply_status FROM reviews WHERE id = $1 AND seller_id = $2 AND status = 'published'",
+      [req.params.id, req.user.id]
     );
-    res.json({ users: result.rows });
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+    if (current.rows[0].reply_status && current.rows[0].reply_status !== 'rejected') {
+      return res.status(409).json({ error: 'You have already replied to this review' });
+    }
+
+    const result = await pool.query(`
+      UPDATE reviews SET reply = $2, reply_status = 'pending', replied_at = NOW(), reply_moderated_at = NULL, updated_at = NOW()
+      WHERE id = $1 RETURNING *
+    `, [req.params.id, reply]);
+    res.status(201).json({ review: result.rows[0] });
+  } catch (err) {
+    if (err instanceof ReviewError) return res.status(400).json({ error: err.message, fields: err.fields });
+    console.error('Review reply error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A seller's published reviews, newest first, with their rating summary
+app.get('/api/sellers/:id/reviews', validate(schemas.page), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const reviews = await publicReviews("r.seller_id = $1 AND r.status = 'published'", [req.params.id, limit, offset], 'LIMIT $2 OFFSET $3');
+    res.json({ rating: await ratingSummary([req.params.id]), reviews: reviews.rows, page, limit });
   } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// All listings
-app.get('/api/admin/listings', adminAuth, async (req, res) => {
+// Moderation queue - status (default pending) filters reviews and
+// reply_status their replies; oldest first
+app.get('/api/admin/reviews', adminAuth('reviews:moderate'), validate(schemas.adminReviews), async (req, res) => {
   try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const params = [];
+    const where = [];
+    for (const column of ['status', 'reply_status']) {
+      const value = req.query[column] || (column === 'status' && !req.query.reply_status ? 'pending' : null);
+      if (!value) continue;
+      if (!REVIEW_STATUSES.includes(value)) return res.status(400).json({ error: `${column} must be one of: ${REVIEW_STATUSES.join(', ')}` });
+      where.push(`r.${column} = $${params.push(value)}`);
+    }
+    const order = req.query.reply_status ? 'r.replied_at' : 'r.updated_at';
+
     const result = await pool.query(`
-      SELECT l.*, u.name as seller_name, u.email as seller_email,
-        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
-      FROM listings l
-      JOIN users u ON l.seller_id = u.id
-      ORDER BY l.created_at DESC
-    `);
-    res.json({ listings: result.rows });
+      SELECT r.*, b.name AS buyer_name, b.email AS buyer_email, s.name AS seller_name, s.email AS seller_email,
+        l.year, l.converter, l.model,
+        (SELECT COUNT(*) FROM reports WHERE target_type = 'review' AND target_id = r.id AND status IN ('open', 'reviewing'))::int AS open_reports
+      FROM reviews r
+      JOIN users b ON b.id = r.buyer_id
+      JOIN users s ON s.id = r.seller_id
+      LEFT JOIN listings l ON l.id = r.listing_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY ${order} ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ reviews: result.rows, page, limit });
   } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    console.error('Admin reviews error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// All conversations with messages
-app.get('/api/admin/conversations', adminAuth, async (req, res) => {
+// Publish a review, or take it down with a reason (the buyer is told why).
+// Published reviews can be taken down later, e.g. after a report.
+async function moderateReview(req, res, publish) {
   try {
+    const from = publish ? ['pending', 'rejected'] : ['pending', 'published'];
     const result = await pool.query(`
-      SELECT c.*, 
-        buyer.name as buyer_name, buyer.email as buyer_email,
-        seller.name as seller_name, seller.email as seller_email,
-        l.year, l.converter, l.model, l.price_display,
-        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id)::int as message_count,
-        (SELECT text FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message
-      FROM conversations c
-      JOIN users buyer ON c.buyer_id = buyer.id
-      JOIN users seller ON c.seller_id = seller.id
-      JOIN listings l ON c.listing_id = l.id
-      ORDER BY c.updated_at DESC
-    `);
-    res.json({ conversations: result.rows });
+      UPDATE reviews SET status = $2, moderated_by = $3, moderated_at = NOW(),
+        published_at = CASE WHEN $5 THEN NOW() END, updated_at = NOW()
+      WHERE id = $1 AND status = ANY($4) RETURNING *
+    `, [req.params.id, publish ? 'published' : 'rejected', req.user.id, from, publish]);
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT status FROM reviews WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+      return res.status(409).json({ error: `This review is already ${exists.rows[0].status}` });
+    }
+
+    const review = result.rows[0];
+    if (publish) {
+      req.audit = { action: 'review.publish', target_type: 'review', target_id: review.id };
+      await notifier.notify(review.seller_id, {
+        type: 'review',
+        title: `You have a new ${review.rating}-star review`,
+        body: review.body,
+        data: { review_id: review.id },
+        email: true
+      });
+      await notifier.notify(review.buyer_id, {
+        type: 'review',
+        title: 'Your review is live',
+        data: { review_id: review.id }
+      });
+    } else {
+      await recordModeration(req, {
+        userId: review.buyer_id, action: 'review_rejected', targetType: 'review', targetId: review.id,
+        reason: req.body.reason, title: 'Your review was not published'
+      });
+    }
+    res.json({ review });
+  } catch (err) {
+    console.error('Review moderation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/api/admin/reviews/:id/approve', adminAuth('reviews:moderate'), (req, res) => moderateReview(req, res, true));
+app.post('/api/admin/reviews/:id/reject', adminAuth('reviews:moderate'), requireReason, (req, res) => moderateReview(req, res, false));
+
+// The same for the seller's reply
+async function moderateReviewReply(req, res, publish) {
+  try {
+    const from = publish ? ['pending', 'rejected'] : ['pending', 'published'];
+    const result = await pool.query(`
+      UPDATE reviews SET reply_status = $2, reply_moderated_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND reply_status = ANY($3) RETURNING *
+    `, [req.params.id, publish ? 'published' : 'rejected', from]);
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT reply_status FROM reviews WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+      const status = exists.rows[0].reply_status;
+      return res.status(409).json({ error: status ? `This reply is already ${status}` : 'This review has no reply' });
+    }
+
+    const review = result.rows[0];
+    if (publish) {
+      req.audit = { action: 'review.publish_reply', target_type: 'review', target_id: review.id };
+      await notifier.notify(review.buyer_id, {
+        type: 'review',
+        title: 'The seller replied to your review',
+        body: review.reply,
+        data: { review_id: review.id },
+        email: true
+      });
+    } else {
+      await recordModeration(req, {
+        userId: review.seller_id, action: 'review_reply_rejected', targetType: 'review', targetId: review.id,
+        reason: req.body.reason, title: 'Your reply to a review was not published'
+      });
+    }
+    res.json({ review });
+  } catch (err) {
+    console.error('Review reply moderation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/api/admin/reviews/:id/reply/approve', adminAuth('reviews:moderate'), (req, res) => moderateReviewReply(req, res, true));
+app.post('/api/admin/reviews/:id/reply/reject', adminAuth('reviews:moderate'), requireReason, (req, res) => moderateReviewReply(req, res, false));
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+// Distinct reporters with open reports before a listing is hidden pending review
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+// Check the reported item exists and the reporter can see it. Returns the
+// listing/conversation it belongs to, or null if it can't be reported.
+async function reportContext(userId, targetType, targetId) {
+  if (!isUuid(targetId)) return null;
+  if (targetType === 'listing') {
+    const r = await pool.query('SELECT id, seller_id FROM listings WHERE id = $1', [targetId]);
+    if (r.rows.length === 0 || r.rows[0].seller_id === userId) return null;
+    return { listing_id: targetId, conversation_id: null };
+  }
+  if (targetType === 'user') {
+    const r = await pool.query('SELECT id FROM users WHERE id = $1', [targetId]);
+    if (r.rows.length === 0 || targetId === userId) return null;
+    return { listing_id: null, conversation_id: null };
+  }
+  if (targetType === 'review') {
+    const r = await pool.query("SELECT listing_id, conversation_id, buyer_id FROM reviews WHERE id = $1 AND status = 'published'", [targetId]);
+    if (r.rows.length === 0 || r.rows[0].buyer_id === userId) return null;
+    return { listing_id: r.rows[0].listing_id, conversation_id: r.rows[0].conversation_id };
+  }
+  const r = await pool.query(`
+    SELECT c.id AS conversation_id, c.listing_id
+    FROM messages m JOIN conversations c ON m.conversation_id = c.id
+    WHERE m.id = $1 AND m.sender_id != $2 AND ${participantIn('$2')}
+  `, [targetId, userId]);
+  return r.rows[0] || null;
+}
+
+// Hide a listing once enough different people have open reports against it
+async function autoHideReportedListing(listingId) {
+  const reporters = await pool.query(
+    "SELECT COUNT(DISTINCT reporter_id)::int AS count FROM reports WHERE target_type = 'listing' AND target_id = $1 AND status IN ('open', 'reviewing')",
+    [listingId]
+  );
+  if (reporters.rows[0].count < REPORT_HIDE_THRESHOLD) return;
+
+  const reason = `Hidden automatically after ${reporters.rows[0].count} reports, pending review`;
+  const hidden = await pool.query(
+    'UPDATE listings SET hidden_at = NOW(), hidden_reason = $1, updated_at = NOW() WHERE id = $2 AND hidden_at IS NULL RETURNING *',
+    [reason, listingId]
+  );
+  if (hidden.rows.length === 0) return;
+
+  const l = hidden.rows[0];
+  await pool.query(
+    "INSERT INTO moderation_actions (user_id, action, target_type, target_id, reason) VALUES ($1, 'listing_unpublished', 'listing', $2, $3)",
+    [l.seller_id, l.id, reason]
+  );
+  await notifier.notify(l.seller_id, {
+    type: 'moderation',
+    title: `Your ${coachName(l, { short: true })} listing was hidden pending review`,
+    body: `Reason: ${reason}`,
+    data: { action: 'listing_unpublished', target_type: 'listing', target_id: l.id },
+    email: true
+  });
+}
+
+// Report a listing, user or message - body: { target_type, target_id, category, details }
+app.post('/api/reports', auth, requireVerified, validate(schemas.report), async (req, res) => {
+  try {
+    const { target_type, target_id, category, details } = req.body;
+    const context = await reportContext(req.user.id, target_type, target_id);
+    if (!context) return res.status(404).json({ error: 'Nothing to report' });
+
+    const result = await pool.query(`
+      INSERT INTO reports (reporter_id, target_type, target_id, listing_id, conversation_id, category, details)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (reporter_id, target_type, target_id) DO NOTHING
+      RETURNING *
+    `, [req.user.id, target_type, target_id, context.listing_id, context.conversation_id, category, details || null]);
+    if (result.rows.length === 0) return res.status(409).json({ error: 'You have already reported this' });
+
+    if (target_type === 'listing') await autoHideReportedListing(target_id);
+    res.status(201).json({ report: result.rows[0] });
   } catch (err) {
+    console.error('Create report error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Recent activity feed
-app.get('/api/admin/activity', adminAuth, async (req, res) => {
+// Reports I've made
+app.get('/api/reports', auth, async (req, res) => {
   try {
-    const signups = await pool.query(
-      "SELECT id, name, email, role, created_at, 'signup' as type FROM users ORDER BY created_at DESC LIMIT 20"
-    );
-    const payments = await pool.query(
-      "SELECT id, name, email, paid_at as created_at, 'payment' as type FROM users WHERE paid = true ORDER BY paid_at DESC LIMIT 20"
+    const result = await pool.query(
+      'SELECT id, target_type, target_id, category, details, status, created_at, updated_at FROM reports WHERE reporter_id = $1 ORDER BY created_at DESC',
+      [req.user.id]
     );
-    const msgs = await pool.query(`
-      SELECT m.id, u.name, m.text, m.created_at, 'message' as type 
-      FROM messages m JOIN users u ON m.sender_id = u.id 
-      ORDER BY m.created_at DESC LIMIT 20
-    `);
+    res.json({ reports: result.rows });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Moderation queue - filters: status (comma-separated, default open,reviewing),
+// target_type, category, listing_id, conversation_id
+app.get('/api/admin/reports', adminAuth('reports:manage'), validate(schemas.adminReports), async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const statuses = req.query.status ? String(req.query.status).split(',') : ['open', 'reviewing'];
+    if (statuses.some(st => !REPORT_STATUSES.includes(st))) {
+      return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+
+    const params = [statuses];
+    const where = ['r.status = ANY($1::text[])'];
+    if (req.query.target_type) where.push(`r.target_type = $${params.push(req.query.target_type)}`);
+    if (req.query.category) where.push(`r.category = $${params.push(req.query.category)}`);
+    if (req.query.listing_id) where.push(`r.listing_id = $${params.push(req.query.listing_id)}`);
+    if (req.query.conversation_id) where.push(`r.conversation_id = $${params.push(req.query.conversation_id)}`);
+
+    const result = await pool.query(`
+      SELECT r.*, reporter.name AS reporter_name, reporter.email AS reporter_email,
+        reviewer.name AS reviewer_name,
+        l.year, l.converter, l.model, l.hidden_at AS listing_hidden_at,
+        tu.name AS reported_user_name, tu.email AS reported_user_email,
+        m.text AS message_text, m.sender_id AS message_sender_id, m.deleted_at AS message_deleted_at,
+        rv.rating AS review_rating, rv.body AS review_body, rv.reply AS review_reply, rv.status AS review_status,
+        (SELECT COUNT(DISTINCT reporter_id) FROM reports r2
+          WHERE r2.target_type = r.target_type AND r2.target_id = r.target_id AND r2.status IN ('open', 'reviewing'))::int AS open_reporters
+      FROM reports r
+      JOIN users reporter ON r.reporter_id = reporter.id
+      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      LEFT JOIN listings l ON r.listing_id = l.id
+      LEFT JOIN users tu ON r.target_type = 'user' AND r.target_id = tu.id
+      LEFT JOIN messages m ON r.target_type = 'message' AND r.target_id = m.id
+      LEFT JOIN reviews rv ON r.target_type = 'review' AND r.target_id = rv.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY r.created_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM reports r WHERE ${where.join(' AND ')}`, params);
+
+    res.json({ reports: result.rows, total: count.rows[0].total, page, limit });
+  } catch (err) {
+    if (err instanceof FilterError) return res.status(400).json({ error: err.message });
+    console.error('Admin reports error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move a report through the queue - body: { status, note }
+app.put('/api/admin/reports/:id', adminAuth('reports:manage'), validate(schemas.updateReport), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const current = await pool.query('SELECT * FROM reports WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Report not found' });
+
+    const from = current.rows[0].status;
+    if (!REPORT_TRANSITIONS[from].includes(status)) {
+      return res.status(400).json({ error: `Report is ${from}; it can move to: ${REPORT_TRANSITIONS[from].join(', ')}` });
+    }
+
+    const result = await pool.query(`
+      UPDATE reports SET status = $1, resolution_note = COALESCE($2, resolution_note), reviewed_by = $3, updated_at = NOW()
+      WHERE id = $4 RETURNING *
+    `, [status, note || null, req.user.id, req.params.id]);
+    const report = result.rows[0];
 
-    const all = [...signups.rows, ...payments.rows, ...msgs.rows]
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(0, 30);
+    req.audit = {
+      action: 'report.status_change',
+      target_type: 'report',
+      target_id: report.id,
+      reason: note,
+      details: { from, to: status, target_type: report.target_type, target_id: report.target_id }
+    };
 
-    res.json({ activity: all });
+    if (status === 'actioned' || status === 'dismissed') {
+      await notifier.notify(report.reporter_id, {
+        type: 'report_resolved',
+        title: status === 'actioned' ? 'Thanks — we took action on your report' : 'We reviewed your report',
+        body: status === 'actioned' ? null : 'We didn\'t find a violation this time.',
+        data: { report_id: report.id, status }
+      });
+    }
+    res.json({ report });
   } catch (err) {
+    console.error('Update report error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 app.get('/api/stats', async (req, res) => {
   try {
-    const listings = await pool.query("SELECT COUNT(*) FROM listings WHERE status = 'active'");
+    const listings = await pool.query("SELECT COUNT(*) FROM listings WHERE status = 'active' AND hidden_at IS NULL");
     const users = await pool.query('SELECT COUNT(*) FROM users');
     const paid = await pool.query('SELECT COUNT(*) FROM users WHERE paid = true');
     res.json({
@@ -724,26 +5193,76 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// One-time admin seed — remove after first use
-app.get('/api/seed-admin', async (req, res) => {
-  try {
-    const existing = await pool.query('SELECT id FROM users WHERE email = $1', ['brandon@luxurycoachexchange.com']);
-    if (existing.rows.length > 0) return res.json({ message: 'Admin already exists' });
-    const hash = await bcrypt.hash('Luxurycoach$!', 12);
-    await pool.query(
-      'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4)',
-      ['Brandon', 'brandon@luxurycoachexchange.com', hash, 'both']
-    );
-    res.json({ success: true, message: 'Admin account created' });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Errors no route handled: bodies that aren't valid JSON or are too large,
+// and anything unexpected. Always JSON, never Express's HTML error page.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    const invalid = new ValidationError({ body: 'The request body is not valid JSON' });
+    return res.status(invalid.status).json({ error: invalid.message, fields: invalid.fields });
   }
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large' });
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Server error' });
 });
 
 // ============================================================
 // START
 // ============================================================
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`Luxury Coach Exchange API running on port ${PORT}`);
 });
+
+// Background jobs
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS) || 30 * 1000;
+
+setInterval(() => {
+  outbox.flush().catch(err => console.error('Outbox flush error:', err));
+}, OUTBOX_INTERVAL_MS).unref();
+
+// Email unread conversation messages
+const MESSAGE_EMAIL_INTERVAL_MS = parseInt(process.env.MESSAGE_EMAIL_INTERVAL_MS) || 60 * 1000;
+
+setInterval(() => {
+  messageEmails.run().catch(err => console.error('Message email error:', err));
+}, MESSAGE_EMAIL_INTERVAL_MS).unref();
+
+// Expire unanswered offers
+setInterval(() => {
+  expireOffers().catch(err => console.error('Offer expiry error:', err));
+}, 60 * 1000).unref();
+
+// Expire listings past their term and remind sellers before they do
+setInterval(() => {
+  expireListings()
+    .catch(err => console.error('Listing expiry error:', err))
+    .then(() => remindListingRenewals())
+    .catch(err => console.error('Listing renewal reminder error:', err));
+}, 60 * 60 * 1000).unref();
+
+// Retry deposit captures that failed
+setInterval(() => {
+  retryDepositCaptures().catch(err => console.error('Deposit capture retry error:', err));
+}, 15 * 60 * 1000).unref();
+
+// Demote listings whose promotion ended
+setInterval(() => {
+  expirePromotions().catch(err => console.error('Promotion expiry error:', err));
+}, 15 * 60 * 1000).unref();
+
+// Forget who viewed listings before yesterday; their views are already counted
+setInterval(() => {
+  analytics.prune().catch(err => console.error('Listing visitor cleanup error:', err));
+}, 6 * 60 * 60 * 1000).unref();
+
+// Forget rate limit windows and sign-in failures that no longer count
+setInterval(() => {
+  rateLimiter.prune().catch(err => console.error('Rate limit cleanup error:', err));
+}, 60 * 60 * 1000).unref();
+
+// Prune sessions that expired or were revoked over a month ago
+setInterval(() => {
+  pool.query("DELETE FROM sessions WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '30 days'")
+    .catch(err => console.error('Session cleanup error:', err));
+}, 6 * 60 * 60 * 1000).unref();
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CsvError, parseCsv, csvField, unguardField, formatCsv } = require('../lib/csv');
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  const text = 'num,description\r\nA1,"Two slides, ""Platinum"" trim\nSecond line"\nA2,plain\r\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['num', 'description'],
+    ['A1', 'Two slides, "Platinum" trim\nSecond line'],
+    ['A2', 'plain']
+  ]);
+});
+
+test('blank lines are skipped and a last line without a line break is kept', () => {
+  assert.deepStrictEqual(parseCsv('a,b\n\n1,2\n , \n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('an unclosed quote is an error', () => {
+  assert.throws(() => parseCsv('num,description\nA1,"never closed\nA2,x\n'), err =>
+    err instanceof CsvError && err.status === 400 && err.message === 'The CSV file has an unclosed quote');
+});
+
+test('fields are quoted only when they need it', () => {
+  assert.strictEqual(csvField(null), '');
+  assert.strictEqual(csvField(undefined), '');
+  assert.strictEqual(csvField(42), '42');
+  assert.strictEqual(csvField('plain'), 'plain');
+  assert.strictEqual(csvField('a,b'), '"a,b"');
+  assert.strictEqual(csvField('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(csvField('two\nlines'), '"two\nlines"');
+});
+
+test('text that a spreadsheet would run as a formula is guarded, and unguarded when read back', () => {
+  assert.strictEqual(csvField('=HYPERLINK("http://x.test")'), '"\'=HYPERLINK(""http://x.test"")"');
+  assert.strictEqual(csvField('+1'), "'+1");
+  assert.strictEqual(csvField('-1'), "'-1");
+  assert.strictEqual(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.strictEqual(csvField('\tcmd'), "'\tcmd");
+  assert.strictEqual(csvField('\rcmd'), '"\'\rcmd"');
+  // Numbers are data, not formulas
+  assert.strictEqual(csvField(-1), '-1');
+
+  assert.strictEqual(unguardField("'=1+1"), '=1+1');
+  assert.strictEqual(unguardField("'quoted"), "'quoted");
+  assert.strictEqual(unguardField('plain'), 'plain');
+});
+
+test('formatCsv writes a header and one line per row that parseCsv reads back', () => {
+  const rows = [{ num: 'A1', description: 'Line one\nline "two"', price: 100 }, { num: 'A2', description: '=cmd', price: null }];
+  const text = formatCsv(['num', 'description', 'price'], rows);
+  assert.strictEqual(text, 'num,description,price\r\nA1,"Line one\nline ""two""",100\r\nA2,\'=cmd,\r\n');
+
+  const [header, ...lines] = parseCsv(text);
+  assert.deepStrictEqual(header, ['num', 'description', 'price']);
+  assert.deepStrictEqual(lines.map(line => line.map(unguardField)), [['A1', 'Line one\nline "two"', '100'], ['A2', '=cmd', '']]);
+});
@@ -0,0 +1,28 @@
+const { SMTPServer } = require('smtp-server');
+
+// A local SMTP server that keeps every message it receives, for tests that
+// send real mail through nodemailer.
+async function startSmtpCapture() {
+  const messages = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.on('data', chunk => { raw += chunk; });
+      stream.on('end', () => {
+        messages.push({ from: session.envelope.mailFrom.address, to: session.envelope.rcptTo.map(r => r.address), raw });
+        callback();
+      });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startSmtpCapture };
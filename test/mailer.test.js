@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMailer } = require('../lib/mailer');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+
+test('sends through the SMTP server in SMTP_HOST', async t => {
+  const smtp = await startSmtpCapture();
+  t.after(() => smtp.close());
+
+  const mailer = createMailer({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtp.port), MAIL_FROM: 'LCE <no-reply@lce.test>' });
+  assert.strictEqual(mailer.transport, 'smtp');
+  await mailer.send({
+    to: 'buyer@example.com',
+    subject: 'Verify your Luxury Coach Exchange email',
+    text: 'Confirm your email address:\nhttps://lce.test/verify-email?token=abc\n',
+    headers: { 'List-Unsubscribe': '<https://lce.test/unsubscribe>' }
+  });
+
+  assert.strictEqual(smtp.messages.length, 1);
+  const [mail] = smtp.messages;
+  assert.strictEqual(mail.from, 'no-reply@lce.test');
+  assert.deepStrictEqual(mail.to, ['buyer@example.com']);
+  assert.match(mail.raw, /^Subject: Verify your Luxury Coach Exchange email$/m);
+  assert.match(mail.raw, /^List-Unsubscribe: <https:\/\/lce\.test\/unsubscribe>$/m);
+  assert.match(mail.raw, /verify-email\?token=(3D)?abc/);
+});
+
+test('rejects the send when the SMTP server is unreachable', async () => {
+  const smtp = await startSmtpCapture();
+  const { port } = smtp;
+  await smtp.close();
+
+  const mailer = createMailer({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port) });
+  await assert.rejects(mailer.send({ to: 'buyer@example.com', subject: 'Hi', text: 'Hi' }));
+});
+
+test('only logs mail in development without SMTP_HOST', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const log = t.mock.method(console, 'log', () => {});
+
+  const mailer = createMailer({ NODE_ENV: 'development' });
+  assert.strictEqual(mailer.transport, 'log');
+  await mailer.send({ to: 'buyer@example.com', subject: 'Reset your password', text: 'Link' });
+  assert.strictEqual(log.mock.calls[0].arguments[0], '[mail] to=buyer@example.com subject="Reset your password"');
+});
+
+test('refuses to start in production without SMTP_HOST', () => {
+  assert.throws(() => createMailer({ NODE_ENV: 'production' }), /SMTP_HOST must be set in production/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMailer } = require('../lib/mailer');
+const { createOutbox } = require('../lib/outbox');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+
+// Just enough of a pg pool for flush(): hands out the pending rows and
+// records what happened to each one
+function fakePool(rows) {
+  const updates = [];
+  const client = {
+    async query(sql, params = []) {
+      if (/^\s*SELECT/.test(sql)) return { rows };
+      if (/^\s*UPDATE email_outbox/.test(sql)) updates.push({ id: params[0], sent: /status = 'sent'/.test(sql), params });
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return { updates, pool: { connect: async () => client } };
+}
+
+const row = (id, to, attempts = 0) => ({
+  id, to_email: to, subject: `Mail ${id}`, text_body: 'Hello', html_body: null, headers: {}, attempts
+});
+
+test('flush delivers pending mail to the SMTP server and marks it sent', async t => {
+  const smtp = await startSmtpCapture();
+  t.after(() => smtp.close());
+  const { pool, updates } = fakePool([row(1, 'a@example.com'), row(2, 'b@example.com')]);
+  const outbox = createOutbox({ pool, mailer: createMailer({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtp.port) }) });
+
+  assert.strictEqual(await outbox.flush(), 2);
+  assert.deepStrictEqual(smtp.messages.map(m => m.to[0]), ['a@example.com', 'b@example.com']);
+  assert.deepStrictEqual(updates.map(u => [u.id, u.sent]), [[1, true], [2, true]]);
+});
+
+test('flush keeps failed mail for a retry, and gives up after the last attempt', async () => {
+  const { pool, updates } = fakePool([row(1, 'a@example.com'), row(2, 'b@example.com', 4)]);
+  const mailer = { send: async () => { throw new Error('Connection refused'); } };
+  const outbox = createOutbox({ pool, mailer });
+
+  assert.strictEqual(await outbox.flush(), 0);
+  // [id, attempts, last_error, max attempts]
+  assert.deepStrictEqual(updates.map(u => [u.sent, ...u.params]), [
+    [false, 1, 1, 'Connection refused', 5],
+    [false, 2, 5, 'Connection refused', 5]
+  ]);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPaymentLedger } = require('../lib/payments');
+
+// In-memory stand-in for the tables the ledger touches. Understands just the
+// statements lib/payments.js sends. Rows come back as copies, as from pg;
+// BEGIN snapshots the data and ROLLBACK restores it, like a transaction would.
+function fakePool(payments = []) {
+  let data = { payments, events: [], stripeEvents: [] };
+  let snapshot = null;
+  const client = {
+    async query(sql, params = []) {
+      sql = sql.trim();
+      if (sql === 'BEGIN') snapshot = structuredClone(data);
+      else if (sql === 'COMMIT') snapshot = null;
+      else if (sql === 'ROLLBACK') data = snapshot;
+      else if (sql.startsWith('INSERT INTO stripe_events')) {
+        if (data.stripeEvents.includes(params[0])) return { rows: [] };
+        data.stripeEvents.push(params[0]);
+        return { rows: [{ id: params[0] }] };
+      } else if (sql.startsWith('SELECT * FROM payments')) {
+        const column = sql.match(/WHERE (\w+) = \$1/)[1];
+        return { rows: data.payments.filter(p => p[column] === params[0]).map(p => ({ ...p })) };
+      } else if (sql.startsWith('UPDATE payments')) {
+        const [, set, idParam] = sql.match(/SET ([\s\S]*) WHERE id = \$(\d+)/);
+        const payment = data.payments.find(p => p.id === params[idParam - 1]);
+        for (const [, column, n] of set.matchAll(/(\w+) = \$(\d+)/g)) payment[column] = params[n - 1];
+        return { rows: [{ ...payment }] };
+      } else if (sql.startsWith('INSERT INTO payment_events')) {
+        const [payment_id, stripe_event_id, type, from_status, to_status, amount] = params;
+        data.events.push({ payment_id, stripe_event_id, type, from_status, to_status, amount });
+      } else if (sql.startsWith('INSERT INTO payments')) {
+        const columns = sql.match(/\(([^)]*)\)/)[1].split(', ');
+        const row = Object.fromEntries(columns.map((c, i) => [c, params[i]]));
+        if (row.stripe_checkout_session_id && data.payments.some(p => p.stripe_checkout_session_id === row.stripe_checkout_session_id)) {
+          return { rows: [] };
+        }
+        const payment = {
+          id: `pay_${data.payments.length + 1}`, status: 'pending', stripe_checkout_session_id: null,
+          stripe_payment_intent_id: null, amount_refunded: 0, metadata: {}, ...row
+        };
+        data.payments.push(payment);
+        return { rows: [{ ...payment }] };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return { pool: { connect: async () => client, query: client.query }, data: () => data };
+}
+
+// Records what the ledger asked fulfilment to do
+function fakeFulfilment() {
+  const calls = [];
+  return {
+    calls,
+    fulfilment: {
+      unlock: {
+        grant: async (db, payment) => { calls.push(['grant', payment.id]); },
+        revoke: async (db, payment, cause) => { calls.push(['revoke', payment.id, cause]); }
+      }
+    }
+  };
+}
+
+const pendingPayment = () => ({
+  id: 'pay_1', user_id: 'user_1', kind: 'unlock', status: 'pending', stripe_checkout_session_id: 'cs_1',
+  stripe_payment_intent_id: null, amount: 50000, amount_refunded: 0, currency: 'usd', metadata: {}
+});
+const paidPayment = () => ({ ...pendingPayment(), status: 'paid', stripe_payment_intent_id: 'pi_1' });
+
+const event = (id, type, object) => ({ id, type, data: { object } });
+const completed = (id = 'evt_completed') => event(id, 'checkout.session.completed', {
+  id: 'cs_1', payment_intent: 'pi_1', payment_status: 'paid', amount_total: 50000, currency: 'usd'
+});
+
+function setup(payments) {
+  const db = fakePool(payments);
+  const { calls, fulfilment } = fakeFulfilment();
+  const ledger = createPaymentLedger({ pool: db.pool, fulfilment });
+  return { ledger, calls, data: db.data };
+}
+
+test('a completed checkout marks the payment paid and grants the purchase', async () => {
+  const { ledger, calls, data } = setup([pendingPayment()]);
+
+  assert.deepStrictEqual(await ledger.handleEvent(completed()), { duplicate: false, handled: true });
+  const [payment] = data().payments;
+  assert.strictEqual(payment.status, 'paid');
+  assert.strictEqual(payment.stripe_payment_intent_id, 'pi_1');
+  assert.deepStrictEqual(calls, [['grant', 'pay_1']]);
+  assert.deepStrictEqual(data().events.map(e => [e.from_status, e.to_status, e.amount]), [['pending', 'paid', 50000]]);
+});
+
+test('a redelivered event is acknowledged without being applied again', async () => {
+  const { ledger, calls, data } = setup([pendingPayment()]);
+
+  await ledger.handleEvent(completed());
+  assert.deepStrictEqual(await ledger.handleEvent(completed()), { duplicate: true });
+  assert.deepStrictEqual(calls, [['grant', 'pay_1']]);
+  assert.strictEqual(data().events.length, 1);
+});
+
+test('an expired checkout closes a pending payment but not a paid one', async () => {
+  const expired = id => event(id, 'checkout.session.expired', { id: 'cs_1' });
+
+  const pending = setup([pendingPayment()]);
+  await pending.ledger.handleEvent(expired('evt_expired'));
+  assert.strictEqual(pending.data().payments[0].status, 'expired');
+  assert.deepStrictEqual(pending.calls, []);
+
+  const paid = setup([paidPayment()]);
+  await paid.ledger.handleEvent(expired('evt_expired'));
+  assert.strictEqual(paid.data().payments[0].status, 'paid');
+  assert.strictEqual(paid.data().events.length, 0);
+});
+
+test('refunds are tracked, and a full refund revokes the purchase', async () => {
+  const { ledger, calls, data } = setup([paidPayment()]);
+  const refunded = (id, amount_refunded) => event(id, 'charge.refunded', {
+    id: 'ch_1', payment_intent: 'pi_1', amount: 50000, amount_refunded
+  });
+
+  await ledger.handleEvent(refunded('evt_refund_1', 20000));
+  assert.strictEqual(data().payments[0].status, 'partially_refunded');
+  assert.deepStrictEqual(calls, []);
+
+  await ledger.handleEvent(refunded('evt_refund_2', 50000));
+  const [payment] = data().payments;
+  assert.strictEqual(payment.status, 'refunded');
+  assert.strictEqual(payment.amount_refunded, 50000);
+  assert.deepStrictEqual(calls, [['revoke', 'pay_1', 'refund']]);
+  assert.deepStrictEqual(data().events.map(e => e.amount), [20000, 30000]);
+});
+
+test('a dispute revokes the purchase until it is won', async () => {
+  const { ledger, calls, data } = setup([paidPayment()]);
+  const dispute = (id, type, status) => event(id, type, { id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_1', amount: 50000, status });
+
+  await ledger.handleEvent(dispute('evt_dispute_1', 'charge.dispute.created', 'needs_response'));
+  assert.strictEqual(data().payments[0].status, 'disputed');
+  await ledger.handleEvent(dispute('evt_dispute_2', 'charge.dispute.closed', 'won'));
+  assert.strictEqual(data().payments[0].status, 'paid');
+  assert.deepStrictEqual(calls, [['revoke', 'pay_1', 'dispute'], ['grant', 'pay_1']]);
+});
+
+test('a lost dispute ends as a chargeback', async () => {
+  const { ledger, calls, data } = setup([paidPayment()]);
+  const dispute = (id, type, status) => event(id, type, { id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_1', amount: 50000, status });
+
+  await ledger.handleEvent(dispute('evt_dispute_1', 'charge.dispute.created', 'needs_response'));
+  await ledger.handleEvent(dispute('evt_dispute_2', 'charge.dispute.closed', 'lost'));
+  assert.strictEqual(data().payments[0].status, 'charged_back');
+  assert.deepStrictEqual(calls, [['revoke', 'pay_1', 'dispute']]);
+});
+
+test('an event that fails is rolled back so a retry can apply it', async () => {
+  const db = fakePool([pendingPayment()]);
+  let fail = true;
+  const fulfilment = { unlock: { grant: async () => { if (fail) throw new Error('Grant failed'); }, revoke: async () => {} } };
+  const ledger = createPaymentLedger({ pool: db.pool, fulfilment });
+
+  await assert.rejects(ledger.handleEvent(completed()), /Grant failed/);
+  assert.strictEqual(db.data().payments[0].status, 'pending');
+  assert.deepStrictEqual(db.data().stripeEvents, []);
+
+  fail = false;
+  assert.deepStrictEqual(await ledger.handleEvent(completed()), { duplicate: false, handled: true });
+  assert.strictEqual(db.data().payments[0].status, 'paid');
+});
+
+test('recording a checkout twice returns the existing payment', async () => {
+  const { ledger, data } = setup();
+  const session = { id: 'cs_9', amount_total: 50000, currency: 'usd' };
+
+  const first = await ledger.recordCheckout(session, { userId: 'user_1', kind: 'unlock' });
+  const second = await ledger.recordCheckout(session, { userId: 'user_1', kind: 'unlock' });
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(data().payments.length, 1);
+});
+
+test('a completed checkout whose session id was never saved is found by its reserved payment', async () => {
+  const { ledger, calls, data } = setup();
+  const reserved = await ledger.reserveCheckout({ userId: 'user_1', kind: 'unlock', amount: 50000, currency: 'usd' });
+  const event = completed();
+  event.data.object.metadata = { payment_id: reserved.id };
+
+  await ledger.handleEvent(event);
+  const [payment] = data().payments;
+  assert.strictEqual(payment.stripe_checkout_session_id, 'cs_1');
+  assert.strictEqual(payment.status, 'paid');
+  assert.deepStrictEqual(calls, [['grant', reserved.id]]);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rateLimit');
+
+// In-memory rate_limits and login_failures with a clock the test moves.
+// Understands just the statements lib/rateLimit.js sends and does what their
+// SQL does, with NOW() read from the clock.
+function fakePool() {
+  let now = Date.parse('2024-06-15T12:00:00Z');
+  const windows = new Map();
+  const failures = new Map();
+  let broken = false;
+  const pool = {
+    async query(sql, params = []) {
+      if (broken) throw new Error('Connection terminated');
+      sql = sql.trim();
+      if (sql.startsWith('WITH w AS')) {
+        const [key, windowMs] = params;
+        const start = Math.floor(now / windowMs) * windowMs;
+        const id = `${key}@${start}`;
+        windows.set(id, (windows.get(id) || 0) + 1);
+        return { rows: [{ hits: windows.get(id), retry_after: Math.ceil((start + windowMs - now) / 1000) }] };
+      }
+      if (sql.startsWith('INSERT INTO login_failures')) {
+        const [key, lockoutMs] = params;
+        const row = failures.get(key);
+        if (!row) {
+          failures.set(key, { failures: 1, last_failure_at: now, locked_until: null });
+        } else {
+          const quiet = Math.max(row.last_failure_at, row.locked_until ?? -Infinity) < now - lockoutMs;
+          row.failures = quiet ? 1 : row.failures + 1;
+          row.last_failure_at = now;
+        }
+        return { rows: [{ failures: failures.get(key).failures }] };
+      }
+      if (sql.startsWith('UPDATE login_failures')) {
+        failures.get(params[0]).locked_until = now + params[1];
+        return { rows: [] };
+      }
+      if (sql.startsWith('SELECT CEIL')) {
+        const row = failures.get(params[0]);
+        return { rows: row && row.locked_until > now ? [{ seconds: Math.ceil((row.locked_until - now) / 1000) }] : [] };
+      }
+      if (sql.startsWith('DELETE FROM login_failures WHERE key')) {
+        failures.delete(params[0]);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+  return {
+    pool,
+    advance: ms => { now += ms; },
+    breakDown: () => { broken = true; }
+  };
+}
+
+const MINUTE = 60 * 1000;
+
+function setup() {
+  const db = fakePool();
+  const limiter = createRateLimiter({ pool: db.pool, maxFailures: 3, lockoutMs: MINUTE, maxLockoutMs: 4 * MINUTE });
+  return { ...db, limiter };
+}
+
+// A response that remembers its status, headers and body
+function fakeRes() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Send one request through a limit middleware: 'next' if it passed, or the response
+async function send(middleware, req = { ip: '10.0.0.1' }) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return passed ? 'next' : res;
+}
+
+test('a key is locked after maxFailures, and each failure after a lockout ends doubles it up to the maximum', async () => {
+  const { limiter, advance } = setup();
+  const key = 'login:a@example.com:10.0.0.1';
+
+  assert.strictEqual(await limiter.recordFailure(key), 0);
+  assert.strictEqual(await limiter.recordFailure(key), 0);
+  assert.strictEqual(await limiter.recordFailure(key), 60);
+  assert.strictEqual(await limiter.lockedFor(key), 60);
+
+  const lockouts = [];
+  for (let i = 0; i < 4; i++) {
+    advance(await limiter.lockedFor(key) * 1000 + 1000);
+    assert.strictEqual(await limiter.lockedFor(key), 0);
+    lockouts.push(await limiter.recordFailure(key));
+  }
+  assert.deepStrictEqual(lockouts, [120, 240, 240, 240]);
+});
+
+test('a key that stays quiet for lockoutMs after its lockout starts again from zero', async () => {
+  const { limiter, advance } = setup();
+  const key = 'login:a@example.com:10.0.0.1';
+  for (let i = 0; i < 3; i++) await limiter.recordFailure(key);
+
+  // Still inside the window after the lockout: the next failure locks again, for longer
+  advance(MINUTE + 30 * 1000);
+  assert.strictEqual(await limiter.recordFailure(key), 120);
+
+  advance(2 * MINUTE + MINUTE + 1000);
+  assert.strictEqual(await limiter.recordFailure(key), 0);
+  assert.strictEqual(await limiter.recordFailure(key), 0);
+  assert.strictEqual(await limiter.recordFailure(key), 60);
+});
+
+test('a per-key max overrides maxFailures, and clearing a key forgets its failures', async () => {
+  const { limiter } = setup();
+  const key = 'login-account:a@example.com';
+  for (let i = 0; i < 4; i++) assert.strictEqual(await limiter.recordFailure(key, 5), 0);
+  assert.strictEqual(await limiter.recordFailure(key, 5), 60);
+
+  await limiter.clearFailures(key);
+  assert.strictEqual(await limiter.lockedFor(key), 0);
+  assert.strictEqual(await limiter.recordFailure(key, 5), 0);
+});
+
+test('limit lets max requests through per window, then answers 429 until the window ends', async () => {
+  const { limiter, advance } = setup();
+  const middleware = limiter.limit({ name: 'login', max: 2, windowMs: MINUTE });
+
+  assert.strictEqual(await send(middleware), 'next');
+  assert.strictEqual(await send(middleware), 'next');
+  const res = await send(middleware);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '60');
+  assert.deepStrictEqual(res.body, { error: 'Too many requests. Try again later.', code: 'rate_limited', retry_after: 60 });
+  // Other keys have their own count
+  assert.strictEqual(await send(middleware, { ip: '10.0.0.2' }), 'next');
+
+  advance(MINUTE);
+  assert.strictEqual(await send(middleware), 'next');
+});
+
+test('a null key skips the limit', async () => {
+  const { limiter } = setup();
+  const middleware = limiter.limit({ name: 'message', max: 1, windowMs: MINUTE, key: req => req.user?.id ?? null });
+  assert.strictEqual(await send(middleware, {}), 'next');
+  assert.strictEqual(await send(middleware, {}), 'next');
+});
+
+test('when counts cannot be reached a limit lets requests through unless it fails closed', async t => {
+  const { limiter, breakDown } = setup();
+  t.mock.method(console, 'error', () => {});
+  const open = limiter.limit({ name: 'message', max: 1, windowMs: MINUTE });
+  const closed = limiter.limit({ name: 'login', max: 1, windowMs: MINUTE, failOpen: false });
+  breakDown();
+
+  assert.strictEqual(await send(open), 'next');
+  const res = await send(closed);
+  assert.strictEqual(res.statusCode, 503);
+  assert.deepStrictEqual(res.body, { error: 'Service unavailable. Try again later.' });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReportError, parseReportQuery } = require('../lib/reports');
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+test('the default report is the last 90 days by week', () => {
+  assert.deepStrictEqual(parseReportQuery({}, now), { from: '2024-03-18', to: '2024-06-15', group_by: 'week' });
+});
+
+test('from and to are inclusive days, and from defaults to 90 days before to', () => {
+  assert.deepStrictEqual(
+    parseReportQuery({ from: '2024-02-01', to: '2024-02-29', group_by: 'day' }, now),
+    { from: '2024-02-01', to: '2024-02-29', group_by: 'day' }
+  );
+  assert.deepStrictEqual(parseReportQuery({ to: '2024-03-31', group_by: 'month' }, now), { from: '2024-01-02', to: '2024-03-31', group_by: 'month' });
+});
+
+test('days that do not exist or are not YYYY-MM-DD are refused', () => {
+  for (const from of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-2-1', '2024-02-01T00:00:00Z', 'last week']) {
+    assert.throws(() => parseReportQuery({ from, to: '2024-03-31' }, now), err =>
+      err instanceof ReportError && err.status === 400 && err.message === 'from must be a date (YYYY-MM-DD)', from);
+  }
+});
+
+test('a range must run forwards and fit the maximum length', () => {
+  assert.throws(() => parseReportQuery({ from: '2024-03-02', to: '2024-03-01' }, now), /from must be on or before to/);
+  assert.throws(() => parseReportQuery({ from: '2020-01-01', to: '2024-03-01' }, now), /at most 1098 days/);
+  assert.strictEqual(parseReportQuery({ from: '2024-03-01', to: '2024-03-01' }, now).from, '2024-03-01');
+});
+
+test('group_by must be day, week or month', () => {
+  assert.throws(() => parseReportQuery({ group_by: 'year' }, now), /group_by must be one of: day, week, month/);
+});
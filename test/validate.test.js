@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, isIsoDay } = require('../lib/validate');
+
+// Run the middleware on a request and return what it did: 'next' if the
+// request passed, otherwise the status and body it answered with
+function check(schema, req) {
+  let result = null;
+  const res = {
+    status(code) {
+      return { json: body => { result = { status: code, body }; } };
+    }
+  };
+  validate(schema)({ params: {}, query: {}, ...req }, res, () => { result = 'next'; });
+  return result;
+}
+
+test('a request matching its schema passes, and fields the schema skips are left alone', () => {
+  const schema = {
+    params: { id: { type: 'uuid', required: true } },
+    query: { page: { type: 'integer', min: 1 }, sold: { type: 'boolean' } },
+    body: { name: { type: 'string', required: true, max: 10 }, tags: { type: 'array', items: { type: 'string' } } }
+  };
+  const req = {
+    params: { id: '3f1b1a0e-8d3c-4a57-9a43-5a0b8c2f9e11' },
+    query: { page: '2', sold: 'false' },
+    body: { name: 'Prevost', tags: ['a', 'b'], extra: { anything: true } }
+  };
+  assert.strictEqual(check(schema, req), 'next');
+});
+
+test('every invalid field is reported by name', () => {
+  const schema = {
+    query: { page: { type: 'integer', min: 1 }, status: { type: 'enum', values: ['active', 'sold'] } },
+    body: { email: { type: 'email', required: true }, price: { type: 'number', max: 100 }, tags: { type: 'array', items: { type: 'string' } } }
+  };
+  const result = check(schema, {
+    query: { page: '0', status: 'gone' },
+    body: { email: 'not-an-address', price: 250, tags: ['ok', 7] }
+  });
+  assert.strictEqual(result.status, 400);
+  assert.deepStrictEqual(result.body, {
+    error: 'Some fields are invalid',
+    fields: {
+      page: 'page must be at least 1',
+      status: 'status must be one of: active, sold',
+      email: 'email must be an email address',
+      price: 'price must be at most 100',
+      tags: 'tags[1] must be a string'
+    }
+  });
+});
+
+test('required, nullable and blank values', () => {
+  const schema = { body: { name: { type: 'string', required: true }, note: { type: 'string', nullable: true }, year: { type: 'integer' } } };
+  assert.deepStrictEqual(check(schema, { body: { note: null, year: '' } }).body.fields, { name: 'name is required' });
+  assert.deepStrictEqual(check(schema, { body: { name: null } }).body.fields, { name: 'name is required' });
+  assert.strictEqual(check(schema, { body: { name: 'x', note: null } }), 'next');
+});
+
+test('a repeated query parameter and a body that is not an object are refused', () => {
+  const schema = { query: { page: { type: 'integer' } }, body: { name: { type: 'string' } } };
+  const result = check(schema, { query: { page: ['1', '2'] }, body: [] });
+  assert.deepStrictEqual(result.body.fields, {
+    page: 'page must be a single value',
+    body: 'The request body must be a JSON object'
+  });
+});
+
+test('dates must be real calendar days', () => {
+  const schema = { body: { until: { type: 'date' } } };
+  for (const until of ['2024-02-29', '2024-02-29T23:30:00Z', '2024-03-01T08:00:00-05:00']) {
+    assert.strictEqual(check(schema, { body: { until } }), 'next', until);
+  }
+  for (const until of ['2024-02-30', '2023-02-29', '2024-02-30T10:00:00Z', '2024-13-01', 'soon', 20240229]) {
+    assert.deepStrictEqual(check(schema, { body: { until } }).body.fields, { until: 'until must be a date' }, String(until));
+  }
+});
+
+test('isIsoDay only accepts YYYY-MM-DD days that exist', () => {
+  assert.strictEqual(isIsoDay('2024-02-29'), true);
+  assert.strictEqual(isIsoDay('2024-12-31'), true);
+  assert.strictEqual(isIsoDay('2023-02-29'), false);
+  assert.strictEqual(isIsoDay('2024-04-31'), false);
+  assert.strictEqual(isIsoDay('2024-2-1'), false);
+  assert.strictEqual(isIsoDay('2024-02-01T00:00:00Z'), false);
+  assert.strictEqual(isIsoDay(null), false);
+});